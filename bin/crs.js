@@ -10,6 +10,12 @@ Usage:
   crs sync [flags]              Sync Claude source-of-truth into Codex
   crs check [flags]             Check drift only (exit code 1 when drift exists)
   crs bridge [flags]            Run Codex plugin bridge
+  crs bridge logs [flags]       Query bridge debug log (filters, --follow, --json)
+  crs bridge status [--json]    Show bridge watchers, manifest and tracked sessions
+  crs bridge replay <session.jsonl> [--execute] [--json]
+                                Show which hooks a recorded Codex session would trigger
+  crs bridge simulate --event=NAME [--tool=NAME] [--payload=JSON] [--file=event.json]
+                                Run the hooks for a synthetic Codex event and report results
   crs hook install [zshrc]      Install zsh codex auto-sync hook
   crs hook remove [zshrc]       Remove zsh codex auto-sync hook
   crs sync-base [flags]         Run base sync (skills+mcp)
@@ -53,6 +59,10 @@ const rest = argv.slice(1);
 const srcRoot = path.join(__dirname, '..', 'src');
 const runtimeSyncScript = path.join(srcRoot, 'claude-runtime-sync.js');
 const bridgeScript = path.join(srcRoot, 'codex-plugin-bridge.js');
+const bridgeLogsScript = path.join(srcRoot, 'bridge-logs.js');
+const bridgeStatusScript = path.join(srcRoot, 'bridge-status.js');
+const bridgeReplayScript = path.join(srcRoot, 'bridge-replay.js');
+const bridgeSimulateScript = path.join(srcRoot, 'bridge-simulate.js');
 const hookScript = path.join(srcRoot, 'install-codex-zsh-hook.js');
 const baseSyncScript = path.join(srcRoot, 'sync-claude-all-to-codex.js');
 
@@ -65,6 +75,22 @@ if (command === 'check') {
 }
 
 if (command === 'bridge') {
+  if (rest[0] === 'logs') {
+    runNodeScript(bridgeLogsScript, rest.slice(1));
+  }
+
+  if (rest[0] === 'status') {
+    runNodeScript(bridgeStatusScript, rest.slice(1));
+  }
+
+  if (rest[0] === 'replay') {
+    runNodeScript(bridgeReplayScript, rest.slice(1));
+  }
+
+  if (rest[0] === 'simulate') {
+    runNodeScript(bridgeSimulateScript, rest.slice(1));
+  }
+
   runNodeScript(bridgeScript, rest);
 }
 
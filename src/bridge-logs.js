@@ -0,0 +1,402 @@
+#!/usr/bin/env node
+
+/**
+ * crs bridge logs
+ *
+ * 查询 codex-plugin-bridge 的结构化调试日志（JSONL，含已轮转文件），
+ * 支持按时间、kind、plugin、事件名、失败/超时过滤，以及 tail -f 式跟随。
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const zlib = require('zlib');
+
+const { listRotatedDebugLogs, resolveCodexHome, resolveDebugLogPath } = require('./codex-plugin-bridge');
+
+const FOLLOW_POLL_MS = 500;
+const DEFAULT_FOLLOW_LIMIT = 20;
+const TABLE_DETAIL_MAX_CHARS = 80;
+const RELATIVE_TIME_UNITS_MS = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000
+};
+
+function parseTimeArg(rawValue, nowMs) {
+  const value = String(rawValue || '').trim();
+
+  const relative = value.match(/^(\d+)([smhd])$/);
+  if (relative) {
+    return nowMs - Number(relative[1]) * RELATIVE_TIME_UNITS_MS[relative[2]];
+  }
+
+  // Plain numbers are epoch seconds, matching the bridge's own --since flag.
+  if (/^\d+(\.\d+)?$/.test(value)) {
+    return Number(value) * 1000;
+  }
+
+  const parsed = Date.parse(value);
+  if (!Number.isFinite(parsed)) {
+    throw new Error(`无效时间: ${rawValue}`);
+  }
+  return parsed;
+}
+
+function splitListArg(rawValue) {
+  return rawValue
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+function parseArgs(argv, nowMs = Date.now()) {
+  const options = {
+    codexHome: null,
+    logPath: null,
+    sinceMs: null,
+    untilMs: null,
+    kinds: [],
+    plugins: [],
+    events: [],
+    failed: false,
+    timedOut: false,
+    follow: false,
+    json: false,
+    limit: null
+  };
+
+  for (const arg of argv) {
+    if (arg === '--follow' || arg === '-f') {
+      options.follow = true;
+      continue;
+    }
+
+    if (arg === '--json') {
+      options.json = true;
+      continue;
+    }
+
+    if (arg === '--failed') {
+      options.failed = true;
+      continue;
+    }
+
+    if (arg === '--timeout') {
+      options.timedOut = true;
+      continue;
+    }
+
+    if (arg.startsWith('--codex-home=')) {
+      options.codexHome = path.resolve(arg.slice('--codex-home='.length));
+      continue;
+    }
+
+    if (arg.startsWith('--log=')) {
+      options.logPath = path.resolve(arg.slice('--log='.length));
+      continue;
+    }
+
+    if (arg.startsWith('--since=')) {
+      options.sinceMs = parseTimeArg(arg.slice('--since='.length), nowMs);
+      continue;
+    }
+
+    if (arg.startsWith('--until=')) {
+      options.untilMs = parseTimeArg(arg.slice('--until='.length), nowMs);
+      continue;
+    }
+
+    if (arg.startsWith('--kind=')) {
+      options.kinds.push(...splitListArg(arg.slice('--kind='.length)));
+      continue;
+    }
+
+    if (arg.startsWith('--plugin=')) {
+      options.plugins.push(...splitListArg(arg.slice('--plugin='.length)));
+      continue;
+    }
+
+    if (arg.startsWith('--event=')) {
+      options.events.push(...splitListArg(arg.slice('--event='.length)));
+      continue;
+    }
+
+    if (arg.startsWith('--limit=')) {
+      const raw = Number(arg.slice('--limit='.length));
+      if (Number.isInteger(raw) && raw > 0) {
+        options.limit = raw;
+      }
+      continue;
+    }
+
+    throw new Error(`未知参数: ${arg}`);
+  }
+
+  return options;
+}
+
+function parseLogLine(line) {
+  if (!line.trim()) {
+    return null;
+  }
+
+  try {
+    const record = JSON.parse(line);
+    return record && typeof record === 'object' ? record : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+function isFailedRecord(record) {
+  return record.kind === 'hook-command-finish' && record.ok === false;
+}
+
+function isTimedOutRecord(record) {
+  return record.kind === 'hook-command-finish' && (record.timedOut === true || record.limitHit === 'timeout');
+}
+
+function matchesFilters(record, options) {
+  const tsMs = Date.parse(record.ts);
+  if (options.sinceMs !== null && !(tsMs >= options.sinceMs)) {
+    return false;
+  }
+
+  if (options.untilMs !== null && !(tsMs <= options.untilMs)) {
+    return false;
+  }
+
+  if (options.kinds.length > 0 && !options.kinds.includes(record.kind)) {
+    return false;
+  }
+
+  if (options.plugins.length > 0 && !options.plugins.some(plugin => plugin === record.sourceName || plugin === record.sourceId)) {
+    return false;
+  }
+
+  if (options.events.length > 0) {
+    const eventNames = [
+      record.eventName,
+      record.rawType,
+      ...(Array.isArray(record.mappedTypes) ? record.mappedTypes : [])
+    ];
+    if (!options.events.some(eventName => eventNames.includes(eventName))) {
+      return false;
+    }
+  }
+
+  // --failed and --timeout together mean "either", since a timeout is also a failure.
+  if (options.failed || options.timedOut) {
+    const wanted = (options.failed && isFailedRecord(record)) || (options.timedOut && isTimedOutRecord(record));
+    if (!wanted) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+function describeStatus(record) {
+  if (record.kind !== 'hook-command-finish') {
+    return '';
+  }
+
+  if (record.limitHit) {
+    return record.limitHit === 'timeout' ? 'TIMEOUT' : `LIMIT:${record.limitHit}`;
+  }
+
+  if (record.timedOut) {
+    return 'TIMEOUT';
+  }
+
+  if (record.ok) {
+    return 'ok';
+  }
+
+  return record.signal ? `FAIL(${record.signal})` : `FAIL(${record.status === null ? '?' : record.status})`;
+}
+
+function describeDetail(record) {
+  const detail = record.error || record.command || record.matcherText || record.sourceFile || '';
+  const singleLine = String(detail).replace(/\s+/g, ' ').trim();
+  return singleLine.length > TABLE_DETAIL_MAX_CHARS ? `${singleLine.slice(0, TABLE_DETAIL_MAX_CHARS - 1)}…` : singleLine;
+}
+
+function formatTableRow(record) {
+  return [
+    String(record.ts || '').padEnd(24),
+    String(record.kind || '').padEnd(22),
+    String(record.sourceName || '-').padEnd(20),
+    String(record.eventName || record.rawType || '-').padEnd(18),
+    describeStatus(record).padEnd(10),
+    (Number.isFinite(record.durationMs) ? `${record.durationMs}ms` : '').padStart(8),
+    describeDetail(record)
+  ].join('  ').trimEnd();
+}
+
+function formatRecord(record, options) {
+  return options.json ? JSON.stringify(record) : formatTableRow(record);
+}
+
+/**
+ * 只保留最后 capacity 条记录的环形缓冲区。
+ */
+function createRingBuffer(capacity) {
+  const items = [];
+  let start = 0;
+
+  return {
+    push(item) {
+      if (items.length < capacity) {
+        items.push(item);
+        return;
+      }
+      items[start] = item;
+      start = (start + 1) % capacity;
+    },
+    toArray() {
+      return [...items.slice(start), ...items.slice(0, start)];
+    }
+  };
+}
+
+/**
+ * 逐行读取一个日志文件，.gz 文件边读边解压。
+ */
+function scanLogFile(filePath, gzip, onLine) {
+  return new Promise((resolve, reject) => {
+    const source = fs.createReadStream(filePath);
+    source.on('error', reject);
+    let input = source;
+    if (gzip) {
+      input = source.pipe(zlib.createGunzip());
+      input.on('error', reject);
+    }
+
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+    lines.on('error', reject);
+    lines.on('line', onLine);
+    lines.on('close', resolve);
+  });
+}
+
+/**
+ * 按时间顺序（最旧的轮转文件到当前文件）流式过滤日志；有 limit 时只把最后 limit 条交给 onRecord。
+ */
+async function scanMatchingRecords(logPath, options, onRecord) {
+  const limit = options.limit || (options.follow ? DEFAULT_FOLLOW_LIMIT : null);
+  const ring = limit ? createRingBuffer(limit) : null;
+  const files = [...listRotatedDebugLogs(logPath).reverse(), { filePath: logPath, gzip: false }];
+
+  for (const item of files) {
+    try {
+      await scanLogFile(item.filePath, item.gzip, line => {
+        const record = parseLogLine(line);
+        if (!record || !matchesFilters(record, options)) {
+          return;
+        }
+        if (ring) {
+          ring.push(record);
+        } else {
+          onRecord(record);
+        }
+      });
+    } catch (_) {
+      // A missing active log or a damaged rotation should not hide the other files.
+    }
+  }
+
+  if (ring) {
+    ring.toArray().forEach(onRecord);
+  }
+}
+
+/**
+ * 轮询日志文件追加的内容；文件被轮转（inode 变化）或截断时从新文件开头继续。
+ */
+function followLog(logPath, options, onRecord) {
+  let stat = fs.statSync(logPath, { throwIfNoEntry: false });
+  let identity = stat ? stat.ino : null;
+  let offset = stat ? stat.size : 0;
+  let remainder = '';
+
+  const poll = () => {
+    stat = fs.statSync(logPath, { throwIfNoEntry: false });
+    if (!stat) {
+      return;
+    }
+
+    if (stat.ino !== identity || stat.size < offset) {
+      identity = stat.ino;
+      offset = 0;
+      remainder = '';
+    }
+
+    if (stat.size === offset) {
+      return;
+    }
+
+    const fd = fs.openSync(logPath, 'r');
+    const buffer = Buffer.alloc(stat.size - offset);
+    try {
+      fs.readSync(fd, buffer, 0, buffer.length, offset);
+    } finally {
+      fs.closeSync(fd);
+    }
+    offset = stat.size;
+
+    const lines = `${remainder}${buffer.toString('utf8')}`.split('\n');
+    remainder = lines.pop() || '';
+    for (const line of lines) {
+      const record = parseLogLine(line);
+      if (record && matchesFilters(record, options)) {
+        onRecord(record);
+      }
+    }
+  };
+
+  const timer = setInterval(poll, FOLLOW_POLL_MS);
+  return () => clearInterval(timer);
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const codexHome = resolveCodexHome(options.codexHome);
+  const logPath = options.logPath || resolveDebugLogPath({ debugLog: true, debugLogPath: null }, codexHome);
+
+  // Right after a rotation only the numbered (or .gz) files may exist; they are still worth showing.
+  if (!fs.existsSync(logPath) && listRotatedDebugLogs(logPath).length === 0 && !options.follow) {
+    throw new Error(`未找到 bridge 调试日志: ${logPath}`);
+  }
+
+  const print = record => console.log(formatRecord(record, options));
+  await scanMatchingRecords(logPath, options, print);
+
+  if (!options.follow) {
+    return;
+  }
+
+  const stopFollowing = followLog(logPath, options, print);
+  const stop = () => {
+    stopFollowing();
+    process.exit(0);
+  };
+  process.on('SIGINT', stop);
+  process.on('SIGTERM', stop);
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error(`bridge logs 运行失败: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  formatTableRow,
+  matchesFilters,
+  parseArgs,
+  parseTimeArg
+};
@@ -0,0 +1,232 @@
+#!/usr/bin/env node
+
+/**
+ * crs bridge replay <session.jsonl>
+ *
+ * 把录制好的 Codex session 日志按 bridge 的处理流程
+ * （parseCodexEvent → 工具调用关联 → mapEventNames → matcher）重放一遍，
+ * 默认只打印每个事件会触发的 hook、matcher 文本与环境变量；--execute 时真正执行。
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const {
+  correlateToolCall,
+  createHookScheduler,
+  createSessionInfo,
+  executeEvent,
+  parseCodexEvent,
+  planEventHooks,
+  readManifest,
+  resolveCodexHome,
+  trackSessionLifecycle,
+  trackTokenUsage,
+  trackTurnState
+} = require('./codex-plugin-bridge');
+
+function parseArgs(argv) {
+  const options = {
+    sessionFile: null,
+    codexHome: null,
+    projectRoot: null,
+    execute: false,
+    json: false,
+    all: false
+  };
+
+  for (const arg of argv) {
+    if (arg === '--execute') {
+      options.execute = true;
+      continue;
+    }
+
+    if (arg === '--json') {
+      options.json = true;
+      continue;
+    }
+
+    if (arg === '--all') {
+      options.all = true;
+      continue;
+    }
+
+    if (arg.startsWith('--codex-home=')) {
+      options.codexHome = path.resolve(arg.slice('--codex-home='.length));
+      continue;
+    }
+
+    if (arg.startsWith('--project-root=')) {
+      options.projectRoot = path.resolve(arg.slice('--project-root='.length));
+      continue;
+    }
+
+    if (!arg.startsWith('-') && !options.sessionFile) {
+      options.sessionFile = path.resolve(arg);
+      continue;
+    }
+
+    throw new Error(`未知参数: ${arg}`);
+  }
+
+  if (!options.sessionFile) {
+    throw new Error('缺少 session 文件参数: crs bridge replay <session.jsonl>');
+  }
+
+  return options;
+}
+
+function describeHook(hook) {
+  return {
+    sourceId: hook.source.id || '',
+    sourceName: hook.source.name || '',
+    eventName: hook.eventDef.eventName,
+    matcher: hook.eventDef.matcher || '',
+    match: hook.eventDef.match || null,
+    command: hook.commandDef.command,
+    timeoutSec: hook.timeoutSec,
+    env: hook.contextEnv,
+    stdinPayload: hook.stdinPayload
+  };
+}
+
+/**
+ * 逐行重放 session 文件，返回每个事件的 hook 计划（execute 为 true 时附带执行结果）。
+ */
+async function replaySession(sessionFile, manifest, options = {}) {
+  const lines = fs.readFileSync(sessionFile, 'utf8').split('\n');
+  const state = { toolCalls: new Map() };
+  const session = createSessionInfo(sessionFile);
+  const runtime = options.execute
+    ? {
+      manifest,
+      projectRoot: options.projectRoot || null,
+      quiet: true,
+      logDebug: () => {},
+      scheduler: createHookScheduler({ concurrency: 1 })
+    }
+    : null;
+  const entries = [];
+
+  for (let index = 0; index < lines.length; index += 1) {
+    if (!lines[index].trim()) {
+      continue;
+    }
+
+    const eventRecords = parseCodexEvent(lines[index])
+      .map(eventRecord => correlateToolCall(state, eventRecord))
+      .filter(eventRecord => eventRecord && trackSessionLifecycle(session, eventRecord));
+
+    const records = eventRecords.flatMap(eventRecord => {
+      trackTurnState(session, eventRecord);
+      return [eventRecord, ...trackTokenUsage(state, session, eventRecord, manifest.tokenBudgets)];
+    });
+
+    for (const eventRecord of records) {
+      const record = { ...eventRecord, session };
+      const plan = planEventHooks(manifest, record, options.projectRoot || null);
+      if (!plan.hasSpecialMapping && !options.all) {
+        continue;
+      }
+
+      const entry = {
+        line: index + 1,
+        rawType: plan.eventRecord.rawType,
+        mappedTypes: plan.names,
+        toolName: plan.eventRecord.toolName,
+        matcherText: plan.matcherText,
+        hooks: plan.hooks.map(describeHook)
+      };
+
+      if (runtime) {
+        // executeEvent plans the same hooks again and resolves results in the same order.
+        const results = await executeEvent(runtime, record);
+        entry.hooks.forEach((hook, hookIndex) => {
+          hook.result = results[hookIndex] || null;
+        });
+      }
+
+      entries.push(entry);
+    }
+  }
+
+  return entries;
+}
+
+function describeResult(result) {
+  if (!result) {
+    return 'not run';
+  }
+
+  const outcome = result.ok ? 'ok' : (result.limitHit ? `limit:${result.limitHit}` : 'FAIL');
+  const exit = result.signal ? `signal ${result.signal}` : `exit ${result.status === null ? '?' : result.status}`;
+  return `${outcome} (${exit}, ${result.durationMs}ms)${result.error ? ` ${result.error}` : ''}`;
+}
+
+function formatReplay(entries) {
+  const lines = [];
+  let hookCount = 0;
+
+  for (const entry of entries) {
+    const tool = entry.toolName ? `  tool=${entry.toolName}` : '';
+    lines.push(`#${entry.line} ${entry.rawType} → ${entry.mappedTypes.join(', ')}${tool}`);
+    lines.push(`  matcher text: ${JSON.stringify(entry.matcherText)}`);
+
+    if (entry.hooks.length === 0) {
+      lines.push('  (no matching hooks)');
+    }
+
+    for (const hook of entry.hooks) {
+      hookCount += 1;
+      lines.push(`  → [${hook.sourceName}] ${hook.eventName} (matcher: ${hook.matcher || '*'}, timeout ${hook.timeoutSec}s)`);
+      if (hook.match) {
+        lines.push(`    match: ${JSON.stringify(hook.match)}`);
+      }
+      lines.push(`    $ ${hook.command}`);
+      for (const [name, value] of Object.entries(hook.env)) {
+        if (value) {
+          lines.push(`    ${name}=${value}`);
+        }
+      }
+
+      if (Object.prototype.hasOwnProperty.call(hook, 'result')) {
+        lines.push(`    result: ${describeResult(hook.result)}`);
+        for (const streamName of ['stdout', 'stderr']) {
+          const text = hook.result && hook.result[streamName] ? hook.result[streamName].trimEnd() : '';
+          if (text) {
+            lines.push(`    ${streamName}: ${text.split('\n').join('\n      ')}`);
+          }
+        }
+      }
+    }
+  }
+
+  lines.push(`${entries.length} events, ${hookCount} hook invocations`);
+  return lines.join('\n');
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (!fs.existsSync(options.sessionFile)) {
+    throw new Error(`session 文件不存在: ${options.sessionFile}`);
+  }
+
+  const manifest = readManifest(resolveCodexHome(options.codexHome), options.projectRoot);
+  const entries = await replaySession(options.sessionFile, manifest, options);
+
+  console.log(options.json ? JSON.stringify(entries, null, 2) : formatReplay(entries));
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error(`bridge replay 运行失败: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  describeResult,
+  formatReplay,
+  parseArgs,
+  replaySession
+};
@@ -0,0 +1,250 @@
+#!/usr/bin/env node
+
+/**
+ * crs bridge simulate
+ *
+ * 根据命令行参数或 JSON 文件构造一个 Codex 事件，交给 executeEvent 在当前 manifest 下执行，
+ * 逐个报告 hook 的退出状态、耗时与捕获的输出。方便在不启动 Codex 的情况下测试 hook。
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const {
+  CODEX_EVENT_MAP,
+  createHookScheduler,
+  createSessionInfo,
+  executeEvent,
+  parseCodexEvent,
+  readManifest,
+  resolveCodexHome
+} = require('./codex-plugin-bridge');
+const { describeResult } = require('./bridge-replay');
+
+const DEFAULT_SIMULATE_OUTPUT_BYTES = 64 * 1024;
+const CODEX_LOG_LINE_TYPES = ['event_msg', 'response_item', 'session_meta'];
+
+function parseJsonArg(rawValue, label) {
+  try {
+    return JSON.parse(rawValue);
+  } catch (error) {
+    throw new Error(`${label} 不是合法 JSON: ${error.message}`);
+  }
+}
+
+function parseArgs(argv) {
+  const options = {
+    codexHome: null,
+    projectRoot: null,
+    event: null,
+    tool: null,
+    payload: {},
+    file: null,
+    sessionId: 'simulated-session',
+    cwd: null,
+    hookOutputBytes: DEFAULT_SIMULATE_OUTPUT_BYTES,
+    json: false
+  };
+
+  for (const arg of argv) {
+    if (arg === '--json') {
+      options.json = true;
+      continue;
+    }
+
+    if (arg.startsWith('--codex-home=')) {
+      options.codexHome = path.resolve(arg.slice('--codex-home='.length));
+      continue;
+    }
+
+    if (arg.startsWith('--project-root=')) {
+      options.projectRoot = path.resolve(arg.slice('--project-root='.length));
+      continue;
+    }
+
+    if (arg.startsWith('--event=')) {
+      options.event = arg.slice('--event='.length).trim();
+      continue;
+    }
+
+    if (arg.startsWith('--tool=')) {
+      options.tool = arg.slice('--tool='.length).trim();
+      continue;
+    }
+
+    if (arg.startsWith('--payload=')) {
+      options.payload = parseJsonArg(arg.slice('--payload='.length), '--payload');
+      continue;
+    }
+
+    if (arg.startsWith('--file=')) {
+      options.file = path.resolve(arg.slice('--file='.length));
+      continue;
+    }
+
+    if (arg.startsWith('--session-id=')) {
+      options.sessionId = arg.slice('--session-id='.length).trim();
+      continue;
+    }
+
+    if (arg.startsWith('--cwd=')) {
+      options.cwd = path.resolve(arg.slice('--cwd='.length));
+      continue;
+    }
+
+    if (arg.startsWith('--hook-output-bytes=')) {
+      const raw = Number(arg.slice('--hook-output-bytes='.length));
+      if (Number.isInteger(raw) && raw >= 0) {
+        options.hookOutputBytes = raw;
+      }
+      continue;
+    }
+
+    throw new Error(`未知参数: ${arg}`);
+  }
+
+  if (!options.event && !options.file) {
+    throw new Error('需要 --event=<Codex 或 Claude 事件名> 或 --file=<event.json>');
+  }
+
+  return options;
+}
+
+/**
+ * Claude 事件名（Stop、PermissionRequest…）取第一个映射到它的 Codex 事件类型；其他名字原样使用。
+ */
+function resolveRawType(eventName) {
+  if (Object.prototype.hasOwnProperty.call(CODEX_EVENT_MAP, eventName)) {
+    return eventName;
+  }
+
+  const rawType = Object.keys(CODEX_EVENT_MAP).find(key => CODEX_EVENT_MAP[key].includes(eventName));
+  return rawType || eventName;
+}
+
+/**
+ * --file 可以是一行 Codex 日志（{ type, payload }），也可以是 { rawType | event, payload }。
+ */
+function readEventFile(filePath) {
+  const parsed = parseJsonArg(fs.readFileSync(filePath, 'utf8'), filePath);
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error(`${filePath} 必须是 JSON 对象`);
+  }
+
+  if (CODEX_LOG_LINE_TYPES.includes(parsed.type)) {
+    const [eventRecord] = parseCodexEvent(JSON.stringify(parsed));
+    if (!eventRecord) {
+      throw new Error(`${filePath} 不是 bridge 能识别的 Codex 事件`);
+    }
+    return eventRecord;
+  }
+
+  const eventName = parsed.rawType || parsed.event;
+  if (typeof eventName !== 'string' || !eventName.trim()) {
+    throw new Error(`${filePath} 缺少 rawType/event 字段`);
+  }
+
+  return {
+    rawType: resolveRawType(eventName.trim()),
+    payload: parsed.payload && typeof parsed.payload === 'object' ? parsed.payload : {}
+  };
+}
+
+function buildSimulatedEvent(options) {
+  const base = options.file
+    ? readEventFile(options.file)
+    : { rawType: resolveRawType(options.event), payload: {} };
+
+  const { tool_name: baseToolName, tool_input: baseToolInput, ...baseFields } = base.payload;
+  const toolName = options.tool || baseToolName;
+  let payload = { ...base.payload, ...options.payload };
+  if (toolName) {
+    // Same shape as parseCodexEvent's tool events: the arguments flat and again under tool_input,
+    // which is what structured match rules and the hook's stdin read.
+    const toolInput = {
+      ...(baseToolInput && typeof baseToolInput === 'object' ? baseToolInput : baseFields),
+      ...options.payload
+    };
+    payload = { ...baseFields, ...toolInput, tool_name: toolName, tool_input: toolInput };
+  }
+
+  // No transcript exists for a synthetic event, so transcript_path stays empty.
+  const session = {
+    ...createSessionInfo(''),
+    sessionId: options.sessionId,
+    cwd: options.cwd || options.projectRoot || process.cwd()
+  };
+
+  return {
+    rawType: options.event && options.file ? resolveRawType(options.event) : base.rawType,
+    payload,
+    eventTimestampSec: Math.floor(Date.now() / 1000),
+    session
+  };
+}
+
+async function simulateEvent(eventRecord, manifest, options = {}) {
+  const runtime = {
+    manifest,
+    projectRoot: options.projectRoot || null,
+    quiet: true,
+    hookOutputBytes: Number.isInteger(options.hookOutputBytes) ? options.hookOutputBytes : DEFAULT_SIMULATE_OUTPUT_BYTES,
+    logDebug: () => {},
+    scheduler: createHookScheduler({ concurrency: 1 })
+  };
+
+  return executeEvent(runtime, eventRecord);
+}
+
+function formatSimulation(eventRecord, results) {
+  const lines = [`Simulated ${eventRecord.rawType}${eventRecord.payload.tool_name ? ` (tool ${eventRecord.payload.tool_name})` : ''}`];
+
+  if (results.length === 0) {
+    lines.push('  (no matching hooks in the current manifest)');
+  }
+
+  for (const result of results) {
+    lines.push(`  [${result.sourceName}] ${result.eventName}: ${describeResult(result)}`);
+    lines.push(`    $ ${result.command}`);
+    for (const streamName of ['stdout', 'stderr']) {
+      const text = result[streamName] ? result[streamName].trimEnd() : '';
+      if (text) {
+        const truncated = result[`${streamName}Truncated`] ? ' (truncated)' : '';
+        lines.push(`    ${streamName}${truncated}: ${text.split('\n').join('\n      ')}`);
+      }
+    }
+  }
+
+  const failedCount = results.filter(result => !result.ok).length;
+  lines.push(`${results.length} hooks: ${results.length - failedCount} ok, ${failedCount} failed`);
+  return lines.join('\n');
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const manifest = readManifest(resolveCodexHome(options.codexHome), options.projectRoot);
+  const eventRecord = buildSimulatedEvent(options);
+  const results = await simulateEvent(eventRecord, manifest, options);
+
+  console.log(options.json
+    ? JSON.stringify({ event: { rawType: eventRecord.rawType, payload: eventRecord.payload }, results }, null, 2)
+    : formatSimulation(eventRecord, results));
+
+  if (results.some(result => !result.ok)) {
+    process.exitCode = 1;
+  }
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error(`bridge simulate 运行失败: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  buildSimulatedEvent,
+  parseArgs,
+  resolveRawType,
+  simulateEvent
+};
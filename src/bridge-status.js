@@ -0,0 +1,194 @@
+#!/usr/bin/env node
+
+/**
+ * crs bridge status
+ *
+ * 汇总 watcher 登记表（每个项目一项，记录 PID、进程启动时间与心跳）与 manifest，
+ * 判断各项目的 bridge watcher 是否存活，并列出各 session 最近处理的事件。
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const {
+  WATCHER_REGISTRY_DIR_RELATIVE_PATH,
+  countManifestHooks,
+  inspectWatcherEntry,
+  readManifest,
+  readWatcherEntry,
+  resolveCodexHome,
+  resolveWatcherEntryPath
+} = require('./codex-plugin-bridge');
+
+function parseArgs(argv) {
+  const options = {
+    codexHome: null,
+    projectRoot: null,
+    json: false
+  };
+
+  for (const arg of argv) {
+    if (arg === '--json') {
+      options.json = true;
+      continue;
+    }
+
+    if (arg.startsWith('--codex-home=')) {
+      options.codexHome = path.resolve(arg.slice('--codex-home='.length));
+      continue;
+    }
+
+    if (arg.startsWith('--project-root=')) {
+      options.projectRoot = path.resolve(arg.slice('--project-root='.length));
+      continue;
+    }
+
+    throw new Error(`未知参数: ${arg}`);
+  }
+
+  return options;
+}
+
+function listWatchers(codexHome, projectRoot, nowMs) {
+  const registryDir = path.join(codexHome, WATCHER_REGISTRY_DIR_RELATIVE_PATH);
+  const entryPaths = projectRoot
+    ? [resolveWatcherEntryPath(codexHome, projectRoot)]
+    : (fs.existsSync(registryDir) ? fs.readdirSync(registryDir) : [])
+      .filter(name => name.endsWith('.json'))
+      .map(name => path.join(registryDir, name));
+
+  return entryPaths
+    .map(entryPath => ({ entryPath, entry: readWatcherEntry(entryPath) }))
+    .filter(item => item.entry)
+    .map(({ entryPath, entry }) => ({ entryPath, ...inspectWatcherEntry(entry, nowMs), entry }))
+    .sort((a, b) => String(b.entry.heartbeatAt || '').localeCompare(String(a.entry.heartbeatAt || '')));
+}
+
+function collectBridgeStatus(codexHome, nowMs = Date.now(), projectRoot = null) {
+  const watchers = listWatchers(codexHome, projectRoot, nowMs);
+
+  // Without --project-root, show the merged manifest of the only registered project, if there is just one.
+  const manifestProjectRoot = projectRoot || (watchers.length === 1 ? watchers[0].entry.projectRoot : null);
+  const manifest = readManifest(codexHome, manifestProjectRoot);
+  const hookCounts = countManifestHooks(manifest);
+
+  return {
+    codexHome,
+    projectRoot: projectRoot || null,
+    watchers,
+    manifest: {
+      path: manifest.manifestPath,
+      exists: fs.existsSync(manifest.manifestPath),
+      projectPath: manifest.projectManifestPath,
+      projectExists: Boolean(manifest.projectManifestPath && fs.existsSync(manifest.projectManifestPath)),
+      generatedAt: manifest.generatedAt,
+      pluginCount: hookCounts.pluginCount,
+      topHookCount: hookCounts.topHookCount,
+      hookCommandCount: hookCounts.hookCount
+    }
+  };
+}
+
+function formatAge(isoText, nowMs) {
+  const ms = nowMs - Date.parse(isoText);
+  if (!Number.isFinite(ms)) {
+    return '?';
+  }
+  if (ms < 60_000) {
+    return `${Math.max(0, Math.round(ms / 1000))}s ago`;
+  }
+  if (ms < 60 * 60_000) {
+    return `${Math.round(ms / 60_000)}m ago`;
+  }
+  return `${Math.round(ms / (60 * 60_000))}h ago`;
+}
+
+function describeLastEvent(lastEvent, nowMs) {
+  if (!lastEvent) {
+    return '-';
+  }
+
+  const progress = lastEvent.completedAt
+    ? `${lastEvent.hookCount} hooks, ${lastEvent.failedHookCount} failed`
+    : 'hooks running';
+  return `${lastEvent.eventName} (${lastEvent.rawType}) ${formatAge(lastEvent.dispatchedAt, nowMs)}, ${progress}`;
+}
+
+function describeWatcherState(watcher) {
+  switch (watcher.state) {
+    case 'running':
+      return watcher.heartbeatStale ? 'running (heartbeat stale)' : 'running';
+    case 'stopped':
+      return `stopped${watcher.entry.stoppedAt ? ` at ${watcher.entry.stoppedAt}` : ''}`;
+    case 'pid-reused':
+      return 'not running (pid reused by another process)';
+    case 'unverified':
+      return 'not running (pid alive but heartbeat stale)';
+    default:
+      return 'not running (stale entry)';
+  }
+}
+
+function formatBridgeStatus(report, nowMs = Date.now()) {
+  const lines = [];
+  const { watchers, manifest } = report;
+
+  if (watchers.length === 0) {
+    lines.push(`Bridge watchers: none registered${report.projectRoot ? ` for ${report.projectRoot}` : ''}`);
+  } else {
+    lines.push(`Bridge watchers (${watchers.length}):`);
+  }
+
+  for (const watcher of watchers) {
+    const { entry } = watcher;
+    lines.push(`  ${entry.projectRoot || '(global)'}: ${describeWatcherState(watcher)}`);
+    lines.push(
+      `    pid ${entry.pid}${entry.startedAt ? `, since ${entry.startedAt}` : ''}` +
+      `, heartbeat ${entry.heartbeatAt ? formatAge(entry.heartbeatAt, nowMs) : '?'}` +
+      `, mode ${entry.watchMode || '?'}, pending hook events ${entry.pendingHookEvents || 0}`
+    );
+    lines.push(`    entry: ${watcher.entryPath}`);
+
+    const sessions = Array.isArray(entry.sessions) ? entry.sessions : [];
+    lines.push(`    Sessions (${sessions.length}):`);
+    for (const session of sessions) {
+      const state = session.ended ? 'ended' : (session.active ? 'active' : 'idle');
+      lines.push(`      ${session.sessionId}  [${state}]  ${session.cwd || '-'}`);
+      lines.push(`        last event: ${describeLastEvent(session.lastEvent, nowMs)}`);
+      lines.push(`        file:       ${session.sourceFile}`);
+    }
+  }
+
+  lines.push(
+    `Manifest: ${manifest.path}${manifest.exists ? '' : ' (missing)'}` +
+    ` — ${manifest.pluginCount} plugins, ${manifest.topHookCount} top-level hook sources, ${manifest.hookCommandCount} hook commands` +
+    `${manifest.generatedAt ? `, generated ${manifest.generatedAt}` : ''}`
+  );
+  if (manifest.projectPath) {
+    lines.push(`  project manifest: ${manifest.projectPath}${manifest.projectExists ? '' : ' (missing)'}`);
+  }
+
+  return lines.join('\n');
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const report = collectBridgeStatus(resolveCodexHome(options.codexHome), Date.now(), options.projectRoot);
+
+  console.log(options.json ? JSON.stringify(report, null, 2) : formatBridgeStatus(report));
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    console.error(`bridge status 运行失败: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  collectBridgeStatus,
+  formatBridgeStatus,
+  parseArgs
+};
@@ -14,16 +14,22 @@ const fs = require('fs');
 const os = require('os');
 const path = require('path');
 const crypto = require('crypto');
-const { execSync } = require('child_process');
 
 const { syncSources: syncBaseSources } = require('./sync-claude-all-to-codex');
+const { resolveGitToplevel, resolveProjectManifestPath, validateMatchExpression, validateMatcher } = require('./codex-plugin-bridge');
 
 const BRIDGE_MANIFEST_RELATIVE_PATH = path.join('plugins', 'claude-bridge', 'manifest.json');
+// notify is a top-level key, so this block must stay above the first table in config.toml.
+const NOTIFY_BLOCK_START = '# >>> claude-codex-sync:managed-notify:start >>>';
+const NOTIFY_BLOCK_END = '# <<< claude-codex-sync:managed-notify:end <<<';
 
 const DEFAULT_OPTIONS = {
   ignorePlugins: [],
   ignoreHookSources: [],
-  pluginNameMap: {}
+  pluginNameMap: {},
+  toolNameMap: {},
+  tokenBudgets: {},
+  notify: true
 };
 
 function parseArgs(argv) {
@@ -98,15 +104,7 @@ function detectProjectRoot(explicitRoot) {
     return explicitRoot;
   }
 
-  try {
-    const output = execSync('git rev-parse --show-toplevel', {
-      cwd: process.cwd(),
-      stdio: ['ignore', 'pipe', 'ignore']
-    });
-    return output.toString('utf8').trim();
-  } catch (_) {
-    return null;
-  }
+  return resolveGitToplevel(process.cwd());
 }
 
 function readJsonIfExists(filePath) {
@@ -138,8 +136,30 @@ function normalizeOptions(userOptions, configPath) {
     }
   }
 
-  if (!merged.pluginNameMap || typeof merged.pluginNameMap !== 'object' || Array.isArray(merged.pluginNameMap)) {
-    throw new Error(`${configPath} 中 pluginNameMap 必须是对象`);
+  for (const key of ['pluginNameMap', 'toolNameMap', 'tokenBudgets']) {
+    const value = merged[key];
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      throw new Error(`${configPath} 中 ${key} 必须是对象`);
+    }
+  }
+
+  for (const [codexToolName, claudeToolName] of Object.entries(merged.toolNameMap)) {
+    if (typeof claudeToolName !== 'string' || !claudeToolName.trim()) {
+      throw new Error(`${configPath} 中 toolNameMap.${codexToolName} 必须是非空字符串`);
+    }
+  }
+
+  if (typeof merged.notify !== 'boolean') {
+    throw new Error(`${configPath} 中 notify 必须是布尔值`);
+  }
+
+  for (const [key, value] of Object.entries(merged.tokenBudgets)) {
+    if (key !== 'perSession' && key !== 'perDay') {
+      throw new Error(`${configPath} 中 tokenBudgets 不支持 ${key}（可用: perSession, perDay）`);
+    }
+    if (!Number.isInteger(value) || value <= 0) {
+      throw new Error(`${configPath} 中 tokenBudgets.${key} 必须是正整数`);
+    }
   }
 
   return merged;
@@ -1005,6 +1025,18 @@ function parseHookDefinitions(hookConfigPath, warnings) {
 
     for (const eventRule of eventRules) {
       const matcher = typeof eventRule.matcher === 'string' && eventRule.matcher.trim() ? eventRule.matcher.trim() : null;
+      // The bridge would never fire a rule with a broken matcher; report it here instead.
+      const matcherErrors = validateMatcher(matcher);
+      // Bridge-only extension: structured matcher on individual event fields.
+      const match = eventRule.match === undefined ? null : eventRule.match;
+      if (match !== null) {
+        matcherErrors.push(...validateMatchExpression(match));
+      }
+      if (matcherErrors.length > 0) {
+        warnings.push(`${hookConfigPath} 的事件 ${eventName} 规则已跳过: ${matcherErrors.join('; ')}`);
+        continue;
+      }
+
       const hooks = Array.isArray(eventRule.hooks) ? eventRule.hooks : [];
       const commands = [];
 
@@ -1018,10 +1050,25 @@ function parseHookDefinitions(hookConfigPath, warnings) {
           timeout = hook.timeout;
         }
 
-        commands.push({
+        const commandSpec = {
           command: hook.command,
           timeout
-        });
+        };
+        // Bridge-only extensions: per-hook output and memory caps.
+        for (const limitKey of ['maxOutputBytes', 'memoryLimitMb']) {
+          if (typeof hook[limitKey] === 'number' && Number.isFinite(hook[limitKey]) && hook[limitKey] > 0) {
+            commandSpec[limitKey] = hook[limitKey];
+          }
+        }
+        // Opt-in retries with exponential backoff for transient failures.
+        if (Number.isInteger(hook.retries) && hook.retries > 0) {
+          commandSpec.retries = hook.retries;
+          if (typeof hook.retryBackoffMs === 'number' && Number.isFinite(hook.retryBackoffMs) && hook.retryBackoffMs >= 0) {
+            commandSpec.retryBackoffMs = hook.retryBackoffMs;
+          }
+        }
+
+        commands.push(commandSpec);
       }
 
       if (commands.length === 0) {
@@ -1031,6 +1078,7 @@ function parseHookDefinitions(hookConfigPath, warnings) {
       eventSpecs.push({
         eventName,
         matcher,
+        ...(match ? { match } : {}),
         commands
       });
     }
@@ -1039,7 +1087,228 @@ function parseHookDefinitions(hookConfigPath, warnings) {
   return eventSpecs;
 }
 
-function buildBridgeManifest({ codexHome, check, pluginReports, hookReports, projectRoot }) {
+function findNotifyBlock(configText) {
+  const start = configText.indexOf(NOTIFY_BLOCK_START);
+  if (start === -1) {
+    return null;
+  }
+
+  const endStart = configText.indexOf(NOTIFY_BLOCK_END, start);
+  if (endStart === -1) {
+    return null;
+  }
+
+  let end = endStart + NOTIFY_BLOCK_END.length;
+  if (configText[end] === '\n') {
+    end += 1;
+  }
+
+  return { start, end, blockText: configText.slice(start, end) };
+}
+
+/**
+ * 解析从 startIndex（指向 "["）开始的 TOML 字符串数组，支持基本字符串、字面量字符串、换行与注释；
+ * 无法解析时返回 null。
+ */
+function parseTomlStringArray(text, startIndex) {
+  const values = [];
+  let index = startIndex + 1;
+
+  while (index < text.length) {
+    const char = text[index];
+    if (/[\s,]/.test(char)) {
+      index += 1;
+      continue;
+    }
+
+    if (char === '#') {
+      const lineEnd = text.indexOf('\n', index);
+      if (lineEnd === -1) {
+        return null;
+      }
+      index = lineEnd;
+      continue;
+    }
+
+    if (char === ']') {
+      return { values, end: index + 1 };
+    }
+
+    if (char === '"') {
+      const match = /"(?:[^"\\\n]|\\.)*"/y;
+      match.lastIndex = index;
+      const found = match.exec(text);
+      if (!found) {
+        return null;
+      }
+      try {
+        values.push(JSON.parse(found[0]));
+      } catch (_) {
+        return null;
+      }
+      index += found[0].length;
+      continue;
+    }
+
+    if (char === "'") {
+      const end = text.indexOf("'", index + 1);
+      if (end === -1 || text.slice(index + 1, end).includes('\n')) {
+        return null;
+      }
+      values.push(text.slice(index + 1, end));
+      index = end + 1;
+      continue;
+    }
+
+    return null;
+  }
+
+  return null;
+}
+
+/**
+ * 在 config.toml 的顶层区域（第一个表头之前）查找 notify 赋值。
+ * 返回 null（不存在）、{ invalid: true }（无法解析）或 { start, end, values }。
+ */
+function findTopLevelNotify(configText) {
+  const tableMatch = /^[ \t]*\[/m.exec(configText);
+  const topLevel = tableMatch ? configText.slice(0, tableMatch.index) : configText;
+  const assignment = /^[ \t]*notify[ \t]*=[ \t]*/m.exec(topLevel);
+  if (!assignment) {
+    return null;
+  }
+
+  const valueIndex = assignment.index + assignment[0].length;
+  const parsed = configText[valueIndex] === '[' ? parseTomlStringArray(configText, valueIndex) : null;
+  if (!parsed) {
+    return { invalid: true };
+  }
+
+  let end = parsed.end;
+  const lineEnd = configText.indexOf('\n', end);
+  const rest = configText.slice(end, lineEnd === -1 ? configText.length : lineEnd);
+  if (!/^\s*(#.*)?$/.test(rest)) {
+    return { invalid: true };
+  }
+  end = lineEnd === -1 ? configText.length : lineEnd + 1;
+
+  return { start: assignment.index, end, values: parsed.values };
+}
+
+function readNotifyChainFromBlock(blockText) {
+  const notify = findTopLevelNotify(blockText);
+  if (!notify || notify.invalid) {
+    return null;
+  }
+
+  const chainArg = notify.values.find(value => value.startsWith('--notify-chain='));
+  if (!chainArg) {
+    return null;
+  }
+
+  try {
+    const chain = JSON.parse(chainArg.slice('--notify-chain='.length));
+    return Array.isArray(chain) && chain.length > 0 ? chain : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+function formatTomlStringArray(values) {
+  // JSON strings are valid TOML basic strings.
+  return `[${values.map(value => JSON.stringify(value)).join(', ')}]`;
+}
+
+function buildNotifyBlock(codexHome, bridgeScriptPath, chain) {
+  // Codex runs notify without the user's shell setup, so a bare "node" may not be on its PATH.
+  const command = [process.execPath, bridgeScriptPath, '--notify', `--codex-home=${codexHome}`];
+  if (chain) {
+    command.push(`--notify-chain=${JSON.stringify(chain)}`);
+  }
+
+  return [
+    NOTIFY_BLOCK_START,
+    '# Auto-generated by claude-runtime-sync: Codex runs the plugin bridge when a turn completes (Stop / TaskComplete hooks).',
+    '# A notify program configured before is chained via --notify-chain; set "notify": false in ~/.claude/.codex-sync.json to restore it.',
+    `notify = ${formatTomlStringArray(command)}`,
+    NOTIFY_BLOCK_END,
+    ''
+  ].join('\n');
+}
+
+function resolveBridgeScriptPath(codexHome) {
+  // Prefer the copy installed by `crs install`; fall back to the bridge shipped next to this script.
+  const installedPath = path.join(codexHome, 'scripts', 'codex-plugin-bridge.js');
+  return fs.existsSync(installedPath) ? installedPath : path.join(__dirname, 'codex-plugin-bridge.js');
+}
+
+/**
+ * 在 config.toml 顶层写入托管的 notify 条目，让 Codex 在 agent-turn-complete 时直接调用 bridge。
+ * 用户已有的 notify 会移入托管条目并通过 --notify-chain 继续调用；关闭时恢复为原来的 notify。
+ */
+function syncNotifyConfig({ codexHome, check, enabled }) {
+  const configPath = path.join(codexHome, 'config.toml');
+  const oldText = fs.existsSync(configPath) ? fs.readFileSync(configPath, 'utf8') : '';
+  const warnings = [];
+
+  const block = findNotifyBlock(oldText);
+  let text = block ? `${oldText.slice(0, block.start)}${oldText.slice(block.end)}` : oldText;
+  let chain = block ? readNotifyChainFromBlock(block.blockText) : null;
+  let insertAt = block ? block.start : 0;
+
+  const userNotify = findTopLevelNotify(text);
+  if (userNotify && userNotify.invalid) {
+    warnings.push(`${configPath} 中已有的 notify 无法解析，未写入托管 notify`);
+    return { enabled: false, changed: false, configPath, chain: null, warnings };
+  }
+
+  if (userNotify) {
+    // A notify added outside the managed block replaces the previously chained program.
+    chain = userNotify.values.length > 0 ? userNotify.values : null;
+    text = `${text.slice(0, userNotify.start)}${text.slice(userNotify.end)}`;
+    insertAt = userNotify.start;
+  }
+
+  const tableMatch = /^[ \t]*\[/m.exec(text);
+  if (tableMatch && insertAt > tableMatch.index) {
+    insertAt = 0;
+  }
+
+  let entryText = '';
+  if (enabled) {
+    entryText = buildNotifyBlock(codexHome, resolveBridgeScriptPath(codexHome), chain);
+  } else if (chain) {
+    entryText = `notify = ${formatTomlStringArray(chain)}\n`;
+  }
+
+  const after = text.slice(insertAt);
+  const separator = entryText && after && !after.startsWith('\n') && insertAt === 0 ? '\n' : '';
+  const newText = `${text.slice(0, insertAt)}${entryText}${separator}${after}`;
+  const changed = newText !== oldText;
+
+  if (changed && !check) {
+    fs.mkdirSync(path.dirname(configPath), { recursive: true });
+    fs.writeFileSync(configPath, newText, 'utf8');
+  }
+
+  return { enabled, changed, configPath, chain, warnings };
+}
+
+/**
+ * 生成一份 bridge manifest：不带 projectRoot 时写 home manifest，
+ * 带 projectRoot 时写该项目专属的 manifest（bridge 运行时再与 home manifest 合并）。
+ */
+function buildBridgeManifest({
+  codexHome,
+  check,
+  pluginReports,
+  hookReports,
+  projectRoot,
+  toolNameMap = {},
+  mcpServers = [],
+  tokenBudgets = {},
+  notify = false
+}) {
   const warnings = [];
   const pluginByName = new Map();
   const sourcePriority = { project: 2, home: 1 };
@@ -1101,17 +1370,29 @@ function buildBridgeManifest({ codexHome, check, pluginReports, hookReports, pro
     version: 1,
     projectRoot: projectRoot || null,
     plugins: [...pluginByName.values()],
-    topHooks: topHookSources
+    topHooks: topHookSources,
+    toolNameMap,
+    // Normalized MCP server keys written to config.toml, used to build mcp__<server>__<tool> names.
+    mcpServers,
+    tokenBudgets,
+    // Tells log tailing to share Stop / TaskComplete with the Codex notify entrypoint.
+    notify
   };
 
-  const manifestPath = path.join(codexHome, BRIDGE_MANIFEST_RELATIVE_PATH);
+  const manifestPath = projectRoot
+    ? resolveProjectManifestPath(codexHome, projectRoot)
+    : path.join(codexHome, BRIDGE_MANIFEST_RELATIVE_PATH);
   const oldManifest = readJsonIfExists(manifestPath);
   const oldContentPayload = oldManifest && typeof oldManifest === 'object'
     ? {
       version: oldManifest.version || 1,
       projectRoot: Object.prototype.hasOwnProperty.call(oldManifest, 'projectRoot') ? oldManifest.projectRoot : null,
       plugins: Array.isArray(oldManifest.plugins) ? oldManifest.plugins : [],
-      topHooks: Array.isArray(oldManifest.topHooks) ? oldManifest.topHooks : []
+      topHooks: Array.isArray(oldManifest.topHooks) ? oldManifest.topHooks : [],
+      toolNameMap: oldManifest.toolNameMap && typeof oldManifest.toolNameMap === 'object' ? oldManifest.toolNameMap : {},
+      mcpServers: Array.isArray(oldManifest.mcpServers) ? oldManifest.mcpServers : [],
+      tokenBudgets: oldManifest.tokenBudgets && typeof oldManifest.tokenBudgets === 'object' ? oldManifest.tokenBudgets : {},
+      notify: oldManifest.notify === true
     }
     : null;
 
@@ -1125,8 +1406,11 @@ function buildBridgeManifest({ codexHome, check, pluginReports, hookReports, pro
   };
 
   if (changed && !check) {
+    // A running bridge hot-reloads this file, so never let it observe a half-written manifest.
+    const tempPath = `${manifestPath}.${process.pid}.tmp`;
     fs.mkdirSync(path.dirname(manifestPath), { recursive: true });
-    fs.writeFileSync(manifestPath, `${JSON.stringify(manifest, null, 2)}\n`, 'utf8');
+    fs.writeFileSync(tempPath, `${JSON.stringify(manifest, null, 2)}\n`, 'utf8');
+    fs.renameSync(tempPath, manifestPath);
   }
 
   return {
@@ -1268,13 +1552,49 @@ function syncRuntimeSources({ projectRoot, claudeHome, codexHome, check, include
     };
   warnings.push(...docAliases.warnings);
 
-  const bridgeManifest = buildBridgeManifest({
-    codexHome,
-    check,
-    pluginReports,
-    hookReports,
-    projectRoot
-  });
+  // config.toml is shared by every project, so the notify entry follows the home options only.
+  const notify = includeHome
+    ? syncNotifyConfig({ codexHome, check, enabled: homeOptions.notify })
+    : null;
+  if (notify) {
+    warnings.push(...notify.warnings);
+  }
+
+  const mcpServers = baseReport.mcp && Array.isArray(baseReport.mcp.serverNames) ? baseReport.mcp.serverNames : [];
+  const homeBridgeManifest = includeHome
+    ? buildBridgeManifest({
+      codexHome,
+      check,
+      pluginReports: pluginReports.filter(item => item.source === 'home'),
+      hookReports: hookReports.filter(item => item.sourceType === 'home'),
+      projectRoot: null,
+      toolNameMap: homeOptions.toolNameMap,
+      mcpServers,
+      tokenBudgets: homeOptions.tokenBudgets,
+      notify: Boolean(notify && notify.enabled)
+    })
+    : null;
+  const projectBridgeManifest = includeProject && projectRoot
+    ? buildBridgeManifest({
+      codexHome,
+      check,
+      pluginReports: pluginReports.filter(item => item.source === 'project'),
+      hookReports: hookReports.filter(item => item.sourceType === 'project'),
+      projectRoot: path.resolve(projectRoot),
+      toolNameMap: projectOptions.toolNameMap,
+      mcpServers,
+      tokenBudgets: projectOptions.tokenBudgets
+    })
+    : null;
+  const bridgeManifests = [homeBridgeManifest, projectBridgeManifest].filter(Boolean);
+  const bridgeManifest = {
+    changed: bridgeManifests.some(item => item.changed),
+    manifestPath: homeBridgeManifest ? homeBridgeManifest.manifestPath : null,
+    projectManifestPath: projectBridgeManifest ? projectBridgeManifest.manifestPath : null,
+    pluginCount: bridgeManifests.reduce((sum, item) => sum + item.pluginCount, 0),
+    topHookCount: bridgeManifests.reduce((sum, item) => sum + item.topHookCount, 0),
+    warnings: bridgeManifests.flatMap(item => item.warnings)
+  };
   warnings.push(...bridgeManifest.warnings);
 
   const pluginsChanged = pluginReports.some(item => item.changed);
@@ -1282,7 +1602,9 @@ function syncRuntimeSources({ projectRoot, claudeHome, codexHome, check, include
   const pluginSkillsChanged = pluginSkillReports.some(item => item.changed);
 
   return {
-    changed: Boolean(baseReport.changed || pluginsChanged || hooksChanged || pluginSkillsChanged || docAliases.changed || bridgeManifest.changed),
+    changed: Boolean(
+      baseReport.changed || pluginsChanged || hooksChanged || pluginSkillsChanged || docAliases.changed || bridgeManifest.changed || (notify && notify.changed)
+    ),
     check,
     claudeHome,
     codexHome,
@@ -1295,6 +1617,7 @@ function syncRuntimeSources({ projectRoot, claudeHome, codexHome, check, include
     pluginSkillReports,
     docAliases,
     bridgeManifest,
+    notify,
     warnings
   };
 }
@@ -1374,10 +1697,24 @@ function printReport(report) {
   }
 
   console.log('\n🧠 Plugin Bridge Manifest:');
-  console.log(`- 文件: ${report.bridgeManifest.manifestPath}`);
+  if (report.bridgeManifest.manifestPath) {
+    console.log(`- 文件: ${report.bridgeManifest.manifestPath}`);
+  }
+  if (report.bridgeManifest.projectManifestPath) {
+    console.log(`- 项目文件: ${report.bridgeManifest.projectManifestPath}`);
+  }
   console.log(`- 激活插件数: ${report.bridgeManifest.pluginCount}`);
   console.log(`- 顶层 hooks 数: ${report.bridgeManifest.topHookCount}`);
 
+  console.log('\n🔔 Codex notify:');
+  if (!report.notify) {
+    console.log('- 本次未启用 notify 同步');
+  } else {
+    console.log(`- 目标配置: ${report.notify.configPath}`);
+    console.log(`- 状态: ${report.notify.enabled ? '已托管（turn 结束时直接调用 bridge）' : '未托管'}`);
+    console.log(`- 串联的原 notify: ${report.notify.chain ? report.notify.chain.join(' ') : '无'}`);
+  }
+
   const warningSet = [...new Set(report.warnings || [])];
   if (warningSet.length > 0) {
     console.log('\n⚠️ Warnings:');
@@ -1435,6 +1772,7 @@ module.exports = {
   parseHookDefinitions,
   syncDocAliases,
   syncHooksDir,
+  syncNotifyConfig,
   syncPluginSkills,
   syncPlugins,
   syncRuntimeSources
@@ -9,16 +9,85 @@
 
 const fs = require('fs');
 const os = require('os');
+const crypto = require('crypto');
 const path = require('path');
-const { spawnSync } = require('child_process');
+const zlib = require('zlib');
+const { spawn, spawnSync } = require('child_process');
+// Installed next to this script in ~/.codex/scripts; Codex server keys are normalized at sync time.
+const { normalizeMcpKey } = require('./sync-claude-all-to-codex');
 
 const BRIDGE_MANIFEST_RELATIVE_PATH = path.join('plugins', 'claude-bridge', 'manifest.json');
 const DEFAULT_DEBUG_LOG_RELATIVE_PATH = path.join('log', 'plugin-bridge.log');
-const WATCH_LOCK_RELATIVE_PATH = path.join('plugins', 'claude-bridge', 'watch.lock');
+const PROJECT_MANIFEST_DIR_RELATIVE_PATH = path.join('plugins', 'claude-bridge', 'projects');
+// One entry per project scope; it doubles as the watcher's status file and heartbeat.
+const WATCHER_REGISTRY_DIR_RELATIVE_PATH = path.join('plugins', 'claude-bridge', 'watchers');
+const WATCH_STATUS_VERSION = 1;
+const WATCH_STATUS_HEARTBEAT_MS = 5000;
+const WATCHER_HEARTBEAT_STALE_MS = 30_000;
+// A replaced watcher drains its hooks (drainTimeoutMs + kill grace) before exiting; this is the extra margin.
+const WATCHER_TAKEOVER_SLACK_MS = 5000;
+const WATCHER_REGISTER_ATTEMPTS = 3;
+const WATCH_STATUS_MAX_SESSIONS = 50;
+const CHECKPOINT_DIR_RELATIVE_PATH = path.join('plugins', 'claude-bridge', 'checkpoints');
+const CHECKPOINT_VERSION = 1;
+// With --initial-since, files missing from an existing checkpoint are read from shortly before its last save.
+const CHECKPOINT_SINCE_SLACK_SEC = 60;
+// One subdirectory per bridge scope (like checkpoints) so concurrent bridges never rewrite each other's cache files.
+const TRANSCRIPT_DIR_RELATIVE_PATH = path.join('plugins', 'claude-bridge', 'transcripts');
+const TRANSCRIPT_REBUILD_CHUNK_BYTES = 1024 * 1024;
+// Shared by the notify entrypoint and log tailing to run each turn's Stop hooks once.
+const TURN_CLAIM_DIR_RELATIVE_PATH = path.join('plugins', 'claude-bridge', 'turn-claims');
+const TURN_CLAIM_TTL_MS = 10 * 60 * 1000;
+const NOTIFY_READ_CHUNK_BYTES = 64 * 1024;
+// Every bridge publishes its per-session daily token usage here so perDay budgets cover all projects.
+const TOKEN_LEDGER_DIR_RELATIVE_PATH = path.join('plugins', 'claude-bridge', 'token-usage');
+const CHECKPOINT_FILE_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// fs.watch mode still wakes periodically for idle-session checks, and walks the whole
+// sessions tree at a much lower rate to catch anything the watchers missed.
+const FS_WATCH_MAX_WAIT_MS = 5000;
+const FS_WATCH_RESCAN_INTERVAL_MS = 60_000;
+const FS_WATCH_ACTIVE_FILE_WINDOW_MS = DAY_MS;
+const FS_WATCH_MAX_FILE_WATCHERS = 64;
 const RECENT_EVENT_TTL_MS = 30_000;
 const RECENT_EVENT_MAX = 2000;
-const WATCH_CLEANUP_LOG_TAIL_BYTES = 32 * 1024 * 1024;
-const WATCH_CLEANUP_ACTIVITY_WINDOW_MS = 6 * 60 * 60 * 1000;
+const TOOL_CALL_TRACK_MAX = 500;
+// Codex exposes MCP tools to the model as "<server>__<tool>".
+const MCP_TOOL_NAME_DELIMITER = '__';
+const DEFAULT_DEBUG_LOG_MAX_BYTES = 10 * 1024 * 1024;
+const DEFAULT_DEBUG_LOG_MAX_AGE_MS = DAY_MS;
+const DEFAULT_DEBUG_LOG_KEEP = 5;
+const DEBUG_LOG_HEAD_PROBE_BYTES = 512;
+// Writes are counted in memory; the file is re-stat'ed this often to notice other bridges writing or rotating it.
+const DEBUG_LOG_STAT_INTERVAL_MS = 5000;
+const INJECTED_USER_MESSAGE_PATTERN = /^(<environment_context>|<user_instructions>|<user_shell_command>|# AGENTS\.md instructions)/;
+const DEFAULT_SESSION_IDLE_MS = 30 * 60 * 1000;
+const DEFAULT_HOOK_CONCURRENCY = 4;
+const DEFAULT_DRAIN_TIMEOUT_MS = 10_000;
+const HOOK_KILL_GRACE_MS = 2000;
+const DEFAULT_HOOK_FAILURE_THRESHOLD = 5;
+const DEFAULT_HOOK_COOLDOWN_MS = 5 * 60 * 1000;
+const DEFAULT_HOOK_RETRY_BACKOFF_MS = 1000;
+const HOOK_MAX_RETRIES = 10;
+// Sum of all backoff sleeps for one hook invocation; the session's event queue waits on it.
+const HOOK_RETRY_MAX_TOTAL_DELAY_MS = 10_000;
+const HOOK_OUTPUT_FLUSH_GRACE_MS = 500;
+const HOOK_STDERR_TAIL_CHARS = 4096;
+const DEFAULT_HOOK_OUTPUT_CAPTURE_BYTES = 4096;
+// Whole name segments only, so SSH_AUTH_SOCK, XAUTHORITY or GIT_AUTHOR_NAME are not treated as secrets.
+const SECRET_ENV_NAME_PATTERN = /(^|_)(TOKEN|SECRET|PASSWORD|PASSWD|API_?KEY|PRIVATE_?KEY|CREDENTIALS?)(_|$)|(^|_)AUTH$/i;
+// Shorter values (flags, ports, "true") would mask unrelated output.
+const SECRET_MIN_LENGTH = 8;
+const HOOK_MEMORY_ERROR_PATTERN = /cannot allocate memory|out of memory|memory exhausted|bad_alloc/i;
+// Events that do not belong to a session file (e.g. the synthetic --emit-stop) share one queue.
+const BRIDGE_EVENT_QUEUE_KEY = 'bridge';
+// Per-turn summaries keep at most this many commands / files; env copies are capped to stay under ARG_MAX.
+const TURN_SUMMARY_MAX_ITEMS = 200;
+const TURN_ENV_VALUE_MAX_CHARS = 8192;
+const TURN_SHELL_TOOL_NAMES = new Set(['shell', 'local_shell', 'container_exec', 'container.exec', 'exec_command', 'shell_command']);
+// Fields a structured `match` expression can test; see buildMatchFields.
+const MATCH_FIELDS = ['tool_name', 'command', 'cwd', 'path'];
+const SESSION_ID_PATTERN = /([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})\.jsonl$/i;
 
 const CODEX_EVENT_MAP = {
   exec_approval_request: ['PermissionRequest'],
@@ -33,7 +102,38 @@ const CODEX_EVENT_MAP = {
   warning: ['ToolError'],
   turn_aborted: ['ToolError'],
   stream_error: ['ToolError'],
-  mcp_startup_complete: ['MCPStartupComplete']
+  mcp_startup_complete: ['MCPStartupComplete'],
+  token_count: ['TokenUsage'],
+  // Synthesized by the bridge when token usage crosses a manifest tokenBudgets threshold.
+  budget_exceeded: ['BudgetExceeded'],
+  session_meta: ['SessionStart'],
+  user_prompt: ['UserPromptSubmit'],
+  // Synthesized by the bridge when a session goes idle or the watcher shuts down.
+  session_end: ['SessionEnd'],
+  function_call: ['PreToolUse'],
+  custom_tool_call: ['PreToolUse'],
+  mcp_tool_call_begin: ['PreToolUse'],
+  function_call_output: ['PostToolUse'],
+  custom_tool_call_output: ['PostToolUse'],
+  mcp_tool_call_end: ['PostToolUse']
+};
+
+// Codex tool name -> Claude tool name, so Claude matchers such as "Edit|Write" keep working.
+// Extend or override via toolNameMap in .claude-codex-sync.json (written into the manifest).
+const DEFAULT_TOOL_NAME_MAP = {
+  shell: 'Bash',
+  local_shell: 'Bash',
+  container_exec: 'Bash',
+  'container.exec': 'Bash',
+  exec_command: 'Bash',
+  write_stdin: 'Bash',
+  apply_patch: 'Edit',
+  read_file: 'Read',
+  view_image: 'Read',
+  list_dir: 'LS',
+  grep_files: 'Grep',
+  web_search: 'WebSearch',
+  update_plan: 'TodoWrite'
 };
 
 function parseArgs(argv) {
@@ -41,12 +141,30 @@ function parseArgs(argv) {
     codexHome: null,
     projectRoot: null,
     since: null,
+    initialSince: null,
     watch: false,
     pollMs: 600,
+    sessionIdleMs: DEFAULT_SESSION_IDLE_MS,
     emitStop: false,
     quiet: true,
     debugLog: true,
-    debugLogPath: null
+    debugLogPath: null,
+    debugLogMaxBytes: DEFAULT_DEBUG_LOG_MAX_BYTES,
+    debugLogMaxAgeMs: DEFAULT_DEBUG_LOG_MAX_AGE_MS,
+    debugLogKeep: DEFAULT_DEBUG_LOG_KEEP,
+    debugLogGzip: false,
+    checkpoint: true,
+    fsWatch: true,
+    execSessions: true,
+    transcripts: true,
+    notify: false,
+    notifyChain: null,
+    notification: null,
+    hookConcurrency: DEFAULT_HOOK_CONCURRENCY,
+    hookOutputBytes: DEFAULT_HOOK_OUTPUT_CAPTURE_BYTES,
+    hookFailureThreshold: DEFAULT_HOOK_FAILURE_THRESHOLD,
+    hookCooldownMs: DEFAULT_HOOK_COOLDOWN_MS,
+    drainTimeoutMs: DEFAULT_DRAIN_TIMEOUT_MS
   };
 
   for (const arg of argv) {
@@ -65,6 +183,51 @@ function parseArgs(argv) {
       continue;
     }
 
+    if (arg === '--no-fs-watch') {
+      options.fsWatch = false;
+      continue;
+    }
+
+    if (arg === '--no-checkpoint') {
+      options.checkpoint = false;
+      continue;
+    }
+
+    if (arg === '--no-exec-sessions') {
+      options.execSessions = false;
+      continue;
+    }
+
+    if (arg === '--no-transcripts') {
+      options.transcripts = false;
+      continue;
+    }
+
+    if (arg === '--notify') {
+      options.notify = true;
+      continue;
+    }
+
+    if (arg.startsWith('--notify-chain=')) {
+      let command;
+      try {
+        command = JSON.parse(arg.slice('--notify-chain='.length));
+      } catch (_) {
+        command = null;
+      }
+      if (!Array.isArray(command) || command.length === 0 || !command.every(item => typeof item === 'string')) {
+        throw new Error('--notify-chain 必须是非空的 JSON 字符串数组');
+      }
+      options.notifyChain = command;
+      continue;
+    }
+
+    // Codex appends the notification JSON as the last argument of the notify program.
+    if (options.notify && !arg.startsWith('--')) {
+      options.notification = arg;
+      continue;
+    }
+
     if (arg === '--debug-log') {
       options.debugLog = true;
       continue;
@@ -75,6 +238,35 @@ function parseArgs(argv) {
       continue;
     }
 
+    if (arg === '--debug-log-gzip') {
+      options.debugLogGzip = true;
+      continue;
+    }
+
+    if (arg.startsWith('--debug-log-max-bytes=')) {
+      const raw = Number(arg.slice('--debug-log-max-bytes='.length));
+      if (Number.isInteger(raw) && raw >= 0) {
+        options.debugLogMaxBytes = raw;
+      }
+      continue;
+    }
+
+    if (arg.startsWith('--debug-log-max-age-ms=')) {
+      const raw = Number(arg.slice('--debug-log-max-age-ms='.length));
+      if (Number.isFinite(raw) && raw >= 0) {
+        options.debugLogMaxAgeMs = raw;
+      }
+      continue;
+    }
+
+    if (arg.startsWith('--debug-log-keep=')) {
+      const raw = Number(arg.slice('--debug-log-keep='.length));
+      if (Number.isInteger(raw) && raw >= 0) {
+        options.debugLogKeep = raw;
+      }
+      continue;
+    }
+
     if (arg.startsWith('--debug-log=')) {
       options.debugLog = true;
       options.debugLogPath = path.resolve(arg.slice('--debug-log='.length));
@@ -99,6 +291,62 @@ function parseArgs(argv) {
       continue;
     }
 
+    if (arg.startsWith('--initial-since=')) {
+      const raw = Number(arg.slice('--initial-since='.length));
+      if (Number.isFinite(raw) && raw > 0) {
+        options.initialSince = raw;
+      }
+      continue;
+    }
+
+    if (arg.startsWith('--session-idle-ms=')) {
+      const raw = Number(arg.slice('--session-idle-ms='.length));
+      if (Number.isFinite(raw) && raw >= 1000) {
+        options.sessionIdleMs = raw;
+      }
+      continue;
+    }
+
+    if (arg.startsWith('--hook-concurrency=')) {
+      const raw = Number(arg.slice('--hook-concurrency='.length));
+      if (Number.isInteger(raw) && raw >= 1) {
+        options.hookConcurrency = raw;
+      }
+      continue;
+    }
+
+    if (arg.startsWith('--hook-output-bytes=')) {
+      const raw = Number(arg.slice('--hook-output-bytes='.length));
+      if (Number.isInteger(raw) && raw >= 0) {
+        options.hookOutputBytes = raw;
+      }
+      continue;
+    }
+
+    if (arg.startsWith('--hook-failure-threshold=')) {
+      const raw = Number(arg.slice('--hook-failure-threshold='.length));
+      if (Number.isInteger(raw) && raw >= 0) {
+        options.hookFailureThreshold = raw;
+      }
+      continue;
+    }
+
+    if (arg.startsWith('--hook-cooldown-ms=')) {
+      const raw = Number(arg.slice('--hook-cooldown-ms='.length));
+      if (Number.isFinite(raw) && raw >= 0) {
+        options.hookCooldownMs = raw;
+      }
+      continue;
+    }
+
+    if (arg.startsWith('--drain-timeout-ms=')) {
+      const raw = Number(arg.slice('--drain-timeout-ms='.length));
+      if (Number.isFinite(raw) && raw >= 0) {
+        options.drainTimeoutMs = raw;
+      }
+      continue;
+    }
+
     if (arg.startsWith('--poll-ms=')) {
       const raw = Number(arg.slice('--poll-ms='.length));
       if (Number.isFinite(raw) && raw >= 200) {
@@ -142,21 +390,267 @@ function readJsonIfExists(filePath) {
   }
 }
 
-function readManifest(codexHome) {
-  const manifestPath = path.join(codexHome, BRIDGE_MANIFEST_RELATIVE_PATH);
+function resolveProjectManifestPath(codexHome, projectRoot) {
+  // Keyed by the full project path so two checkouts with the same basename never share hooks.
+  const resolvedRoot = path.resolve(projectRoot);
+  const key = crypto.createHash('sha1').update(resolvedRoot).digest('hex').slice(0, 16);
+  const label = path.basename(resolvedRoot).replace(/[^A-Za-z0-9._-]+/g, '-') || 'root';
+  return path.join(codexHome, PROJECT_MANIFEST_DIR_RELATIVE_PATH, `${label}-${key}`, 'manifest.json');
+}
+
+function resolveGitToplevel(dirPath) {
+  const result = spawnSync('git', ['rev-parse', '--show-toplevel'], {
+    cwd: dirPath,
+    encoding: 'utf8',
+    stdio: ['ignore', 'pipe', 'ignore']
+  });
+  const toplevel = result.status === 0 ? result.stdout.trim() : '';
+  return toplevel || null;
+}
+
+/**
+ * 把启动目录（如 zsh wrapper 传入的 $PWD）解析成 crs sync 写项目 manifest 时用的项目根：
+ * 先向上查找已有项目 manifest 的目录（sync 显式指定了子目录时也能对上），
+ * 都没有时与 sync 一样取 git 顶层目录，不在仓库内则为启动目录本身。
+ */
+function findProjectRoot(codexHome, startDir) {
+  const resolvedStart = path.resolve(startDir);
+  for (let dirPath = resolvedStart; ; dirPath = path.dirname(dirPath)) {
+    if (fs.existsSync(resolveProjectManifestPath(codexHome, dirPath))) {
+      return dirPath;
+    }
+    if (path.dirname(dirPath) === dirPath) {
+      break;
+    }
+  }
+
+  return resolveGitToplevel(resolvedStart) || resolvedStart;
+}
+
+function normalizeTokenBudgets(tokenBudgets) {
+  const budgets = {};
+  for (const key of ['perSession', 'perDay']) {
+    const value = tokenBudgets && typeof tokenBudgets === 'object' ? tokenBudgets[key] : null;
+    if (Number.isInteger(value) && value > 0) {
+      budgets[key] = value;
+    }
+  }
+
+  return budgets;
+}
+
+function normalizeManifestFile(manifestPath) {
   const manifest = readJsonIfExists(manifestPath);
   if (!manifest || typeof manifest !== 'object') {
-    return {
-      manifestPath,
-      plugins: [],
-      topHooks: []
-    };
+    return null;
   }
 
   return {
-    manifestPath,
+    projectRoot: typeof manifest.projectRoot === 'string' ? manifest.projectRoot : null,
+    generatedAt: typeof manifest.generatedAt === 'string' ? manifest.generatedAt : null,
     plugins: Array.isArray(manifest.plugins) ? manifest.plugins : [],
-    topHooks: Array.isArray(manifest.topHooks) ? manifest.topHooks : []
+    topHooks: Array.isArray(manifest.topHooks) ? manifest.topHooks : [],
+    toolNameMap: manifest.toolNameMap && typeof manifest.toolNameMap === 'object' && !Array.isArray(manifest.toolNameMap)
+      ? manifest.toolNameMap
+      : {},
+    mcpServers: Array.isArray(manifest.mcpServers)
+      ? manifest.mcpServers.filter(item => typeof item === 'string' && item)
+      : [],
+    tokenBudgets: normalizeTokenBudgets(manifest.tokenBudgets),
+    notify: manifest.notify === true
+  };
+}
+
+/**
+ * 读取 home manifest，并与 projectRoot 对应的项目 manifest 合并：
+ * 同名插件以项目为准，顶层 hooks 叠加，toolNameMap 按 默认 → home → 项目 覆盖，tokenBudgets 按项 以项目为准。
+ */
+function readManifest(codexHome, projectRoot = null) {
+  const manifestPath = path.join(codexHome, BRIDGE_MANIFEST_RELATIVE_PATH);
+  const projectManifestPath = projectRoot ? resolveProjectManifestPath(codexHome, projectRoot) : null;
+  const homeManifest = normalizeManifestFile(manifestPath);
+  const projectManifest = projectManifestPath ? normalizeManifestFile(projectManifestPath) : null;
+
+  let homePlugins = homeManifest ? homeManifest.plugins : [];
+  let homeTopHooks = homeManifest ? homeManifest.topHooks : [];
+  if (homeManifest && (projectManifest || !projectRoot || homeManifest.projectRoot !== path.resolve(projectRoot))) {
+    // Manifests written before per-project files carried one project's sources in the home file;
+    // only the bridge for that same project may still use them.
+    homePlugins = homePlugins.filter(source => source.sourceType !== 'project');
+    homeTopHooks = homeTopHooks.filter(source => source.sourceType !== 'project');
+  }
+
+  const pluginByName = new Map(homePlugins.map(plugin => [plugin.name, plugin]));
+  for (const plugin of projectManifest ? projectManifest.plugins : []) {
+    pluginByName.set(plugin.name, plugin);
+  }
+
+  const generatedAt = [homeManifest, projectManifest]
+    .map(item => (item ? item.generatedAt : null))
+    .filter(Boolean)
+    .sort()
+    .pop() || null;
+
+  return {
+    manifestPath,
+    projectManifestPath,
+    generatedAt,
+    plugins: [...pluginByName.values()],
+    topHooks: [...homeTopHooks, ...(projectManifest ? projectManifest.topHooks : [])],
+    toolNameMap: {
+      ...DEFAULT_TOOL_NAME_MAP,
+      ...(homeManifest ? homeManifest.toolNameMap : {}),
+      ...(projectManifest ? projectManifest.toolNameMap : {})
+    },
+    mcpServers: [...new Set([
+      ...(homeManifest ? homeManifest.mcpServers : []),
+      ...(projectManifest ? projectManifest.mcpServers : [])
+    ])],
+    tokenBudgets: {
+      ...(homeManifest ? homeManifest.tokenBudgets : {}),
+      ...(projectManifest ? projectManifest.tokenBudgets : {})
+    },
+    // config.toml is global, so only the home manifest records whether Codex notify runs the bridge.
+    notify: Boolean(homeManifest && homeManifest.notify)
+  };
+}
+
+/**
+ * 检查 manifest 中各 hook 来源的基本结构，返回错误描述列表（空数组表示可用）。
+ */
+function validateManifest(manifest) {
+  const errors = [];
+  const sources = [
+    ...manifest.plugins.map((source, index) => [`plugins[${index}]`, source]),
+    ...manifest.topHooks.map((source, index) => [`topHooks[${index}]`, source])
+  ];
+
+  for (const [label, source] of sources) {
+    if (!source || typeof source !== 'object' || !Array.isArray(source.events)) {
+      errors.push(`${label} 缺少 events 数组`);
+      continue;
+    }
+
+    source.events.forEach((eventDef, eventIndex) => {
+      if (!eventDef || typeof eventDef.eventName !== 'string' || !Array.isArray(eventDef.commands)) {
+        errors.push(`${label}.events[${eventIndex}] 缺少 eventName 或 commands`);
+      }
+    });
+  }
+
+  return errors;
+}
+
+function countManifestHooks(manifest) {
+  let hookCount = 0;
+  for (const source of [...manifest.plugins, ...manifest.topHooks]) {
+    for (const eventDef of Array.isArray(source.events) ? source.events : []) {
+      hookCount += Array.isArray(eventDef.commands) ? eventDef.commands.length : 0;
+    }
+  }
+
+  return { pluginCount: manifest.plugins.length, topHookCount: manifest.topHooks.length, hookCount };
+}
+
+// Returns null while a manifest is empty, i.e. most likely truncated by a writer that has not finished yet.
+function readManifestSignature(manifestPaths) {
+  const parts = [];
+  for (const filePath of manifestPaths) {
+    const stat = fs.statSync(filePath, { throwIfNoEntry: false });
+    if (stat && stat.size === 0) {
+      return null;
+    }
+    parts.push(stat ? `${stat.ino}:${stat.size}:${stat.mtimeMs}` : 'missing');
+  }
+
+  return parts.join('|');
+}
+
+/**
+ * watch 模式下感知 manifest（home 与项目级）变化：fs.watch 负责及时唤醒（--no-fs-watch 时只靠每轮轮询），
+ * check() 比较文件签名，读取并校验通过后才替换 runtime.manifest；校验失败时保留旧 manifest。
+ */
+function createManifestReloader({ codexHome, projectRoot, runtime, logDebug, watchFiles = true, onChange }) {
+  const manifestPaths = [
+    path.join(codexHome, BRIDGE_MANIFEST_RELATIVE_PATH),
+    ...(projectRoot ? [resolveProjectManifestPath(codexHome, projectRoot)] : [])
+  ];
+  const dirWatchers = new Map();
+  let lastSignature = readManifestSignature(manifestPaths);
+
+  const watchDirectories = () => {
+    if (!watchFiles) {
+      return;
+    }
+
+    for (const dirPath of new Set(manifestPaths.map(filePath => path.dirname(filePath)))) {
+      if (dirWatchers.has(dirPath) || !fs.existsSync(dirPath)) {
+        continue;
+      }
+
+      try {
+        const watcher = fs.watch(dirPath, { persistent: true }, (eventType, fileName) => {
+          if (!fileName || String(fileName) === 'manifest.json') {
+            onChange();
+          }
+        });
+        watcher.on('error', () => {
+          dirWatchers.delete(dirPath);
+          watcher.close();
+        });
+        dirWatchers.set(dirPath, watcher);
+      } catch (error) {
+        logDebug('watch-handle-failed', { targetPath: dirPath, error: error.message });
+      }
+    }
+  };
+
+  watchDirectories();
+
+  return {
+    check() {
+      watchDirectories();
+
+      const signature = readManifestSignature(manifestPaths);
+      if (signature === null || signature === lastSignature) {
+        return false;
+      }
+      // Remember failed attempts too, so a broken file is reported once until it changes again.
+      lastSignature = signature;
+
+      let nextManifest;
+      try {
+        nextManifest = readManifest(codexHome, projectRoot);
+      } catch (error) {
+        logDebug('manifest-reload-failed', { error: error.message });
+        return false;
+      }
+
+      const errors = validateManifest(nextManifest);
+      if (errors.length > 0) {
+        logDebug('manifest-reload-failed', { error: errors.slice(0, 5).join('; '), errorCount: errors.length });
+        return false;
+      }
+
+      const before = countManifestHooks(runtime.manifest);
+      runtime.manifest = nextManifest;
+      runtime.statusDirty = true;
+      logDebug('manifest-reloaded', {
+        manifestPath: nextManifest.manifestPath,
+        projectManifestPath: nextManifest.projectManifestPath || '',
+        generatedAt: nextManifest.generatedAt,
+        before,
+        after: countManifestHooks(nextManifest)
+      });
+      return true;
+    },
+
+    close() {
+      for (const watcher of dirWatchers.values()) {
+        watcher.close();
+      }
+      dirWatchers.clear();
+    }
   };
 }
 
@@ -215,678 +709,3426 @@ function parseEventTimestampSec(parsed) {
   return Math.floor(ms / 1000);
 }
 
-function parseCodexEvent(line) {
-  let parsed;
-  try {
-    parsed = JSON.parse(line);
-  } catch (_) {
-    return null;
+function parseToolArguments(rawArguments) {
+  if (rawArguments && typeof rawArguments === 'object') {
+    return rawArguments;
   }
 
-  if (!parsed || typeof parsed !== 'object') {
+  try {
+    const parsed = JSON.parse(rawArguments || '{}');
+    return parsed && typeof parsed === 'object' ? parsed : null;
+  } catch (_) {
     return null;
   }
+}
 
-  if (parsed.type === 'event_msg') {
-    const payload = parsed.payload;
-    if (!payload || typeof payload !== 'object' || typeof payload.type !== 'string') {
-      return null;
-    }
+function parseToolOutput(rawOutput) {
+  const response = {
+    output: '',
+    exit_code: null,
+    duration_seconds: null
+  };
 
-    return {
-      rawType: payload.type,
-      payload,
-      eventTimestampSec: parseEventTimestampSec(parsed)
-    };
+  if (rawOutput && typeof rawOutput === 'object') {
+    rawOutput = typeof rawOutput.content === 'string' ? rawOutput.content : JSON.stringify(rawOutput);
   }
 
-  if (parsed.type === 'response_item') {
-    const payload = parsed.payload;
-    if (!payload || typeof payload !== 'object' || payload.type !== 'function_call') {
-      return null;
-    }
-
-    const toolName = typeof payload.name === 'string' ? payload.name : '';
-    if (!toolName) {
-      return null;
-    }
-
-    let toolArgs;
-    try {
-      toolArgs = JSON.parse(payload.arguments || '{}');
-    } catch (_) {
-      return null;
-    }
-
-    if (!toolArgs || typeof toolArgs !== 'object') {
-      return null;
-    }
+  if (typeof rawOutput !== 'string') {
+    return response;
+  }
 
-    // PermissionRequest is represented as a function_call that asks for escalation.
-    if (toolArgs.sandbox_permissions !== 'require_escalated') {
-      return null;
+  // Older Codex versions wrap shell output as {"output": "...", "metadata": {"exit_code": 0}}.
+  try {
+    const parsed = JSON.parse(rawOutput);
+    if (parsed && typeof parsed === 'object' && typeof parsed.output === 'string') {
+      const metadata = parsed.metadata && typeof parsed.metadata === 'object' ? parsed.metadata : {};
+      response.output = parsed.output;
+      response.exit_code = Number.isInteger(metadata.exit_code) ? metadata.exit_code : null;
+      response.duration_seconds = Number.isFinite(metadata.duration_seconds) ? metadata.duration_seconds : null;
+      return response;
     }
+  } catch (_) {
+    // Plain-text output.
+  }
 
-    const rawType = toolName === 'apply_patch' ? 'apply_patch_approval_request' : 'exec_approval_request';
-    return {
-      rawType,
-      payload: {
-        ...toolArgs,
-        tool_name: toolName,
-        call_id: typeof payload.call_id === 'string' ? payload.call_id : ''
-      },
-      eventTimestampSec: parseEventTimestampSec(parsed)
-    };
+  response.output = rawOutput;
+  const exitMatch = rawOutput.match(/^Exit code: (-?\d+)/m);
+  if (exitMatch) {
+    response.exit_code = Number(exitMatch[1]);
   }
 
-  return null;
-}
+  const durationMatch = rawOutput.match(/^Wall time: ([\d.]+) seconds/m);
+  if (durationMatch) {
+    response.duration_seconds = Number(durationMatch[1]);
+  }
 
-function mapEventNames(rawType) {
-  const mapped = CODEX_EVENT_MAP[rawType] || [];
-  return [...mapped, rawType];
+  return response;
 }
 
-function buildMatcherText(eventRecord) {
-  const payload = eventRecord.payload || {};
-
-  const parts = [eventRecord.rawType];
-  if (typeof payload.tool_name === 'string') {
-    parts.push(payload.tool_name);
+function parseMcpToolResult(result) {
+  if (!result || typeof result !== 'object') {
+    return { output: safeStringValue(result), is_error: false };
   }
 
-  if (Array.isArray(payload.command)) {
-    parts.push(payload.command.join(' '));
-  } else if (typeof payload.command === 'string') {
-    parts.push(payload.command);
+  if (Object.prototype.hasOwnProperty.call(result, 'Err')) {
+    return { output: safeStringValue(result.Err), is_error: true };
   }
 
-  if (typeof payload.reason === 'string') {
-    parts.push(payload.reason);
-  }
+  const ok = Object.prototype.hasOwnProperty.call(result, 'Ok') ? result.Ok : result;
+  const content = ok && Array.isArray(ok.content) ? ok.content : [];
+  return {
+    content,
+    output: content
+      .filter(item => item && item.type === 'text' && typeof item.text === 'string')
+      .map(item => item.text)
+      .join('\n'),
+    is_error: Boolean(ok && ok.isError)
+  };
+}
 
-  if (typeof payload.justification === 'string') {
-    parts.push(payload.justification);
-  }
+function parseMcpToolCallEvent(payload, eventTimestampSec) {
+  const invocation = payload.invocation && typeof payload.invocation === 'object' ? payload.invocation : {};
+  const server = typeof invocation.server === 'string' ? invocation.server : '';
+  const tool = typeof invocation.tool === 'string' ? invocation.tool : '';
+  const toolInput = invocation.arguments && typeof invocation.arguments === 'object' ? invocation.arguments : {};
+
+  const toolPayload = {
+    tool_name: `${server}${MCP_TOOL_NAME_DELIMITER}${tool}`,
+    tool_input: toolInput,
+    mcp_server: server,
+    mcp_tool: tool,
+    call_id: typeof payload.call_id === 'string' ? payload.call_id : ''
+  };
 
-  if (typeof payload.call_id === 'string') {
-    parts.push(payload.call_id);
+  if (payload.type === 'mcp_tool_call_end') {
+    toolPayload.tool_response = parseMcpToolResult(payload.result);
+    toolPayload.exit_code = toolPayload.tool_response.is_error ? 1 : 0;
   }
 
-  return parts.join(' ');
+  return {
+    rawType: payload.type,
+    payload: toolPayload,
+    eventTimestampSec
+  };
 }
 
-function matchesRule(matcher, text) {
-  if (!matcher) {
-    return true;
+function extractUserPrompt(content) {
+  const parts = Array.isArray(content) ? content : [];
+  const text = parts
+    .filter(item => item && (item.type === 'input_text' || item.type === 'text') && typeof item.text === 'string')
+    .map(item => item.text)
+    .join('\n')
+    .trim();
+
+  // Codex also records injected context (environment, AGENTS.md) as user messages.
+  if (!text || INJECTED_USER_MESSAGE_PATTERN.test(text)) {
+    return '';
   }
 
+  return text;
+}
+
+/**
+ * 解析 session 文件中的一行，返回该行派生出的事件列表（可能为空）。
+ * 一行可派生多个事件，例如请求提权的 function_call 同时产生 PermissionRequest 与 PreToolUse。
+ */
+function parseCodexEvent(line) {
+  let parsed;
   try {
-    return new RegExp(matcher).test(text);
+    parsed = JSON.parse(line);
   } catch (_) {
-    return false;
+    return [];
   }
-}
 
-function safeStringValue(value) {
-  if (value == null) {
-    return '';
+  if (!parsed || typeof parsed !== 'object') {
+    return [];
   }
 
-  if (typeof value === 'string') {
-    return value;
-  }
+  const eventTimestampSec = parseEventTimestampSec(parsed);
 
-  if (typeof value === 'number' || typeof value === 'boolean') {
-    return String(value);
+  if (parsed.type === 'session_meta') {
+    if (!parsed.payload || typeof parsed.payload !== 'object') {
+      return [];
+    }
+
+    return [{
+      rawType: 'session_meta',
+      payload: parsed.payload,
+      eventTimestampSec
+    }];
   }
 
-  return JSON.stringify(value);
-}
+  if (parsed.type === 'event_msg') {
+    const payload = parsed.payload;
+    if (!payload || typeof payload !== 'object' || typeof payload.type !== 'string') {
+      return [];
+    }
 
-function resolveDebugLogPath(options, codexHome) {
-  if (!options.debugLog) {
-    return null;
-  }
+    if (payload.type === 'mcp_tool_call_begin' || payload.type === 'mcp_tool_call_end') {
+      return [parseMcpToolCallEvent(payload, eventTimestampSec)];
+    }
 
-  if (options.debugLogPath) {
-    return options.debugLogPath;
-  }
+    // token_count without info only carries rate limits; there is no usage to report.
+    if (payload.type === 'token_count' && (!payload.info || typeof payload.info !== 'object')) {
+      return [];
+    }
 
-  if (process.env.CODEX_PLUGIN_BRIDGE_DEBUG_LOG_PATH && process.env.CODEX_PLUGIN_BRIDGE_DEBUG_LOG_PATH.trim()) {
-    return path.resolve(process.env.CODEX_PLUGIN_BRIDGE_DEBUG_LOG_PATH);
+    return [{
+      rawType: payload.type,
+      payload,
+      eventTimestampSec
+    }];
   }
 
-  return path.join(codexHome, DEFAULT_DEBUG_LOG_RELATIVE_PATH);
-}
-
-function createDebugLogger(logFilePath) {
-  if (!logFilePath) {
-    return () => {};
+  if (parsed.type !== 'response_item') {
+    return [];
   }
 
-  return (kind, data = {}) => {
-    try {
-      fs.mkdirSync(path.dirname(logFilePath), { recursive: true });
-      const payload = {
-        ts: new Date().toISOString(),
-        pid: process.pid,
-        kind,
-        ...data
-      };
+  const payload = parsed.payload;
+  if (!payload || typeof payload !== 'object') {
+    return [];
+  }
 
-      fs.appendFileSync(logFilePath, `${JSON.stringify(payload)}\n`, 'utf8');
-    } catch (_) {
-      // Ignore logging failures to avoid impacting bridge behavior.
+  if (payload.type === 'message') {
+    const prompt = payload.role === 'user' ? extractUserPrompt(payload.content) : '';
+    if (!prompt) {
+      return [];
     }
-  };
-}
 
-function readTailText(filePath, maxBytes) {
-  if (!fs.existsSync(filePath)) {
-    return '';
+    return [{
+      rawType: 'user_prompt',
+      payload: { prompt },
+      eventTimestampSec
+    }];
   }
 
-  const stat = fs.statSync(filePath);
-  if (stat.size <= 0) {
-    return '';
+  const callId = typeof payload.call_id === 'string' ? payload.call_id : '';
+
+  if (payload.type === 'function_call_output' || payload.type === 'custom_tool_call_output') {
+    const toolResponse = parseToolOutput(payload.output);
+    return [{
+      rawType: payload.type,
+      payload: {
+        call_id: callId,
+        tool_response: toolResponse,
+        exit_code: toolResponse.exit_code
+      },
+      eventTimestampSec
+    }];
   }
 
-  const readBytes = Math.max(0, Math.min(maxBytes, stat.size));
-  if (readBytes <= 0) {
-    return '';
+  if (payload.type !== 'function_call' && payload.type !== 'custom_tool_call') {
+    return [];
   }
 
-  const fd = fs.openSync(filePath, 'r');
-  try {
-    const buffer = Buffer.alloc(readBytes);
-    fs.readSync(fd, buffer, 0, readBytes, stat.size - readBytes);
-    return buffer.toString('utf8');
-  } finally {
-    fs.closeSync(fd);
+  const toolName = typeof payload.name === 'string' ? payload.name : '';
+  if (!toolName) {
+    return [];
   }
-}
 
-function parseLogTimestampMs(rawValue) {
-  if (typeof rawValue !== 'string' || !rawValue.trim()) {
-    return null;
+  // custom_tool_call (e.g. freeform apply_patch) carries raw text instead of JSON arguments.
+  const toolArgs = payload.type === 'custom_tool_call'
+    ? { input: typeof payload.input === 'string' ? payload.input : '' }
+    : parseToolArguments(payload.arguments);
+  if (!toolArgs) {
+    return [];
   }
 
-  const ts = Date.parse(rawValue);
-  return Number.isFinite(ts) ? ts : null;
-}
+  const toolPayload = {
+    ...toolArgs,
+    tool_name: toolName,
+    tool_input: toolArgs,
+    call_id: callId
+  };
 
-function cleanupCompetingWatchers(codexHome, projectRoot, logDebug, debugLogPath) {
-  if (!debugLogPath) {
-    return;
-  }
+  const events = [];
 
-  const tailText = readTailText(debugLogPath, WATCH_CLEANUP_LOG_TAIL_BYTES);
-  if (!tailText.trim()) {
-    logDebug('watch-cleanup-scan', {
-      status: 'empty-log',
-      codexHome,
-      projectRoot: projectRoot || ''
+  // PermissionRequest is represented as a function_call that asks for escalation.
+  if (toolArgs.sandbox_permissions === 'require_escalated') {
+    events.push({
+      rawType: toolName === 'apply_patch' ? 'apply_patch_approval_request' : 'exec_approval_request',
+      payload: toolPayload,
+      eventTimestampSec
     });
-    return;
   }
 
-  const lines = tailText.split('\n');
-  const pidState = new Map();
-  let parsedLineCount = 0;
+  events.push({
+    rawType: payload.type,
+    payload: toolPayload,
+    eventTimestampSec
+  });
 
-  for (const line of lines) {
-    if (!line.trim()) {
-      continue;
-    }
+  return events;
+}
 
-    let record;
-    try {
-      record = JSON.parse(line);
-    } catch (_) {
-      continue;
-    }
-    parsedLineCount += 1;
+function isToolPhaseEvent(rawType, phaseEventName) {
+  const mapped = CODEX_EVENT_MAP[rawType];
+  return Array.isArray(mapped) && mapped.includes(phaseEventName);
+}
 
-    const pid = Number(record.pid);
-    if (!Number.isInteger(pid) || pid <= 0 || pid === process.pid) {
-      continue;
-    }
+/**
+ * function_call_output 只带 call_id，这里按 call_id 回填对应调用的工具名与入参。
+ * MCP 调用会同时出现 function_call 与 mcp_tool_call_* 两套记录，同一 call_id 每个阶段只保留首条，
+ * 重复记录返回 null。
+ */
+function correlateToolCall(state, eventRecord) {
+  const payload = eventRecord.payload;
+  const isPre = isToolPhaseEvent(eventRecord.rawType, 'PreToolUse');
+  const isPost = isToolPhaseEvent(eventRecord.rawType, 'PostToolUse');
+  if ((!isPre && !isPost) || !payload.call_id) {
+    return eventRecord;
+  }
 
-    const tsMs = parseLogTimestampMs(record.ts) || 0;
-    let state = pidState.get(pid);
-    if (!state) {
-      state = {
-        lastTsMs: 0,
-        isWatch: false,
-        isStopped: false,
-        codexHome: '',
-        projectRoot: ''
-      };
-      pidState.set(pid, state);
-    }
+  let call = state.toolCalls.get(payload.call_id);
+  if (!call) {
+    call = {
+      tool_name: '',
+      tool_input: {},
+      preEmitted: false,
+      postEmitted: false
+    };
+    state.toolCalls.set(payload.call_id, call);
 
-    if (tsMs > state.lastTsMs) {
-      state.lastTsMs = tsMs;
+    // Calls that never produce output (aborted turns) must not grow the map forever.
+    if (state.toolCalls.size > TOOL_CALL_TRACK_MAX) {
+      const oldestCallId = state.toolCalls.keys().next().value;
+      state.toolCalls.delete(oldestCallId);
     }
+  }
 
-    if (record.kind === 'bridge-start' && record.mode === 'watch') {
-      state.isWatch = true;
-      state.isStopped = false;
-      state.codexHome = typeof record.codexHome === 'string' ? record.codexHome : '';
-      state.projectRoot = typeof record.projectRoot === 'string' ? record.projectRoot : '';
-      continue;
+  if (isPre) {
+    if (call.preEmitted) {
+      return null;
     }
 
-    if (record.kind === 'bridge-stop' && record.mode === 'watch') {
-      state.isStopped = true;
-      continue;
-    }
+    call.preEmitted = true;
+    call.tool_name = payload.tool_name;
+    call.tool_input = payload.tool_input;
+    return eventRecord;
   }
 
-  const nowMs = Date.now();
-  let candidateCount = 0;
-  let killedCount = 0;
-  for (const [pid, state] of pidState.entries()) {
-    if (!state.isWatch || state.isStopped) {
-      continue;
-    }
+  if (call.postEmitted) {
+    return null;
+  }
 
-    if (state.codexHome !== codexHome || state.projectRoot !== (projectRoot || '')) {
-      continue;
-    }
+  call.postEmitted = true;
+  if (!call.tool_name) {
+    return eventRecord;
+  }
 
-    if ((nowMs - state.lastTsMs) > WATCH_CLEANUP_ACTIVITY_WINDOW_MS) {
-      continue;
+  return {
+    ...eventRecord,
+    payload: {
+      ...call.tool_input,
+      ...payload,
+      tool_name: call.tool_name,
+      tool_input: call.tool_input
     }
-    candidateCount += 1;
+  };
+}
 
-    try {
-      process.kill(pid, 'SIGTERM');
-      killedCount += 1;
-      logDebug('watch-cleanup-terminated', {
-        targetPid: pid,
-        targetProjectRoot: state.projectRoot,
-        targetCodexHome: state.codexHome
-      });
-    } catch (error) {
-      logDebug('watch-cleanup-skip', {
-        targetPid: pid,
-        error: error && error.message ? error.message : String(error || '')
-      });
-    }
+function createSessionInfo(filePath) {
+  const match = path.basename(filePath).match(SESSION_ID_PATTERN);
+  return {
+    sessionId: match ? match[1] : path.basename(filePath, '.jsonl'),
+    transcriptPath: filePath,
+    cwd: '',
+    originator: '',
+    cliVersion: '',
+    meta: null,
+    transcript: null,
+    turn: null,
+    tokenUsage: null,
+    skipReason: '',
+    active: false,
+    ended: false,
+    lastActivityMs: 0,
+    lastEvent: null
+  };
+}
+
+function getSessionInfo(state, filePath) {
+  let session = state.sessions.get(filePath);
+  if (!session) {
+    session = createSessionInfo(filePath);
+    state.sessions.set(filePath, session);
   }
 
-  logDebug('watch-cleanup-scan', {
-    status: 'completed',
-    codexHome,
-    projectRoot: projectRoot || '',
-    parsedLineCount,
-    trackedPidCount: pidState.size,
-    candidateCount,
-    killedCount
-  });
+  return session;
 }
 
-function isProcessAlive(pid) {
-  if (!Number.isInteger(pid) || pid <= 0) {
-    return false;
+function applySessionMeta(session, meta) {
+  session.meta = meta;
+  if (typeof meta.id === 'string' && meta.id.trim()) {
+    session.sessionId = meta.id.trim();
+  }
+
+  if (typeof meta.cwd === 'string' && meta.cwd.trim()) {
+    session.cwd = meta.cwd.trim();
+  }
+
+  if (typeof meta.originator === 'string' && meta.originator.trim()) {
+    session.originator = meta.originator.trim();
   }
 
+  if (typeof meta.cli_version === 'string' && meta.cli_version.trim()) {
+    session.cliVersion = meta.cli_version.trim();
+  }
+}
+
+function resolveRealPath(targetPath) {
   try {
-    process.kill(pid, 0);
-    return true;
+    return fs.realpathSync(targetPath);
   } catch (_) {
-    return false;
+    return path.resolve(targetPath);
   }
 }
 
-function parseWatchLockPid(rawText) {
-  if (!rawText || !rawText.trim()) {
-    return null;
+function isPathInside(childPath, parentPath) {
+  const relative = path.relative(parentPath, childPath);
+  return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+function isExecSession(session) {
+  // `codex exec` records originator "codex_exec"; newer versions also record source "exec".
+  const meta = session.meta || {};
+  return session.originator === 'codex_exec' || meta.source === 'exec';
+}
+
+/**
+ * 判断 session 是否属于当前项目：带 --project-root 时只接受 cwd 位于项目目录内的 session，
+ * 并按 --no-exec-sessions 排除 `codex exec` 非交互 session。返回跳过原因，属于当前项目时返回空串。
+ */
+function resolveSessionSkipReason(session, runtime) {
+  if (runtime.execSessions === false && isExecSession(session)) {
+    return 'exec-session';
   }
 
-  try {
-    const parsed = JSON.parse(rawText);
-    return Number.isInteger(parsed.pid) ? parsed.pid : null;
-  } catch (_) {
-    const numeric = Number(rawText.trim());
-    return Number.isInteger(numeric) ? numeric : null;
+  if (!runtime.projectRoot) {
+    return '';
   }
+
+  if (!session.cwd) {
+    return 'unknown-cwd';
+  }
+
+  const projectRoots = [path.resolve(runtime.projectRoot), resolveRealPath(runtime.projectRoot)];
+  const sessionCwds = [path.resolve(session.cwd), resolveRealPath(session.cwd)];
+  const inside = sessionCwds.some(cwd => projectRoots.some(root => isPathInside(cwd, root)));
+  return inside ? '' : 'outside-project';
 }
 
-function acquireWatchLock(codexHome, logDebug) {
-  const lockPath = path.join(codexHome, WATCH_LOCK_RELATIVE_PATH);
-  const payload = JSON.stringify({
-    pid: process.pid,
-    createdAt: new Date().toISOString()
-  });
+function mapEventNames(rawType) {
+  const mapped = CODEX_EVENT_MAP[rawType] || [];
+  return [...mapped, rawType];
+}
 
-  const writeLock = () => {
-    fs.mkdirSync(path.dirname(lockPath), { recursive: true });
-    const fd = fs.openSync(lockPath, 'wx');
-    fs.writeFileSync(fd, payload, 'utf8');
-    fs.closeSync(fd);
-  };
+/**
+ * "<server>__<tool>" -> Claude 风格 "mcp__<server>__<tool>"，server 使用同步时的规范化 key。
+ * 优先按 manifest 中已同步的 server key 做前缀匹配，避免 tool 名本身含 "__" 时切错位置。
+ */
+function toClaudeMcpToolName(codexToolName, mcpServers) {
+  if (codexToolName.startsWith(`mcp${MCP_TOOL_NAME_DELIMITER}`)) {
+    return codexToolName;
+  }
 
-  try {
-    writeLock();
-  } catch (error) {
-    if (!error || error.code !== 'EEXIST') {
-      throw error;
-    }
+  const knownServer = [...(mcpServers || [])]
+    .sort((a, b) => b.length - a.length)
+    .find(server => codexToolName.startsWith(`${server}${MCP_TOOL_NAME_DELIMITER}`));
 
-    let existingPid = null;
-    let stale = true;
-    try {
-      const existingRaw = fs.readFileSync(lockPath, 'utf8');
-      existingPid = parseWatchLockPid(existingRaw);
-      stale = !isProcessAlive(existingPid);
-    } catch (_) {
-      stale = true;
+  let server = knownServer || '';
+  if (!server) {
+    const delimiterIndex = codexToolName.indexOf(MCP_TOOL_NAME_DELIMITER);
+    if (delimiterIndex <= 0) {
+      return '';
     }
+    server = codexToolName.slice(0, delimiterIndex);
+  }
 
-    if (!stale) {
-      logDebug('watch-lock-busy', { lockPath, existingPid });
-      return null;
-    }
+  const tool = codexToolName.slice(server.length + MCP_TOOL_NAME_DELIMITER.length);
+  if (!tool) {
+    return '';
+  }
 
-    try {
-      fs.unlinkSync(lockPath);
-      writeLock();
-      logDebug('watch-lock-recovered', { lockPath, existingPid });
-    } catch (_) {
-      logDebug('watch-lock-busy', { lockPath, existingPid });
-      return null;
-    }
+  return `mcp${MCP_TOOL_NAME_DELIMITER}${normalizeMcpKey(server)}${MCP_TOOL_NAME_DELIMITER}${tool}`;
+}
+
+function translateToolName(codexToolName, toolNameMap, mcpServers = []) {
+  if (typeof codexToolName !== 'string' || !codexToolName) {
+    return '';
   }
 
-  logDebug('watch-lock-acquired', { lockPath });
+  const mapped = toolNameMap && typeof toolNameMap[codexToolName] === 'string' ? toolNameMap[codexToolName].trim() : '';
+  if (mapped) {
+    return mapped;
+  }
 
-  let released = false;
-  return () => {
-    if (released) {
-      return;
-    }
-    released = true;
+  return toClaudeMcpToolName(codexToolName, mcpServers) || codexToolName;
+}
 
-    try {
-      const existingRaw = fs.readFileSync(lockPath, 'utf8');
-      const existingPid = parseWatchLockPid(existingRaw);
-      if (existingPid === process.pid) {
-        fs.unlinkSync(lockPath);
-      }
-    } catch (_) {
-      // Ignore lock cleanup errors.
-    }
+function buildMatcherText(eventRecord) {
+  const payload = eventRecord.payload || {};
 
-    logDebug('watch-lock-released', { lockPath });
-  };
+  const parts = [eventRecord.rawType];
+  if (eventRecord.toolName) {
+    parts.push(eventRecord.toolName);
+  }
+
+  if (typeof payload.tool_name === 'string' && payload.tool_name !== eventRecord.toolName) {
+    parts.push(payload.tool_name);
+  }
+
+  if (Array.isArray(payload.command)) {
+    parts.push(payload.command.join(' '));
+  } else if (typeof payload.command === 'string') {
+    parts.push(payload.command);
+  }
+
+  if (typeof payload.reason === 'string') {
+    parts.push(payload.reason);
+  }
+
+  if (typeof payload.justification === 'string') {
+    parts.push(payload.justification);
+  }
+
+  if (typeof payload.call_id === 'string') {
+    parts.push(payload.call_id);
+  }
+
+  return parts.join(' ');
 }
 
-function runHookCommand({ command, timeoutSec, contextEnv, quiet }) {
-  const startedAt = Date.now();
-  let result;
+function matchesRule(matcher, text) {
+  if (!matcher || matcher === '*') {
+    return true;
+  }
 
   try {
-    result = spawnSync('bash', ['-lc', command], {
-      env: {
-        ...process.env,
-        ...contextEnv
-      },
-      stdio: quiet ? 'ignore' : 'inherit',
-      timeout: Math.max(1, timeoutSec) * 1000
-    });
-  } catch (error) {
-    return {
-      ok: false,
-      status: null,
-      signal: '',
-      error: error.message,
-      timedOut: false,
-      durationMs: Date.now() - startedAt
-    };
+    return new RegExp(matcher).test(text);
+  } catch (_) {
+    return false;
   }
+}
 
-  return {
-    ok: result.status === 0,
-    status: Number.isInteger(result.status) ? result.status : null,
-    signal: typeof result.signal === 'string' ? result.signal : '',
-    error: result.error ? result.error.message : '',
-    timedOut: Boolean(result.error && result.error.code === 'ETIMEDOUT'),
-    durationMs: Date.now() - startedAt
-  };
+function buildToolInput(payload) {
+  if (payload.tool_input && typeof payload.tool_input === 'object') {
+    return payload.tool_input;
+  }
+
+  const toolInput = { ...payload };
+  delete toolInput.tool_name;
+  delete toolInput.call_id;
+  return toolInput;
 }
 
-function getAllHookSources(manifest) {
-  return [...manifest.plugins, ...manifest.topHooks];
+function buildSessionMetaSummary(meta) {
+  // instructions can be many KB of AGENTS.md text; hooks only need identifying metadata.
+  const summary = { ...meta };
+  delete summary.instructions;
+  return summary;
 }
 
-function executeEvent(manifest, eventRecord, projectRoot, quiet, logDebug) {
-  const names = mapEventNames(eventRecord.rawType);
-  const matcherText = buildMatcherText(eventRecord);
-  const sources = getAllHookSources(manifest);
-  const hasSpecialMapping = Array.isArray(CODEX_EVENT_MAP[eventRecord.rawType]) && CODEX_EVENT_MAP[eventRecord.rawType].length > 0;
-  let executedCommandCount = 0;
+/**
+ * 按 Claude hooks 的 stdin 输入格式构造 payload：
+ * 公共字段 + 各事件自身字段，并保留 codex 原始事件类型便于排查。
+ */
+function buildHookPayload(eventRecord, eventName, projectRoot) {
+  const payload = eventRecord.payload || {};
+  const session = eventRecord.session || null;
+
+  const toolName = eventRecord.toolName || (typeof payload.tool_name === 'string' ? payload.tool_name : '');
+  const hookPayload = {
+    session_id: session ? session.sessionId : '',
+    transcript_path: session ? (session.transcript ? session.transcript.path : session.transcriptPath) : '',
+    cwd: (session && session.cwd) || projectRoot || process.cwd(),
+    hook_event_name: eventName,
+    codex_event_type: eventRecord.rawType
+  };
 
-  if (hasSpecialMapping || eventRecord.rawType === 'Stop') {
-    logDebug('event-received', {
-      rawType: eventRecord.rawType,
-      mappedTypes: names,
-      matcherText
-    });
+  if (session && session.transcript) {
+    hookPayload.codex_transcript_path = session.transcriptPath;
   }
 
-  for (const source of sources) {
-    const events = Array.isArray(source.events) ? source.events : [];
+  if (typeof payload.tool_name === 'string' && payload.tool_name) {
+    hookPayload.codex_tool_name = payload.tool_name;
+  }
 
-    for (const eventDef of events) {
-      if (!eventDef || typeof eventDef.eventName !== 'string') {
-        continue;
-      }
+  if (eventRecord.turn) {
+    hookPayload.turn = eventRecord.turn;
+  }
 
-      if (!names.includes(eventDef.eventName)) {
-        continue;
-      }
+  switch (eventName) {
+    case 'PermissionRequest':
+    case 'PreToolUse':
+      hookPayload.tool_name = toolName;
+      hookPayload.tool_input = buildToolInput(payload);
+      break;
+    case 'PostToolUse':
+      hookPayload.tool_name = toolName;
+      hookPayload.tool_input = buildToolInput(payload);
+      hookPayload.tool_response = payload.tool_response || {};
+      break;
+    case 'Stop':
+      hookPayload.stop_hook_active = false;
+      break;
+    case 'UserPromptSubmit':
+      hookPayload.prompt = safeStringValue(payload.prompt);
+      break;
+    case 'SessionStart':
+      hookPayload.source = payload.resumed ? 'resume' : 'startup';
+      hookPayload.session_meta = buildSessionMetaSummary(session && session.meta ? session.meta : payload);
+      break;
+    case 'SessionEnd':
+      hookPayload.reason = payload.reason || 'other';
+      hookPayload.codex_end_reason = payload.codex_end_reason || '';
+      hookPayload.session_meta = buildSessionMetaSummary(session && session.meta ? session.meta : {});
+      break;
+    case 'TokenUsage': {
+      const info = payload.info || {};
+      hookPayload.token_usage = {
+        total: info.total_token_usage || {},
+        last: info.last_token_usage || {},
+        model_context_window: Number.isFinite(info.model_context_window) ? info.model_context_window : null,
+        ...(eventRecord.tokenUsage || {})
+      };
+      break;
+    }
+    case 'BudgetExceeded':
+      hookPayload.budget_scope = payload.budget_scope;
+      hookPayload.budget_tokens = payload.budget_tokens;
+      hookPayload.used_tokens = payload.used_tokens;
+      hookPayload.date = payload.date;
+      break;
+    case 'Notification':
+      hookPayload.message = safeStringValue(payload.message || payload.reason);
+      break;
+    default:
+      hookPayload.codex_payload = payload;
+      break;
+  }
 
-      if (!matchesRule(eventDef.matcher, matcherText)) {
-        continue;
-      }
+  return hookPayload;
+}
 
-      const commands = Array.isArray(eventDef.commands) ? eventDef.commands : [];
-      for (const commandDef of commands) {
-        if (!commandDef || typeof commandDef.command !== 'string' || !commandDef.command.trim()) {
-          continue;
-        }
+/**
+ * Claude 语义：matcher 对工具名做完整匹配（如 "Bash"、"Edit|Write"），空或 "*" 匹配全部。
+ */
+function matchesToolRule(matcher, toolName) {
+  if (!matcher || matcher === '*') {
+    return true;
+  }
+
+  try {
+    return new RegExp(`^(?:${matcher})$`).test(toolName);
+  } catch (_) {
+    return false;
+  }
+}
+
+/**
+ * 按 bridge 求值的方式校验字符串 matcher（空或 "*" 匹配全部），返回错误描述列表（空数组表示合法）。
+ */
+function validateMatcher(matcher) {
+  if (!matcher || matcher === '*') {
+    return [];
+  }
+
+  try {
+    new RegExp(`^(?:${matcher})$`);
+    return [];
+  } catch (error) {
+    return [`matcher 不是合法正则: ${error.message}`];
+  }
+}
+
+function globToRegExp(glob) {
+  let source = '';
+  for (let index = 0; index < glob.length; index += 1) {
+    const char = glob[index];
+    if (char === '*' && glob[index + 1] === '*') {
+      // "**/" also matches zero directories, so "src/**/*.js" covers "src/a.js".
+      if (glob[index + 2] === '/') {
+        source += '(?:.*/)?';
+        index += 2;
+      } else {
+        source += '.*';
+        index += 1;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '{' && glob.indexOf('}', index) > index) {
+      const end = glob.indexOf('}', index);
+      source += `(?:${glob.slice(index + 1, end).split(',').map(part => globToRegExp(part).source.slice(1, -1)).join('|')})`;
+      index = end;
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * 校验结构化 matcher（manifest / hooks.json 中的 match 字段），返回错误描述列表（空数组表示合法）。
+ * 形式：{ all: [...] } / { any: [...] } / { not: {...} } / { field, regex } / { field, glob }，
+ * field 取 MATCH_FIELDS 之一。
+ */
+function validateMatchExpression(expression, label = 'match') {
+  if (!expression || typeof expression !== 'object' || Array.isArray(expression)) {
+    return [`${label} 必须是对象`];
+  }
+
+  for (const combinator of ['all', 'any']) {
+    if (Object.prototype.hasOwnProperty.call(expression, combinator)) {
+      const items = expression[combinator];
+      if (!Array.isArray(items) || items.length === 0) {
+        return [`${label}.${combinator} 必须是非空数组`];
+      }
+      return items.flatMap((item, index) => validateMatchExpression(item, `${label}.${combinator}[${index}]`));
+    }
+  }
+
+  if (Object.prototype.hasOwnProperty.call(expression, 'not')) {
+    return validateMatchExpression(expression.not, `${label}.not`);
+  }
+
+  if (!MATCH_FIELDS.includes(expression.field)) {
+    return [`${label}.field 必须是 ${MATCH_FIELDS.join(' / ')} 之一`];
+  }
+
+  const hasRegex = typeof expression.regex === 'string';
+  const hasGlob = typeof expression.glob === 'string';
+  if (hasRegex === hasGlob) {
+    return [`${label} 需要且只能指定 regex 或 glob 之一`];
+  }
+
+  if (hasRegex) {
+    try {
+      new RegExp(expression.regex);
+    } catch (error) {
+      return [`${label}.regex 不是合法正则: ${error.message}`];
+    }
+  }
+
+  return [];
+}
+
+function extractPatchText(payload) {
+  const toolInput = payload.tool_input || {};
+  if (payload.tool_name === 'apply_patch') {
+    return toolInput.input || toolInput.patch || null;
+  }
+
+  return Array.isArray(toolInput.command) && toolInput.command[0] === 'apply_patch' ? toolInput.command[1] : null;
+}
+
+/**
+ * 结构化 matcher 可用的字段值；一个字段可有多个值（如 apply_patch 改动的多个文件），任一值命中即算命中。
+ */
+function buildMatchFields(eventRecord, projectRoot) {
+  const payload = eventRecord.payload || {};
+  const toolInput = payload.tool_input && typeof payload.tool_input === 'object' ? payload.tool_input : {};
+  const session = eventRecord.session || null;
+  const cwd = (typeof toolInput.workdir === 'string' && toolInput.workdir) || (session && session.cwd) || projectRoot || '';
+
+  const paths = [];
+  for (const value of [toolInput.path, toolInput.file_path, ...extractPatchedFiles(extractPatchText(payload))]) {
+    if (typeof value !== 'string' || !value) {
+      continue;
+    }
+    paths.push(value);
+    // Absolute paths inside the cwd can also be matched by project-relative globs.
+    if (path.isAbsolute(value) && cwd && isPathInside(value, cwd)) {
+      paths.push(path.relative(cwd, value));
+    }
+  }
+
+  const command = formatShellCommand(toolInput);
+  return {
+    tool_name: [...new Set([eventRecord.toolName, payload.tool_name].filter(value => typeof value === 'string' && value))],
+    command: command ? [command] : [],
+    cwd: cwd ? [cwd] : [],
+    path: [...new Set(paths)]
+  };
+}
+
+function evaluateMatchExpression(expression, fields) {
+  if (Array.isArray(expression.all)) {
+    return expression.all.every(item => evaluateMatchExpression(item, fields));
+  }
+
+  if (Array.isArray(expression.any)) {
+    return expression.any.some(item => evaluateMatchExpression(item, fields));
+  }
+
+  if (expression.not) {
+    return !evaluateMatchExpression(expression.not, fields);
+  }
+
+  const pattern = typeof expression.regex === 'string' ? new RegExp(expression.regex) : globToRegExp(expression.glob);
+  return (fields[expression.field] || []).some(value => pattern.test(value));
+}
+
+/**
+ * 结构化 matcher 与字符串 matcher 同时存在时两者都需命中；非法表达式（sync 时已报告）不命中任何事件。
+ */
+function matchesExpression(expression, fields) {
+  if (!expression) {
+    return true;
+  }
+
+  if (validateMatchExpression(expression).length > 0) {
+    return false;
+  }
+
+  return evaluateMatchExpression(expression, fields);
+}
+
+function safeStringValue(value) {
+  if (value == null) {
+    return '';
+  }
+
+  if (typeof value === 'string') {
+    return value;
+  }
+
+  if (typeof value === 'number' || typeof value === 'boolean') {
+    return String(value);
+  }
+
+  return JSON.stringify(value);
+}
+
+function resolveDebugLogPath(options, codexHome) {
+  if (!options.debugLog) {
+    return null;
+  }
+
+  if (options.debugLogPath) {
+    return options.debugLogPath;
+  }
+
+  if (process.env.CODEX_PLUGIN_BRIDGE_DEBUG_LOG_PATH && process.env.CODEX_PLUGIN_BRIDGE_DEBUG_LOG_PATH.trim()) {
+    return path.resolve(process.env.CODEX_PLUGIN_BRIDGE_DEBUG_LOG_PATH);
+  }
+
+  return path.join(codexHome, DEFAULT_DEBUG_LOG_RELATIVE_PATH);
+}
+
+function resolveDebugLogRotation(options) {
+  return {
+    maxBytes: options.debugLogMaxBytes,
+    maxAgeMs: options.debugLogMaxAgeMs,
+    keep: options.debugLogKeep,
+    gzip: options.debugLogGzip
+  };
+}
+
+/**
+ * 轮转后的日志按新到旧排列：plugin-bridge.log.1(.gz)、plugin-bridge.log.2(.gz)…
+ */
+function listRotatedDebugLogs(logFilePath) {
+  const dirPath = path.dirname(logFilePath);
+  const baseName = path.basename(logFilePath);
+  let entries;
+  try {
+    entries = fs.readdirSync(dirPath);
+  } catch (_) {
+    return [];
+  }
+
+  const rotated = [];
+  for (const entry of entries) {
+    if (!entry.startsWith(`${baseName}.`)) {
+      continue;
+    }
+
+    const match = entry.slice(baseName.length + 1).match(/^(\d+)(\.gz)?$/);
+    if (!match) {
+      continue;
+    }
+
+    rotated.push({
+      filePath: path.join(dirPath, entry),
+      index: Number(match[1]),
+      gzip: Boolean(match[2])
+    });
+  }
+
+  return rotated.sort((a, b) => a.index - b.index);
+}
+
+function readLogStartMs(logFilePath) {
+  let fd;
+  try {
+    fd = fs.openSync(logFilePath, 'r');
+    const buffer = Buffer.alloc(DEBUG_LOG_HEAD_PROBE_BYTES);
+    const bytesRead = fs.readSync(fd, buffer, 0, buffer.length, 0);
+    const match = buffer.subarray(0, bytesRead).toString('utf8').match(/"ts":"([^"]+)"/);
+    return match ? parseLogTimestampMs(match[1]) : null;
+  } catch (_) {
+    return null;
+  } finally {
+    if (fd !== undefined) {
+      fs.closeSync(fd);
+    }
+  }
+}
+
+function rotateDebugLog(logFilePath, rotation) {
+  const rotated = listRotatedDebugLogs(logFilePath);
+
+  // Shift from the oldest end so nothing is overwritten; anything past `keep` is dropped.
+  for (let i = rotated.length - 1; i >= 0; i -= 1) {
+    const item = rotated[i];
+    if (item.index >= rotation.keep) {
+      fs.rmSync(item.filePath, { force: true });
+      continue;
+    }
+
+    fs.renameSync(item.filePath, `${logFilePath}.${item.index + 1}${item.gzip ? '.gz' : ''}`);
+  }
+
+  if (rotation.keep <= 0) {
+    fs.rmSync(logFilePath, { force: true });
+    return;
+  }
+
+  // Compression (when enabled) happens afterwards in the background; see compressRotatedDebugLogs.
+  fs.renameSync(logFilePath, `${logFilePath}.1`);
+}
+
+function gzipFile(sourcePath, targetPath) {
+  return new Promise((resolve, reject) => {
+    const source = fs.createReadStream(sourcePath);
+    const target = fs.createWriteStream(targetPath);
+    source.on('error', reject);
+    target.on('error', reject);
+    target.on('finish', resolve);
+    source.pipe(zlib.createGzip()).pipe(target);
+  });
+}
+
+/**
+ * 以流的方式把尚未压缩的轮转日志压缩为 .gz，不阻塞写日志的事件循环。
+ * 压缩期间文件被再次轮转（改名或删除）时丢弃这次结果，留给下一轮处理。
+ */
+async function compressRotatedDebugLogs(logFilePath) {
+  for (const item of listRotatedDebugLogs(logFilePath)) {
+    if (item.gzip) {
+      continue;
+    }
+
+    const before = fs.statSync(item.filePath, { throwIfNoEntry: false });
+    if (!before) {
+      continue;
+    }
+
+    const tempPath = `${item.filePath}.gz.tmp`;
+    try {
+      await gzipFile(item.filePath, tempPath);
+      const after = fs.statSync(item.filePath, { throwIfNoEntry: false });
+      if (after && after.ino === before.ino) {
+        fs.renameSync(tempPath, `${item.filePath}.gz`);
+        fs.rmSync(item.filePath, { force: true });
+      }
+    } catch (_) {
+      // Leave the file uncompressed; it is still readable as a rotated log.
+    } finally {
+      fs.rmSync(tempPath, { force: true });
+    }
+  }
+}
+
+/**
+ * 返回写调试日志的函数；日志大小在内存中累计，flush() 返回后台压缩完成的 Promise。
+ */
+function createDebugLogger(logFilePath, rotation = {}) {
+  if (!logFilePath) {
+    const noop = () => {};
+    noop.flush = () => Promise.resolve();
+    return noop;
+  }
+
+  // Size and start time of the active file, keyed by inode so rotation by another bridge process is noticed.
+  let activeFile = { ino: null, startMs: null, size: 0, statAtMs: 0 };
+  let compression = Promise.resolve();
+
+  const refreshActiveFile = nowMs => {
+    const stat = fs.statSync(logFilePath, { throwIfNoEntry: false });
+    if (!stat) {
+      activeFile = { ino: null, startMs: null, size: 0, statAtMs: nowMs };
+      return;
+    }
+
+    if (activeFile.ino !== stat.ino) {
+      activeFile.startMs = stat.size > 0 ? readLogStartMs(logFilePath) : null;
+    }
+    activeFile.ino = stat.ino;
+    activeFile.size = stat.size;
+    activeFile.statAtMs = nowMs;
+  };
+
+  const rotateIfNeeded = () => {
+    const nowMs = Date.now();
+    const isTooLarge = () => rotation.maxBytes > 0 && activeFile.size >= rotation.maxBytes;
+    if (activeFile.ino === null || (nowMs - activeFile.statAtMs) >= DEBUG_LOG_STAT_INTERVAL_MS || isTooLarge()) {
+      refreshActiveFile(nowMs);
+    }
+    if (activeFile.size === 0) {
+      return;
+    }
+
+    const tooOld = rotation.maxAgeMs > 0 && activeFile.startMs !== null && (nowMs - activeFile.startMs) >= rotation.maxAgeMs;
+    if (isTooLarge() || tooOld) {
+      rotateDebugLog(logFilePath, rotation);
+      activeFile = { ino: null, startMs: null, size: 0, statAtMs: 0 };
+      if (rotation.gzip && rotation.keep > 0) {
+        compression = compression.then(() => compressRotatedDebugLogs(logFilePath));
+      }
+    }
+  };
+
+  const logDebug = (kind, data = {}) => {
+    try {
+      fs.mkdirSync(path.dirname(logFilePath), { recursive: true });
+      rotateIfNeeded();
+      const payload = {
+        ts: new Date().toISOString(),
+        pid: process.pid,
+        kind,
+        ...data
+      };
+
+      const line = `${JSON.stringify(payload)}\n`;
+      fs.appendFileSync(logFilePath, line, 'utf8');
+      if (activeFile.startMs === null) {
+        activeFile.startMs = Date.parse(payload.ts);
+      }
+      activeFile.size += Buffer.byteLength(line, 'utf8');
+    } catch (_) {
+      // Ignore logging failures to avoid impacting bridge behavior.
+    }
+  };
+  logDebug.flush = () => compression;
+  return logDebug;
+}
+
+function readTailBuffer(filePath, maxBytes) {
+  const stat = fs.statSync(filePath, { throwIfNoEntry: false });
+  if (!stat || stat.size <= 0) {
+    return Buffer.alloc(0);
+  }
+
+  const readBytes = Math.max(0, Math.min(maxBytes, stat.size));
+  if (readBytes <= 0) {
+    return Buffer.alloc(0);
+  }
+
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(readBytes);
+    fs.readSync(fd, buffer, 0, readBytes, stat.size - readBytes);
+    return buffer;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * gzip 无法定位到末尾，只能流式解压；解压过程中只保留最后 maxBytes 字节。
+ */
+function readGzipTail(filePath, maxBytes) {
+  return new Promise((resolve, reject) => {
+    let chunks = [];
+    let size = 0;
+    const source = fs.createReadStream(filePath);
+    const gunzip = zlib.createGunzip();
+    source.on('error', reject);
+    gunzip.on('error', reject);
+    gunzip.on('data', chunk => {
+      chunks.push(chunk);
+      size += chunk.length;
+      // Compact once the kept data is twice the budget, so trimming stays cheap.
+      if (size > maxBytes * 2) {
+        const kept = Buffer.concat(chunks).subarray(-maxBytes);
+        chunks = [kept];
+        size = kept.length;
+      }
+    });
+    gunzip.on('end', () => {
+      const buffer = Buffer.concat(chunks);
+      resolve(buffer.length > maxBytes ? buffer.subarray(-maxBytes) : buffer);
+    });
+    source.pipe(gunzip);
+  });
+}
+
+/**
+ * 读取日志最后 maxBytes 字节；当前文件不够时继续向已轮转的文件回溯，按时间顺序拼接。
+ */
+async function readDebugLogTail(logFilePath, maxBytes) {
+  const active = readTailBuffer(logFilePath, maxBytes);
+  const chunks = [active.toString('utf8')];
+  let remainingBytes = maxBytes - active.length;
+
+  for (const item of listRotatedDebugLogs(logFilePath)) {
+    if (remainingBytes <= 0) {
+      break;
+    }
+
+    let buffer;
+    try {
+      buffer = item.gzip ? await readGzipTail(item.filePath, remainingBytes) : readTailBuffer(item.filePath, remainingBytes);
+    } catch (_) {
+      continue;
+    }
+
+    const text = buffer.toString('utf8');
+    chunks.unshift(text.endsWith('\n') || !text ? text : `${text}\n`);
+    remainingBytes -= buffer.length;
+  }
+
+  return chunks.join('');
+}
+
+function parseLogTimestampMs(rawValue) {
+  if (typeof rawValue !== 'string' || !rawValue.trim()) {
+    return null;
+  }
+
+  const ts = Date.parse(rawValue);
+  return Number.isFinite(ts) ? ts : null;
+}
+
+function isProcessAlive(pid) {
+  if (!Number.isInteger(pid) || pid <= 0) {
+    return false;
+  }
+
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (_) {
+    return false;
+  }
+}
+
+/**
+ * 读取进程启动时间作为身份标识（Linux 读 /proc，其他平台用 ps），与 PID 一起判断 PID 是否被复用。
+ */
+function readProcessStartTime(pid) {
+  if (!Number.isInteger(pid) || pid <= 0) {
+    return null;
+  }
+
+  try {
+    const stat = fs.readFileSync(`/proc/${pid}/stat`, 'utf8');
+    // starttime is field 22; fields are counted after the parenthesised command name, which may contain spaces.
+    const fields = stat.slice(stat.lastIndexOf(')') + 2).split(' ');
+    return fields[19] ? `proc:${fields[19]}` : null;
+  } catch (_) {
+    // No procfs (macOS) or the process is gone.
+  }
+
+  const result = spawnSync('ps', ['-o', 'lstart=', '-p', String(pid)], { encoding: 'utf8', timeout: 2000 });
+  const text = result.status === 0 && typeof result.stdout === 'string' ? result.stdout.trim() : '';
+  return text ? `ps:${text}` : null;
+}
+
+function resolveWatcherEntryPath(codexHome, projectRoot) {
+  return path.join(codexHome, WATCHER_REGISTRY_DIR_RELATIVE_PATH, `${resolveProjectScopeKey(projectRoot)}.json`);
+}
+
+function readWatcherEntry(entryPath) {
+  try {
+    const entry = readJsonIfExists(entryPath);
+    return entry && typeof entry === 'object' && Number.isInteger(entry.pid) ? entry : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * 判断登记项对应的 watcher 是否仍在运行：
+ * - running：进程存活且启动时间一致（无法读取启动时间时要求心跳新鲜）
+ * - stopped / dead / pid-reused / unverified：都视为过期，只清理登记项，绝不发送信号
+ */
+function inspectWatcherEntry(entry, nowMs = Date.now()) {
+  const heartbeatMs = Date.parse(entry && entry.heartbeatAt);
+  const heartbeatStale = !Number.isFinite(heartbeatMs) || (nowMs - heartbeatMs) > WATCHER_HEARTBEAT_STALE_MS;
+  const pid = entry && Number.isInteger(entry.pid) ? entry.pid : null;
+
+  let state;
+  if (!entry || entry.state === 'stopped') {
+    state = 'stopped';
+  } else if (!isProcessAlive(pid)) {
+    state = 'dead';
+  } else {
+    const currentStartTime = readProcessStartTime(pid);
+    if (currentStartTime && entry.processStartTime) {
+      state = currentStartTime === entry.processStartTime ? 'running' : 'pid-reused';
+    } else {
+      state = heartbeatStale ? 'unverified' : 'running';
+    }
+  }
+
+  return { state, pid, heartbeatStale };
+}
+
+async function waitForProcessExit(pid, timeoutMs) {
+  const deadline = Date.now() + timeoutMs;
+  while (isProcessAlive(pid)) {
+    if (Date.now() >= deadline) {
+      return false;
+    }
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  return true;
+}
+
+/**
+ * 接管标记：新 watcher 在 SIGTERM 旧进程前写入，旧进程据此把收到的 SIGTERM 视为交接而不是退出。
+ */
+function resolveTakeoverMarkerPath(entryPath) {
+  return entryPath.replace(/\.json$/, '.takeover');
+}
+
+function isTakeoverRequested(entryPath) {
+  try {
+    const marker = readJsonIfExists(resolveTakeoverMarkerPath(entryPath));
+    return Boolean(marker && marker.pid === process.pid);
+  } catch (_) {
+    return false;
+  }
+}
+
+function removeWatcherEntryOf(entryPath, pid) {
+  const current = readWatcherEntry(entryPath);
+  if (current && current.pid !== pid) {
+    return;
+  }
+
+  try {
+    fs.unlinkSync(entryPath);
+  } catch (_) {
+    // Already removed.
+  }
+}
+
+/**
+ * 在 watcher 登记表中为当前项目登记本进程。同一项目已有经过身份校验的 watcher 时，
+ * 新启动的 watcher 接管：先写接管标记再 SIGTERM 旧进程并等待其退出（最长为旧进程的 drain 超时加 kill 宽限），
+ * 期间旧进程仍可正常收尾进行中的 hooks，但不会为仍在进行的 session 派发 SessionEnd。其他项目的 watcher 互不影响。
+ */
+function resolveTakeoverWaitMs(entry) {
+  const drainTimeoutMs = entry && Number.isFinite(entry.drainTimeoutMs) ? entry.drainTimeoutMs : DEFAULT_DRAIN_TIMEOUT_MS;
+  return drainTimeoutMs + HOOK_KILL_GRACE_MS + WATCHER_TAKEOVER_SLACK_MS;
+}
+
+async function registerWatcher(codexHome, projectRoot, drainTimeoutMs, logDebug) {
+  const entryPath = resolveWatcherEntryPath(codexHome, projectRoot);
+  const startedAt = new Date().toISOString();
+  const identity = {
+    version: WATCH_STATUS_VERSION,
+    pid: process.pid,
+    processStartTime: readProcessStartTime(process.pid),
+    codexHome,
+    projectRoot: projectRoot || null,
+    drainTimeoutMs,
+    startedAt
+  };
+
+  for (let attempt = 0; attempt < WATCHER_REGISTER_ATTEMPTS; attempt += 1) {
+    try {
+      fs.mkdirSync(path.dirname(entryPath), { recursive: true });
+      const fd = fs.openSync(entryPath, 'wx');
+      fs.writeFileSync(fd, `${JSON.stringify({ ...identity, state: 'starting', heartbeatAt: startedAt })}\n`, 'utf8');
+      fs.closeSync(fd);
+      logDebug('watcher-registered', { entryPath, processStartTime: identity.processStartTime || '' });
+      return { entryPath, identity };
+    } catch (error) {
+      if (!error || error.code !== 'EEXIST') {
+        throw error;
+      }
+    }
+
+    const existing = readWatcherEntry(entryPath);
+    const inspection = inspectWatcherEntry(existing);
+    if (inspection.state === 'running') {
+      logDebug('watcher-takeover', { entryPath, targetPid: inspection.pid, heartbeatStale: inspection.heartbeatStale });
+      const markerPath = resolveTakeoverMarkerPath(entryPath);
+      try {
+        writeJsonAtomic(markerPath, { pid: inspection.pid, takenOverBy: process.pid, requestedAt: new Date().toISOString() });
+      } catch (error) {
+        // The old watcher then stops as on a plain SIGTERM and ends its sessions itself.
+        logDebug('watcher-takeover-mark-failed', { markerPath, error: error.message });
+      }
+      try {
+        process.kill(inspection.pid, 'SIGTERM');
+      } catch (_) {
+        // Exited in the meantime.
+      }
+
+      const exited = await waitForProcessExit(inspection.pid, resolveTakeoverWaitMs(existing));
+      try {
+        fs.unlinkSync(markerPath);
+      } catch (_) {
+        // Never written or already removed.
+      }
+      if (!exited) {
+        logDebug('watcher-registry-busy', { entryPath, existingPid: inspection.pid });
+        return null;
+      }
+    } else {
+      logDebug('watcher-stale-entry', { entryPath, existingPid: inspection.pid, state: inspection.state });
+    }
+
+    removeWatcherEntryOf(entryPath, inspection.pid);
+  }
+
+  logDebug('watcher-registry-busy', { entryPath });
+  return null;
+}
+
+/**
+ * 用最新状态刷新登记项（兼作心跳）；登记项已被其他 watcher 接管时不再覆盖。
+ */
+function writeWatcherEntry(registration, status, logDebug) {
+  const current = readWatcherEntry(registration.entryPath);
+  if (current && current.pid !== process.pid) {
+    logDebug('watcher-registration-lost', { entryPath: registration.entryPath, ownerPid: current.pid });
+    return false;
+  }
+
+  try {
+    writeJsonAtomic(registration.entryPath, { ...status, ...registration.identity, heartbeatAt: status.updatedAt });
+    return true;
+  } catch (error) {
+    logDebug('watch-status-write-failed', { entryPath: registration.entryPath, error: error.message });
+    return false;
+  }
+}
+
+function signalProcessGroup(pid, signal) {
+  if (!Number.isInteger(pid) || pid <= 0) {
+    return;
+  }
+
+  try {
+    process.kill(-pid, signal);
+  } catch (_) {
+    try {
+      process.kill(pid, signal);
+    } catch (__) {
+      // Already gone.
+    }
+  }
+}
+
+function buildHookShellArgs(command, memoryLimitMb) {
+  if (!memoryLimitMb) {
+    return ['-lc', command];
+  }
+
+  // ulimit applies to the wrapper shell and everything it execs, so the login shell stays as before.
+  const limitKb = Math.max(1, Math.floor(memoryLimitMb * 1024));
+  return ['-c', 'ulimit -v "$1" 2>/dev/null; exec bash -lc "$2"', 'crs-hook', String(limitKb), command];
+}
+
+function collectSecretValues(env) {
+  const values = new Set();
+  for (const [name, value] of Object.entries(env)) {
+    if (SECRET_ENV_NAME_PATTERN.test(name) && typeof value === 'string' && value.length >= SECRET_MIN_LENGTH) {
+      values.add(value);
+    }
+  }
+
+  // Longest first, so a secret that contains another one is masked as a whole.
+  return [...values].sort((a, b) => b.length - a.length);
+}
+
+function redactSecrets(text, secretValues) {
+  let redacted = text;
+  for (const value of secretValues) {
+    redacted = redacted.split(value).join('***');
+  }
+  return redacted;
+}
+
+/**
+ * 只保留每个输出流最后 maxBytes 字节（失败原因通常在末尾）。
+ */
+function createOutputCapture(maxBytes) {
+  let buffer = Buffer.alloc(0);
+  let totalBytes = 0;
+
+  return {
+    push(chunk) {
+      totalBytes += chunk.length;
+      if (maxBytes <= 0) {
+        return;
+      }
+      buffer = Buffer.concat([buffer, chunk]);
+      if (buffer.length > maxBytes * 2) {
+        buffer = buffer.subarray(buffer.length - maxBytes);
+      }
+    },
+    read(secretValues) {
+      const kept = buffer.length > maxBytes ? buffer.subarray(buffer.length - maxBytes) : buffer;
+      return {
+        text: redactSecrets(kept.toString('utf8'), secretValues),
+        truncated: totalBytes > kept.length
+      };
+    }
+  };
+}
+
+// Crash signals (SIGSEGV, SIGABRT...) are ordinary bugs far more often than ulimit hits, so only allocation errors count.
+function detectMemoryLimitHit(stderrTail) {
+  return HOOK_MEMORY_ERROR_PATTERN.test(stderrTail);
+}
+
+/**
+ * hook 在独立进程组中运行；超时、输出超限或 bridge 退出时对整个进程组先 SIGTERM，
+ * 宽限期后仍未退出则 SIGKILL。limitHit 记录触发的限制：timeout / output / memory。
+ */
+function runHookCommand({
+  command,
+  timeoutSec,
+  contextEnv,
+  stdinPayload,
+  quiet,
+  signal,
+  limits = {},
+  captureBytes = DEFAULT_HOOK_OUTPUT_CAPTURE_BYTES
+}) {
+  const startedAt = Date.now();
+  const env = {
+    ...process.env,
+    ...contextEnv
+  };
+  const maxOutputBytes = Number(limits.maxOutputBytes) > 0 ? Number(limits.maxOutputBytes) : 0;
+  const memoryLimitMb = Number(limits.memoryLimitMb) > 0 ? Number(limits.memoryLimitMb) : 0;
+
+  return new Promise(resolve => {
+    let child;
+    let timer = null;
+    let killTimer = null;
+    let flushTimer = null;
+    let timedOut = false;
+    let limitHit = '';
+    let spawnError = '';
+    let settled = false;
+    let exitStatus = null;
+    let exitSignal = '';
+    let outputBytes = 0;
+    let stderrTail = '';
+    const stdoutCapture = createOutputCapture(captureBytes);
+    const stderrCapture = createOutputCapture(captureBytes);
+
+    const onAbort = () => {
+      spawnError = spawnError || 'bridge is shutting down';
+      terminate('');
+    };
+
+    const finish = () => {
+      if (settled) {
+        return;
+      }
+      settled = true;
+      clearTimeout(timer);
+      clearTimeout(flushTimer);
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+      if (child) {
+        child.stdout.destroy();
+        child.stderr.destroy();
+      }
+
+      if (!limitHit && memoryLimitMb && exitStatus !== 0 && detectMemoryLimitHit(stderrTail)) {
+        limitHit = 'memory';
+      }
+
+      const secretValues = collectSecretValues(env);
+      const stdout = stdoutCapture.read(secretValues);
+      const stderr = stderrCapture.read(secretValues);
+      resolve({
+        ok: !spawnError && !limitHit && exitStatus === 0,
+        status: Number.isInteger(exitStatus) ? exitStatus : null,
+        signal: exitSignal || '',
+        error: spawnError,
+        timedOut,
+        limitHit,
+        outputBytes,
+        stdout: stdout.text,
+        stdoutTruncated: stdout.truncated,
+        stderr: stderr.text,
+        stderrTruncated: stderr.truncated,
+        durationMs: Date.now() - startedAt
+      });
+    };
+
+    const terminate = reason => {
+      if (!limitHit && reason) {
+        limitHit = reason;
+      }
+      if (killTimer || !child) {
+        return;
+      }
+
+      signalProcessGroup(child.pid, 'SIGTERM');
+      // Not unref'd: stubborn grandchildren must still be killed when the bridge is about to exit.
+      killTimer = setTimeout(() => signalProcessGroup(child.pid, 'SIGKILL'), HOOK_KILL_GRACE_MS);
+    };
+
+    if (signal && signal.aborted) {
+      spawnError = 'bridge is shutting down';
+      finish();
+      return;
+    }
+
+    try {
+      child = spawn('bash', buildHookShellArgs(command, memoryLimitMb), {
+        env,
+        stdio: ['pipe', 'pipe', 'pipe'],
+        // Own process group, so timeouts reach grandchildren (npx, notifiers, sleep...) too.
+        detached: true
+      });
+    } catch (error) {
+      child = null;
+      spawnError = error.message;
+      finish();
+      return;
+    }
+
+    const onOutput = (chunk, target, isStderr) => {
+      (isStderr ? stderrCapture : stdoutCapture).push(chunk);
+      const allowedBytes = maxOutputBytes ? Math.max(0, maxOutputBytes - outputBytes) : chunk.length;
+      outputBytes += chunk.length;
+      if (isStderr) {
+        stderrTail = `${stderrTail}${chunk.toString('utf8')}`.slice(-HOOK_STDERR_TAIL_CHARS);
+      }
+      if (!quiet && allowedBytes > 0) {
+        target.write(chunk.length > allowedBytes ? chunk.subarray(0, allowedBytes) : chunk);
+      }
+      if (maxOutputBytes && outputBytes > maxOutputBytes) {
+        terminate('output');
+      }
+    };
+    child.stdout.on('data', chunk => onOutput(chunk, process.stdout, false));
+    child.stderr.on('data', chunk => onOutput(chunk, process.stderr, true));
+
+    child.on('error', error => {
+      spawnError = error.message;
+      if (!Number.isInteger(child.pid)) {
+        finish();
+      }
+    });
+    child.on('exit', (status, exitSignalName) => {
+      exitStatus = status;
+      exitSignal = typeof exitSignalName === 'string' ? exitSignalName : '';
+      // Background grandchildren may hold stdout/stderr open; do not wait for them.
+      flushTimer = setTimeout(finish, HOOK_OUTPUT_FLUSH_GRACE_MS);
+    });
+    child.on('close', () => {
+      // finish() itself destroys the pipes, so close does not mean the group is gone: a pending
+      // SIGKILL (only armed by terminate()) must still reach grandchildren that ignore SIGTERM.
+      finish();
+    });
+
+    // Hooks that never read stdin close the pipe early; that is not a failure.
+    child.stdin.on('error', error => {
+      if (error.code !== 'EPIPE') {
+        spawnError = error.message;
+      }
+    });
+    child.stdin.end(`${JSON.stringify(stdinPayload || {})}\n`);
+
+    if (signal) {
+      signal.addEventListener('abort', onAbort);
+    }
+
+    timer = setTimeout(() => {
+      timedOut = true;
+      terminate('timeout');
+    }, Math.max(1, timeoutSec) * 1000);
+  });
+}
+
+/**
+ * Hook 调度：全局最多 concurrency 个 hook 同时运行；同一 plugin 的 hook 串行；
+ * 同一 session 的事件按到达顺序执行（前一个事件的 hook 全部结束后才开始下一个）。
+ */
+function createHookScheduler({ concurrency }) {
+  const limit = Math.max(1, Number(concurrency) || DEFAULT_HOOK_CONCURRENCY);
+  const waiters = [];
+  const eventQueues = new Map();
+  const sourceQueues = new Map();
+  const inFlight = new Set();
+  const abortController = new AbortController();
+  let running = 0;
+
+  const acquireSlot = () => {
+    if (running < limit) {
+      running += 1;
+      return Promise.resolve();
+    }
+    return new Promise(resolve => waiters.push(resolve));
+  };
+
+  const releaseSlot = () => {
+    const next = waiters.shift();
+    if (next) {
+      next();
+      return;
+    }
+    running -= 1;
+  };
+
+  const chain = (queues, key, task) => {
+    const previous = queues.get(key) || Promise.resolve();
+    const current = previous.then(task);
+    const tail = current.catch(() => {});
+    queues.set(key, tail);
+    tail.then(() => {
+      if (queues.get(key) === tail) {
+        queues.delete(key);
+      }
+    });
+    return current;
+  };
+
+  return {
+    signal: abortController.signal,
+    enqueueEvent(queueKey, task) {
+      const pending = chain(eventQueues, queueKey || BRIDGE_EVENT_QUEUE_KEY, task);
+      const tracked = pending.catch(() => {});
+      inFlight.add(tracked);
+      tracked.then(() => inFlight.delete(tracked));
+      return pending;
+    },
+    runHook(sourceKey, task) {
+      return chain(sourceQueues, sourceKey, async () => {
+        await acquireSlot();
+        try {
+          return await task();
+        } finally {
+          releaseSlot();
+        }
+      });
+    },
+    pendingCount() {
+      return inFlight.size;
+    },
+    async drain(timeoutMs) {
+      const deadline = Number.isFinite(timeoutMs) ? Date.now() + timeoutMs : Infinity;
+      // Keep waiting while new events (e.g. idle SessionEnd) are queued during the drain.
+      while (inFlight.size > 0) {
+        const remainingMs = deadline - Date.now();
+        if (remainingMs <= 0) {
+          return { drained: false, pending: inFlight.size };
+        }
+
+        let timer = null;
+        const timeout = Number.isFinite(remainingMs)
+          ? new Promise(resolve => { timer = setTimeout(resolve, remainingMs); })
+          : new Promise(() => {});
+        await Promise.race([Promise.allSettled([...inFlight]), timeout]);
+        clearTimeout(timer);
+      }
+      return { drained: true, pending: 0 };
+    },
+    abort() {
+      abortController.abort();
+    }
+  };
+}
+
+/**
+ * 按 hook 命令统计连续失败次数：达到 threshold 后熔断（跳过执行）cooldownMs，
+ * 冷却结束后放行一次试探，成功则恢复，失败则再次熔断。threshold 为 0 时不熔断。
+ */
+function createHookCircuitBreaker({ threshold, cooldownMs, logDebug }) {
+  const circuits = new Map();
+
+  const getCircuit = key => {
+    let circuit = circuits.get(key);
+    if (!circuit) {
+      circuit = { consecutiveFailures: 0, openUntilMs: 0 };
+      circuits.set(key, circuit);
+    }
+    return circuit;
+  };
+
+  return {
+    allows(key, nowMs = Date.now()) {
+      const circuit = circuits.get(key);
+      return !circuit || circuit.openUntilMs <= nowMs;
+    },
+    record(key, hookInfo, ok, nowMs = Date.now()) {
+      if (!threshold) {
+        return;
+      }
+
+      const circuit = getCircuit(key);
+      if (ok) {
+        if (circuit.consecutiveFailures >= threshold) {
+          logDebug('hook-circuit-closed', { ...hookInfo, previousFailures: circuit.consecutiveFailures });
+        }
+        circuit.consecutiveFailures = 0;
+        circuit.openUntilMs = 0;
+        return;
+      }
+
+      circuit.consecutiveFailures += 1;
+      if (circuit.consecutiveFailures >= threshold) {
+        circuit.openUntilMs = nowMs + cooldownMs;
+        logDebug('hook-circuit-open', {
+          ...hookInfo,
+          level: 'warn',
+          consecutiveFailures: circuit.consecutiveFailures,
+          disabledUntil: new Date(circuit.openUntilMs).toISOString()
+        });
+      }
+    }
+  };
+}
+
+function resolveRetryPolicy(commandDef) {
+  const retries = Number.isInteger(commandDef.retries) ? Math.min(Math.max(commandDef.retries, 0), HOOK_MAX_RETRIES) : 0;
+  const backoffMs = Number.isFinite(commandDef.retryBackoffMs) && commandDef.retryBackoffMs >= 0
+    ? Number(commandDef.retryBackoffMs)
+    : DEFAULT_HOOK_RETRY_BACKOFF_MS;
+  return { retries, backoffMs };
+}
+
+/**
+ * 未执行的 hook（如熔断跳过）也返回与 hook-command-finish 相同结构的记录。
+ */
+function buildSkippedHookRecord(hookInfo, reason) {
+  return {
+    ...hookInfo,
+    ok: false,
+    skipped: reason,
+    status: null,
+    signal: '',
+    timedOut: false,
+    limitHit: '',
+    outputBytes: 0,
+    durationMs: 0,
+    attempts: 0,
+    error: '',
+    stdout: '',
+    stdoutTruncated: false,
+    stderr: '',
+    stderrTruncated: false
+  };
+}
+
+function sleepUnlessAborted(ms, signal) {
+  return new Promise(resolve => {
+    if (signal && signal.aborted) {
+      resolve();
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+    const timer = setTimeout(() => {
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+      resolve();
+    }, ms);
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+  });
+}
+
+function getAllHookSources(manifest) {
+  return [...manifest.plugins, ...manifest.topHooks];
+}
+
+function dispatchEvent(runtime, eventRecord) {
+  const { session } = eventRecord;
+  const queueKey = session ? session.transcriptPath : BRIDGE_EVENT_QUEUE_KEY;
+  const lastEvent = {
+    rawType: eventRecord.rawType,
+    eventName: mapEventNames(eventRecord.rawType)[0],
+    eventTimestampSec: Number.isFinite(eventRecord.eventTimestampSec) ? eventRecord.eventTimestampSec : null,
+    dispatchedAt: new Date().toISOString(),
+    completedAt: null,
+    hookCount: null,
+    failedHookCount: null
+  };
+  if (session) {
+    session.lastEvent = lastEvent;
+    runtime.statusDirty = true;
+  }
+
+  // Pin the manifest at dispatch time so a reload never changes the hook set of an already queued event.
+  const eventRuntime = { ...runtime, manifest: runtime.manifest };
+  return runtime.scheduler.enqueueEvent(queueKey, () => executeEvent(eventRuntime, eventRecord))
+    .catch(error => {
+      runtime.logDebug('event-failed', { rawType: eventRecord.rawType, error: error.message });
+      return [];
+    })
+    .then(hookResults => {
+      lastEvent.completedAt = new Date().toISOString();
+      lastEvent.hookCount = hookResults.length;
+      lastEvent.failedHookCount = hookResults.filter(hookResult => !hookResult.ok).length;
+      runtime.statusDirty = true;
+      return hookResults;
+    });
+}
+
+/**
+ * 计算一个 Codex 事件会触发哪些 hook（含 stdin payload 与环境变量），不执行任何命令。
+ */
+function planEventHooks(manifest, codexEventRecord, projectRoot) {
+  const eventRecord = {
+    ...codexEventRecord,
+    toolName: translateToolName((codexEventRecord.payload || {}).tool_name, manifest.toolNameMap, manifest.mcpServers)
+  };
+  const names = mapEventNames(eventRecord.rawType);
+  const matcherText = buildMatcherText(eventRecord);
+  const matchFields = buildMatchFields(eventRecord, projectRoot);
+  const hooks = [];
+
+  for (const source of getAllHookSources(manifest)) {
+    const events = Array.isArray(source.events) ? source.events : [];
+
+    for (const eventDef of events) {
+      if (!eventDef || typeof eventDef.eventName !== 'string') {
+        continue;
+      }
+
+      if (!names.includes(eventDef.eventName)) {
+        continue;
+      }
+
+      // Tool events follow Claude matcher semantics; other events keep matching the event text.
+      const matched = eventRecord.toolName
+        ? matchesToolRule(eventDef.matcher, eventRecord.toolName)
+        : matchesRule(eventDef.matcher, matcherText);
+      if (!matched || !matchesExpression(eventDef.match, matchFields)) {
+        continue;
+      }
+
+      const commands = Array.isArray(eventDef.commands) ? eventDef.commands : [];
+      for (const commandDef of commands) {
+        if (!commandDef || typeof commandDef.command !== 'string' || !commandDef.command.trim()) {
+          continue;
+        }
+
+        hooks.push({
+          source,
+          eventDef,
+          commandDef,
+          timeoutSec: Number.isFinite(commandDef.timeout) ? Number(commandDef.timeout) : 10,
+          stdinPayload: buildHookPayload(eventRecord, eventDef.eventName, projectRoot),
+          contextEnv: {
+            CLAUDE_PLUGIN_ROOT: source.rootPath || '',
+            CLAUDE_PROJECT_ROOT: projectRoot || '',
+            CRS_EVENT_TYPE: names[0],
+            CRS_EVENT_RAW_TYPE: eventRecord.rawType,
+            CRS_EVENT_MATCHER_TEXT: matcherText,
+            CRS_EVENT_REASON: safeStringValue(eventRecord.payload.reason),
+            CRS_TOOL_NAME: eventRecord.toolName,
+            CRS_CALL_ID: safeStringValue(eventRecord.payload.call_id),
+            ...buildTurnEnv(eventRecord.turn)
+          }
+        });
+      }
+    }
+  }
+
+  return {
+    eventRecord,
+    names,
+    matcherText,
+    hasSpecialMapping: Array.isArray(CODEX_EVENT_MAP[eventRecord.rawType]) && CODEX_EVENT_MAP[eventRecord.rawType].length > 0,
+    hooks
+  };
+}
+
+async function executeEvent(runtime, codexEventRecord) {
+  const { manifest, projectRoot, quiet, logDebug, scheduler, circuitBreaker } = runtime;
+  const { eventRecord, names, matcherText, hasSpecialMapping, hooks } = planEventHooks(manifest, codexEventRecord, projectRoot);
+
+  if (hasSpecialMapping || eventRecord.rawType === 'Stop') {
+    logDebug('event-received', {
+      rawType: eventRecord.rawType,
+      mappedTypes: names,
+      matcherText
+    });
+  }
+
+  const hookRuns = hooks.map(({ source, eventDef, commandDef, timeoutSec, stdinPayload, contextEnv }) => {
+    const sourceKey = source.id || source.rootPath || source.name || '';
+    const hookInfo = {
+      sourceId: source.id || '',
+      sourceName: source.name || '',
+      eventName: eventDef.eventName,
+      command: commandDef.command
+    };
+    const circuitKey = `${sourceKey}\n${commandDef.command}`;
+
+    const runAttempt = attempt => scheduler.runHook(sourceKey, () => {
+      if (attempt === 1 && circuitBreaker && !circuitBreaker.allows(circuitKey)) {
+        logDebug('hook-command-skipped', { ...hookInfo, reason: 'circuit-open' });
+        return null;
+      }
+
+      logDebug('hook-command-start', {
+        ...hookInfo,
+        matcher: eventDef.matcher || '',
+        timeoutSec,
+        attempt
+      });
+
+      return runHookCommand({
+        command: commandDef.command,
+        timeoutSec,
+        quiet,
+        signal: scheduler.signal,
+        limits: {
+          maxOutputBytes: commandDef.maxOutputBytes,
+          memoryLimitMb: commandDef.memoryLimitMb
+        },
+        captureBytes: runtime.hookOutputBytes,
+        stdinPayload,
+        contextEnv
+      });
+    });
+
+    return (async () => {
+      const { retries, backoffMs } = resolveRetryPolicy(commandDef);
+      let hookResult;
+      let attempt = 0;
+      let totalDelayMs = 0;
+      while (true) {
+        attempt += 1;
+        // Each attempt queues for its own slot, so the backoff below does not block other hooks.
+        hookResult = await runAttempt(attempt);
+        if (!hookResult) {
+          return buildSkippedHookRecord(hookInfo, 'circuit-open');
+        }
+
+        if (hookResult.ok || attempt > retries || scheduler.signal.aborted) {
+          break;
+        }
+
+        // Exponential backoff: backoffMs, 2x, 4x... capped by the total retry delay budget.
+        const delayMs = Math.min(backoffMs * (2 ** (attempt - 1)), HOOK_RETRY_MAX_TOTAL_DELAY_MS - totalDelayMs);
+        if (delayMs <= 0 && backoffMs > 0) {
+          break;
+        }
+        totalDelayMs += delayMs;
+        logDebug('hook-command-retry', { ...hookInfo, attempt, delayMs, status: hookResult.status, error: hookResult.error });
+        await sleepUnlessAborted(delayMs, scheduler.signal);
+      }
+
+      const finishRecord = {
+        ...hookInfo,
+        ok: hookResult.ok,
+        status: hookResult.status,
+        signal: hookResult.signal,
+        timedOut: hookResult.timedOut,
+        limitHit: hookResult.limitHit,
+        outputBytes: hookResult.outputBytes,
+        durationMs: hookResult.durationMs,
+        attempts: attempt,
+        error: hookResult.error,
+        stdout: hookResult.stdout,
+        stdoutTruncated: hookResult.stdoutTruncated,
+        stderr: hookResult.stderr,
+        stderrTruncated: hookResult.stderrTruncated
+      };
+      logDebug('hook-command-finish', finishRecord);
+
+      if (circuitBreaker) {
+        circuitBreaker.record(circuitKey, hookInfo, hookResult.ok);
+      }
+      return finishRecord;
+    })();
+  });
+
+  if ((hasSpecialMapping || eventRecord.rawType === 'Stop') && hookRuns.length === 0) {
+    logDebug('event-no-hook-executed', {
+      rawType: eventRecord.rawType,
+      mappedTypes: names,
+      matcherText
+    });
+  }
+
+  // Hooks of different plugins run concurrently; the event completes once all of them finish.
+  return Promise.all(hookRuns);
+}
+
+function createBridgeState(options) {
+  return {
+    offsets: new Map(),
+    remainders: new Map(),
+    fileIdentities: new Map(),
+    checkpointedFiles: new Set(),
+    recentEvents: new Map(),
+    sessions: new Map(),
+    toolCalls: new Map(),
+    dailyTokenUsage: null,
+    sinceEpochSec: options.since,
+    checkpointDirty: false
+  };
+}
+
+function resolveProjectScopeKey(projectRoot) {
+  return crypto.createHash('sha1').update(projectRoot || 'global').digest('hex').slice(0, 16);
+}
+
+function resolveCheckpointPath(codexHome, projectRoot) {
+  // One checkpoint per project so concurrent bridges never share offsets.
+  return path.join(codexHome, CHECKPOINT_DIR_RELATIVE_PATH, `${resolveProjectScopeKey(projectRoot)}.json`);
+}
+
+function resolveTranscriptDir(codexHome, projectRoot) {
+  return path.join(codexHome, TRANSCRIPT_DIR_RELATIVE_PATH, resolveProjectScopeKey(projectRoot));
+}
+
+function writeJsonAtomic(filePath, value) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, `${JSON.stringify(value)}\n`, 'utf8');
+  fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * 从 checkpoint 恢复各 session 文件的已提交偏移、session 元数据与近期事件签名。
+ * inode 变化（轮转/替换）或文件变短（截断）的条目会被丢弃，从头重新读取。
+ * 返回 checkpoint 的保存时间（毫秒），没有可用 checkpoint 时返回 0。
+ */
+function loadCheckpoint(checkpointPath, state, logDebug) {
+  let checkpoint;
+  try {
+    checkpoint = readJsonIfExists(checkpointPath);
+  } catch (error) {
+    logDebug('checkpoint-invalid', { checkpointPath, error: error.message });
+    return 0;
+  }
+
+  if (!checkpoint || checkpoint.version !== CHECKPOINT_VERSION) {
+    return 0;
+  }
+
+  const files = checkpoint.files && typeof checkpoint.files === 'object' ? checkpoint.files : {};
+  let restoredCount = 0;
+  let discardedCount = 0;
+
+  for (const [filePath, entry] of Object.entries(files)) {
+    if (!entry || !Number.isInteger(entry.offset) || entry.offset < 0) {
+      discardedCount += 1;
+      continue;
+    }
+
+    let stat;
+    try {
+      stat = fs.statSync(filePath);
+    } catch (_) {
+      discardedCount += 1;
+      continue;
+    }
+
+    if (stat.ino !== entry.ino || stat.dev !== entry.dev || stat.size < entry.offset) {
+      discardedCount += 1;
+      continue;
+    }
+
+    state.offsets.set(filePath, entry.offset);
+    state.remainders.set(filePath, '');
+    state.fileIdentities.set(filePath, { ino: entry.ino, dev: entry.dev, lastSeenMs: entry.lastSeenMs || Date.now() });
+    state.checkpointedFiles.add(filePath);
+
+    if (entry.session && typeof entry.session === 'object') {
+      state.sessions.set(filePath, {
+        ...createSessionInfo(filePath),
+        ...entry.session,
+        transcriptPath: filePath,
+        lastActivityMs: Date.now()
+      });
+    }
+    restoredCount += 1;
+  }
+
+  const nowMs = Date.now();
+  const recentEvents = Array.isArray(checkpoint.recentEvents) ? checkpoint.recentEvents : [];
+  for (const item of recentEvents) {
+    if (Array.isArray(item) && typeof item[0] === 'string' && Number.isFinite(item[1]) && (nowMs - item[1]) <= RECENT_EVENT_TTL_MS) {
+      state.recentEvents.set(item[0], item[1]);
+    }
+  }
+
+  const dailyTokenUsage = checkpoint.dailyTokenUsage;
+  if (dailyTokenUsage && typeof dailyTokenUsage.date === 'string' && Number.isFinite(dailyTokenUsage.totalTokens)) {
+    state.dailyTokenUsage = {
+      date: dailyTokenUsage.date,
+      totalTokens: dailyTokenUsage.totalTokens,
+      sessions: dailyTokenUsage.sessions && typeof dailyTokenUsage.sessions === 'object' ? dailyTokenUsage.sessions : {},
+      budgetExceeded: Boolean(dailyTokenUsage.budgetExceeded)
+    };
+  }
+
+  logDebug('checkpoint-loaded', { checkpointPath, restoredCount, discardedCount });
+  const updatedMs = Date.parse(checkpoint.updatedAt);
+  return Number.isFinite(updatedMs) ? updatedMs : 0;
+}
+
+/**
+ * --initial-since 只在第一次运行（没有 checkpoint）时作为 --since；已有 checkpoint 时由它决定：
+ * 断点内的文件按偏移续读，断点外的新文件从 checkpoint 保存前不久开始读。显式 --since 总是优先。
+ */
+function resolveEffectiveSince(options, checkpointUpdatedMs) {
+  if (options.since || !options.initialSince) {
+    return options.since;
+  }
+
+  if (checkpointUpdatedMs > 0) {
+    return Math.floor(checkpointUpdatedMs / 1000) - CHECKPOINT_SINCE_SLACK_SEC;
+  }
+  return options.initialSince;
+}
+
+function saveCheckpoint(checkpointPath, state, logDebug) {
+  if (!checkpointPath || !state.checkpointDirty) {
+    return;
+  }
+
+  const nowMs = Date.now();
+  const files = {};
+  for (const [filePath, offset] of state.offsets.entries()) {
+    const identity = state.fileIdentities.get(filePath);
+    if (!identity || (nowMs - identity.lastSeenMs) > CHECKPOINT_FILE_RETENTION_MS) {
+      continue;
+    }
+
+    // Persist the offset of the last complete line; a partial trailing line is re-read next time.
+    const remainderBytes = Buffer.byteLength(state.remainders.get(filePath) || '', 'utf8');
+    const session = state.sessions.get(filePath);
+    files[filePath] = {
+      offset: Math.max(0, offset - remainderBytes),
+      ino: identity.ino,
+      dev: identity.dev,
+      lastSeenMs: identity.lastSeenMs,
+      session: session
+        ? {
+          sessionId: session.sessionId,
+          cwd: session.cwd,
+          originator: session.originator,
+          cliVersion: session.cliVersion,
+          meta: session.meta ? buildSessionMetaSummary(session.meta) : null,
+          transcript: session.transcript,
+          turn: session.turn,
+          tokenUsage: session.tokenUsage,
+          active: session.active,
+          ended: session.ended
+        }
+        : null
+    };
+  }
+
+  const recentEvents = [...state.recentEvents.entries()]
+    .filter(([, seenAt]) => (nowMs - seenAt) <= RECENT_EVENT_TTL_MS);
+
+  try {
+    writeJsonAtomic(checkpointPath, {
+      version: CHECKPOINT_VERSION,
+      updatedAt: new Date(nowMs).toISOString(),
+      files,
+      recentEvents,
+      dailyTokenUsage: state.dailyTokenUsage
+    });
+    state.checkpointDirty = false;
+  } catch (error) {
+    logDebug('checkpoint-save-failed', { checkpointPath, error: error.message });
+  }
+}
+
+function primeSessionOffsets(files, state) {
+  for (const filePath of files) {
+    if (state.offsets.has(filePath)) {
+      continue;
+    }
+
+    // Start from file beginning and rely on timestamp-based since filtering.
+    // This avoids missing newly appended events in long-lived session files.
+    state.offsets.set(filePath, 0);
+    state.remainders.set(filePath, '');
+  }
+}
+
+function recordAndCheckDuplicateEvent(state, signature) {
+  const nowMs = Date.now();
+  const recentEvents = state.recentEvents;
+  const lastSeenMs = recentEvents.get(signature);
+  recentEvents.set(signature, nowMs);
+
+  if (recentEvents.size > RECENT_EVENT_MAX) {
+    for (const [key, seenAt] of recentEvents.entries()) {
+      if ((nowMs - seenAt) > RECENT_EVENT_TTL_MS || recentEvents.size > RECENT_EVENT_MAX) {
+        recentEvents.delete(key);
+      } else {
+        break;
+      }
+    }
+  }
+
+  return typeof lastSeenMs === 'number' && (nowMs - lastSeenMs) <= RECENT_EVENT_TTL_MS;
+}
+
+function resolveTranscriptPath(transcriptsRoot, session) {
+  const name = String(session.sessionId || path.basename(session.transcriptPath, '.jsonl')).replace(/[^A-Za-z0-9._-]+/g, '-');
+  return path.join(transcriptsRoot, `${name}.jsonl`);
+}
+
+/**
+ * notify 不一定与负责该 session 的 watcher 同属一个 bridge 范围：在所有范围的缓存中取最近更新的一份。
+ */
+function findCachedTranscript(transcriptsRoot, session) {
+  let latest = null;
+  for (const name of fs.existsSync(transcriptsRoot) ? fs.readdirSync(transcriptsRoot) : []) {
+    const candidate = resolveTranscriptPath(path.join(transcriptsRoot, name), session);
+    const stat = fs.statSync(candidate, { throwIfNoEntry: false });
+    if (stat && stat.isFile() && (!latest || stat.mtimeMs > latest.mtimeMs)) {
+      latest = { path: candidate, mtimeMs: stat.mtimeMs };
+    }
+  }
+  return latest ? latest.path : '';
+}
+
+function extractAssistantText(content) {
+  const parts = Array.isArray(content) ? content : [];
+  return parts
+    .filter(item => item && (item.type === 'output_text' || item.type === 'text') && typeof item.text === 'string')
+    .map(item => item.text)
+    .join('\n')
+    .trim();
+}
+
+/**
+ * 把一行 Codex 日志转换为 Claude transcript 的消息（user / assistant text / tool_use / tool_result）。
+ * 只转换 response_item；event_msg 与其重复，reasoning 为加密内容，均跳过。
+ */
+function buildTranscriptMessages(parsed, runtime) {
+  if (!parsed || parsed.type !== 'response_item' || !parsed.payload || typeof parsed.payload !== 'object') {
+    return [];
+  }
+
+  const payload = parsed.payload;
+  const callId = typeof payload.call_id === 'string' ? payload.call_id : '';
+
+  if (payload.type === 'message' && payload.role === 'user') {
+    const prompt = extractUserPrompt(payload.content);
+    return prompt ? [{ type: 'user', message: { role: 'user', content: prompt } }] : [];
+  }
+
+  if (payload.type === 'message' && payload.role === 'assistant') {
+    const text = extractAssistantText(payload.content);
+    return text ? [{ type: 'assistant', message: { role: 'assistant', content: [{ type: 'text', text }] } }] : [];
+  }
+
+  if ((payload.type === 'function_call' || payload.type === 'custom_tool_call') && typeof payload.name === 'string') {
+    const input = payload.type === 'custom_tool_call'
+      ? { input: typeof payload.input === 'string' ? payload.input : '' }
+      : (parseToolArguments(payload.arguments) || { arguments: safeStringValue(payload.arguments) });
+    const { manifest } = runtime;
+    return [{
+      type: 'assistant',
+      message: {
+        role: 'assistant',
+        content: [{
+          type: 'tool_use',
+          id: callId,
+          name: translateToolName(payload.name, manifest.toolNameMap, manifest.mcpServers),
+          input
+        }]
+      }
+    }];
+  }
+
+  if (payload.type === 'function_call_output' || payload.type === 'custom_tool_call_output') {
+    const toolResponse = parseToolOutput(payload.output);
+    return [{
+      type: 'user',
+      message: {
+        role: 'user',
+        content: [{
+          type: 'tool_result',
+          tool_use_id: callId,
+          content: toolResponse.output,
+          is_error: Number.isInteger(toolResponse.exit_code) && toolResponse.exit_code !== 0
+        }]
+      }
+    }];
+  }
+
+  return [];
+}
+
+/**
+ * 把 session 文件中新读到的完整行增量追加到缓存目录下的 Claude transcript，并作为 transcript_path 传给 hooks。
+ * 新 session（或缓存与 checkpoint 记录的长度不一致）时从头重建。
+ */
+function appendTranscriptLines(runtime, session, lines) {
+  const { transcriptsRoot, logDebug } = runtime;
+  let transcript = session.transcript;
+  if (!transcript) {
+    transcript = { path: resolveTranscriptPath(transcriptsRoot, session), lastUuid: null, size: 0 };
+    fs.mkdirSync(path.dirname(transcript.path), { recursive: true });
+    fs.writeFileSync(transcript.path, '', 'utf8');
+    session.transcript = transcript;
+  }
+
+  const chunks = [];
+  for (const line of lines) {
+    let parsed;
+    try {
+      parsed = JSON.parse(line);
+    } catch (_) {
+      continue;
+    }
+
+    for (const entry of buildTranscriptMessages(parsed, runtime)) {
+      const uuid = crypto.randomUUID();
+      chunks.push(`${JSON.stringify({
+        parentUuid: transcript.lastUuid,
+        isSidechain: false,
+        userType: 'external',
+        cwd: session.cwd,
+        sessionId: session.sessionId,
+        version: session.cliVersion,
+        ...entry,
+        uuid,
+        timestamp: typeof parsed.timestamp === 'string' ? parsed.timestamp : new Date().toISOString()
+      })}\n`);
+      transcript.lastUuid = uuid;
+    }
+  }
+
+  if (chunks.length === 0) {
+    return;
+  }
+
+  const text = chunks.join('');
+  try {
+    fs.appendFileSync(transcript.path, text, 'utf8');
+    transcript.size += Buffer.byteLength(text, 'utf8');
+  } catch (error) {
+    logDebug('transcript-write-failed', { transcriptPath: transcript.path, error: error.message });
+  }
+}
+
+function ensureTranscriptInSync(runtime, session, filePath, committedOffset) {
+  const transcript = session.transcript;
+  if (transcript) {
+    const stat = fs.statSync(transcript.path, { throwIfNoEntry: false });
+    if (stat && stat.size === transcript.size) {
+      return;
+    }
+  }
+
+  session.transcript = null;
+  if (committedOffset === 0) {
+    return;
+  }
+
+  // Restored from a checkpoint without a matching cache file: convert everything read so far, a chunk at a time.
+  const fd = fs.openSync(filePath, 'r');
+  const buffer = Buffer.alloc(Math.min(committedOffset, TRANSCRIPT_REBUILD_CHUNK_BYTES));
+  let carry = Buffer.alloc(0);
+  let position = 0;
+  try {
+    while (position < committedOffset) {
+      const bytesRead = fs.readSync(fd, buffer, 0, Math.min(buffer.length, committedOffset - position), position);
+      if (bytesRead === 0) {
+        break;
+      }
+      position += bytesRead;
+
+      // '\n' never occurs inside a multi-byte UTF-8 sequence, so splitting on it keeps characters intact.
+      const data = Buffer.concat([carry, buffer.subarray(0, bytesRead)]);
+      const lastNewline = data.lastIndexOf(0x0a);
+      carry = Buffer.from(data.subarray(lastNewline + 1));
+      if (lastNewline >= 0) {
+        appendTranscriptLines(runtime, session, data.toString('utf8', 0, lastNewline).split('\n').filter(line => line.trim()));
+      }
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  if (carry.length > 0) {
+    appendTranscriptLines(runtime, session, [carry.toString('utf8')].filter(line => line.trim()));
+  }
+  if (!session.transcript) {
+    appendTranscriptLines(runtime, session, []);
+  }
+  runtime.logDebug('transcript-rebuilt', { sourceFile: filePath, transcriptPath: session.transcript.path });
+}
+
+/**
+ * 清理所有 bridge 范围下超过保留期的 transcript 缓存（包括旧版本直接放在根目录下的文件），空的范围目录一并删除。
+ */
+function pruneTranscriptCache(transcriptsRoot, logDebug) {
+  const nowMs = Date.now();
+  let removedCount = 0;
+  const pruneDir = (dirPath, depth) => {
+    for (const name of fs.existsSync(dirPath) ? fs.readdirSync(dirPath) : []) {
+      const filePath = path.join(dirPath, name);
+      const stat = fs.statSync(filePath, { throwIfNoEntry: false });
+      if (stat && stat.isDirectory() && depth === 0) {
+        pruneDir(filePath, depth + 1);
+        if (fs.readdirSync(filePath).length === 0) {
+          fs.rmSync(filePath, { recursive: true, force: true });
+        }
+      } else if (stat && stat.isFile() && (nowMs - stat.mtimeMs) > CHECKPOINT_FILE_RETENTION_MS) {
+        fs.rmSync(filePath, { force: true });
+        removedCount += 1;
+      }
+    }
+  };
+  pruneDir(transcriptsRoot, 0);
+
+  if (removedCount > 0) {
+    logDebug('transcript-cache-pruned', { transcriptsRoot, removedCount });
+  }
+}
+
+function processSessionFile(filePath, state, runtime) {
+  const { logDebug } = runtime;
+  let currentOffset = state.offsets.get(filePath) || 0;
+  let remainder = state.remainders.get(filePath) || '';
+
+  let stat;
+  try {
+    stat = fs.statSync(filePath);
+  } catch (error) {
+    if (error && error.code === 'ENOENT') {
+      return;
+    }
+    throw error;
+  }
+
+  const identity = state.fileIdentities.get(filePath);
+  if (identity && (identity.ino !== stat.ino || identity.dev !== stat.dev)) {
+    // The path now points to a different file (rotated or replaced): read it from the start.
+    logDebug('session-file-replaced', { sourceFile: filePath });
+    currentOffset = 0;
+    remainder = '';
+    state.sessions.delete(filePath);
+    state.checkpointedFiles.delete(filePath);
+  }
+  state.fileIdentities.set(filePath, { ino: stat.ino, dev: stat.dev, lastSeenMs: Date.now() });
+
+  if (stat.size < currentOffset) {
+    currentOffset = 0;
+    remainder = '';
+  }
+
+  if (stat.size === currentOffset) {
+    return;
+  }
+
+  const fd = fs.openSync(filePath, 'r');
+  const chunkSize = stat.size - currentOffset;
+  const buffer = Buffer.alloc(chunkSize);
+  fs.readSync(fd, buffer, 0, chunkSize, currentOffset);
+  fs.closeSync(fd);
+
+  const text = `${remainder}${buffer.toString('utf8')}`;
+  const lines = text.split('\n');
+  remainder = lines.pop() || '';
+
+  const session = getSessionInfo(state, filePath);
+  if (runtime.transcriptsRoot && !resolveSessionSkipReason(session, runtime)) {
+    ensureTranscriptInSync(runtime, session, filePath, currentOffset - Buffer.byteLength(remainder, 'utf8'));
+  }
+
+  for (const line of lines) {
+    if (!line.trim()) {
+      continue;
+    }
+
+    const eventRecords = parseCodexEvent(line)
+      .map(eventRecord => correlateToolCall(state, eventRecord))
+      .filter(eventRecord => eventRecord && trackSessionLifecycle(session, eventRecord));
+
+    // Translate before dispatching so hooks for this line already see it in transcript_path.
+    if (runtime.transcriptsRoot && !resolveSessionSkipReason(session, runtime)) {
+      appendTranscriptLines(runtime, session, [line]);
+    }
+
+    if (eventRecords.length === 0) {
+      continue;
+    }
+
+    // Files resumed from a checkpoint already have an exact offset, so --since does not apply.
+    const eventTimestampSec = eventRecords[0].eventTimestampSec;
+    if (
+      !state.checkpointedFiles.has(filePath) &&
+      Number.isFinite(state.sinceEpochSec) &&
+      Number(state.sinceEpochSec) > 0 &&
+      Number.isFinite(eventTimestampSec) &&
+      Number(eventTimestampSec) < Number(state.sinceEpochSec)
+    ) {
+      continue;
+    }
+
+    const signature = crypto.createHash('sha1').update(line).digest('hex');
+    if (recordAndCheckDuplicateEvent(state, signature)) {
+      logDebug('event-deduped', {
+        rawTypes: eventRecords.map(eventRecord => eventRecord.rawType),
+        sourceFile: filePath
+      });
+      continue;
+    }
+
+    const skipReason = resolveSessionSkipReason(session, runtime);
+    if (skipReason) {
+      if (session.skipReason !== skipReason) {
+        session.skipReason = skipReason;
+        logDebug('session-skipped', {
+          sessionId: session.sessionId,
+          sourceFile: filePath,
+          cwd: session.cwd,
+          originator: session.originator,
+          cliVersion: session.cliVersion,
+          reason: skipReason
+        });
+      }
+      continue;
+    }
+
+    if (session.ended) {
+      // New activity after an idle SessionEnd means the session was resumed.
+      session.ended = false;
+      dispatchEvent(runtime, { rawType: 'session_meta', payload: { resumed: true }, eventTimestampSec, session });
+    }
+
+    session.active = true;
+    for (const eventRecord of eventRecords) {
+      trackTurnState(session, eventRecord);
+      if (eventRecord.rawType === 'task_complete' && runtime.manifest.notify) {
+        const lastAgentMessage = safeStringValue(eventRecord.payload.last_agent_message) || eventRecord.turn.last_agent_message;
+        if (!claimTurnCompletion(runtime.turnClaimsRoot, session.sessionId, lastAgentMessage, 'tail', logDebug)) {
+          logDebug('turn-complete-deduped', { sessionId: session.sessionId, sourceFile: filePath, claimant: 'tail' });
+          continue;
+        }
+      }
+      const budgetRecords = trackTokenUsage(state, session, eventRecord, runtime.manifest.tokenBudgets, runtime.tokenLedger);
+      dispatchEvent(runtime, { ...eventRecord, session });
+      for (const budgetRecord of budgetRecords) {
+        logDebug('budget-exceeded', { sessionId: session.sessionId, ...budgetRecord.payload });
+        dispatchEvent(runtime, { ...budgetRecord, session });
+      }
+    }
+  }
+
+  session.lastActivityMs = Date.now();
+  state.offsets.set(filePath, stat.size);
+  state.remainders.set(filePath, remainder);
+  state.checkpointDirty = true;
+}
+
+function formatShellCommand(toolInput) {
+  const input = toolInput && typeof toolInput === 'object' ? toolInput : {};
+  const command = input.command !== undefined ? input.command : input.cmd;
+  if (typeof command === 'string') {
+    return command.trim();
+  }
+
+  if (!Array.isArray(command)) {
+    return '';
+  }
+
+  // ["bash", "-lc", "<script>"] is how Codex wraps most commands; report the script itself.
+  if (command.length === 3 && /(^|\/)(ba|z)?sh$/.test(String(command[0])) && /^-l?c$/.test(String(command[1]))) {
+    return String(command[2]).trim();
+  }
+
+  return command.map(String).join(' ').trim();
+}
+
+function extractPatchedFiles(patchText) {
+  const files = [];
+  const pattern = /^\*\*\* (?:Add File|Update File|Delete File|Move to): (.+)$/gm;
+  let match;
+  while ((match = pattern.exec(String(patchText || ''))) !== null) {
+    files.push(match[1].trim());
+  }
+
+  return files;
+}
+
+function createTurnState(eventTimestampSec) {
+  return {
+    startedAtSec: Number.isFinite(eventTimestampSec) ? eventTimestampSec : null,
+    lastAgentMessage: '',
+    commands: [],
+    commandCount: 0,
+    filesChanged: []
+  };
+}
+
+/**
+ * 按 turn（task_started → task_complete）累计 session 状态：最后一条 agent_message、执行过的 shell 命令、
+ * apply_patch 改动的文件与耗时；task_complete 时把汇总挂到事件记录的 turn 字段上，并开始新的 turn。
+ */
+function trackTurnState(session, eventRecord) {
+  const { rawType } = eventRecord;
+  const payload = eventRecord.payload || {};
+
+  if (rawType === 'task_started' || !session.turn) {
+    session.turn = createTurnState(eventRecord.eventTimestampSec);
+  }
+  const turn = session.turn;
+
+  if (rawType === 'agent_message' && typeof payload.message === 'string' && payload.message.trim()) {
+    turn.lastAgentMessage = payload.message;
+  }
+
+  if (rawType === 'function_call' || rawType === 'custom_tool_call') {
+    const toolInput = payload.tool_input || {};
+    const patchText = extractPatchText(payload);
+
+    if (patchText) {
+      for (const filePath of extractPatchedFiles(patchText)) {
+        if (!turn.filesChanged.includes(filePath) && turn.filesChanged.length < TURN_SUMMARY_MAX_ITEMS) {
+          turn.filesChanged.push(filePath);
+        }
+      }
+    } else if (TURN_SHELL_TOOL_NAMES.has(payload.tool_name)) {
+      const command = formatShellCommand(toolInput);
+      if (command) {
+        turn.commandCount += 1;
+        if (turn.commands.length < TURN_SUMMARY_MAX_ITEMS) {
+          turn.commands.push(command);
+        }
+      }
+    }
+  }
+
+  if (rawType !== 'task_complete') {
+    return;
+  }
+
+  const endSec = Number.isFinite(eventRecord.eventTimestampSec) ? eventRecord.eventTimestampSec : null;
+  eventRecord.turn = {
+    last_agent_message: turn.lastAgentMessage || safeStringValue(payload.last_agent_message),
+    commands: turn.commands,
+    command_count: turn.commandCount,
+    files_changed: turn.filesChanged,
+    started_at: turn.startedAtSec === null ? null : new Date(turn.startedAtSec * 1000).toISOString(),
+    duration_seconds: turn.startedAtSec !== null && endSec !== null ? Math.max(0, endSec - turn.startedAtSec) : null
+  };
+  session.turn = null;
+}
+
+function formatLocalDate(epochSec) {
+  const date = Number.isFinite(epochSec) ? new Date(epochSec * 1000) : new Date();
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function createBudgetExceededRecord(eventRecord, scope, budgetTokens, usedTokens, date) {
+  return {
+    rawType: 'budget_exceeded',
+    payload: {
+      budget_scope: scope,
+      budget_tokens: budgetTokens,
+      used_tokens: usedTokens,
+      date
+    },
+    eventTimestampSec: eventRecord.eventTimestampSec
+  };
+}
+
+/**
+ * 各 bridge（home 与各项目）把当天按 session 统计的用量写到 codexHome 下各自的文件，
+ * 当天总量按 session 取各文件的最大值再求和，同一 session 被多个 bridge 看到也只算一次；
+ * perDay 预算通过当天的认领文件保证全局只触发一次。
+ */
+function createTokenLedger(codexHome, projectRoot, logDebug) {
+  const ledgerRoot = path.join(codexHome, TOKEN_LEDGER_DIR_RELATIVE_PATH);
+  const ownName = `${resolveProjectScopeKey(projectRoot)}.json`;
+
+  const readOtherEntries = date => {
+    const entries = [];
+    for (const name of fs.existsSync(ledgerRoot) ? fs.readdirSync(ledgerRoot) : []) {
+      if (name === ownName || !name.endsWith('.json')) {
+        continue;
+      }
+      try {
+        const entry = readJsonIfExists(path.join(ledgerRoot, name));
+        if (entry && entry.date === date && entry.sessions && typeof entry.sessions === 'object') {
+          entries.push(entry.sessions);
+        }
+      } catch (error) {
+        // A ledger being rewritten or corrupted only drops that bridge's share for now.
+      }
+    }
+    return entries;
+  };
+
+  return {
+    publish(dailyUsage) {
+      try {
+        writeJsonAtomic(path.join(ledgerRoot, ownName), {
+          date: dailyUsage.date,
+          sessions: dailyUsage.sessions,
+          pid: process.pid,
+          updatedAt: new Date().toISOString()
+        });
+      } catch (error) {
+        logDebug('token-ledger-write-failed', { ledgerRoot, error: error.message });
+      }
+    },
+    totalTokens(dailyUsage) {
+      const perSession = { ...dailyUsage.sessions };
+      for (const sessions of readOtherEntries(dailyUsage.date)) {
+        for (const [sessionId, tokens] of Object.entries(sessions)) {
+          if (Number.isFinite(tokens) && tokens > (perSession[sessionId] || 0)) {
+            perSession[sessionId] = tokens;
+          }
+        }
+      }
+      return Object.values(perSession).reduce((sum, tokens) => sum + tokens, 0);
+    },
+    claimBudget(date) {
+      const claimPath = path.join(ledgerRoot, `${date}.budget`);
+      try {
+        fs.mkdirSync(ledgerRoot, { recursive: true });
+        fs.writeFileSync(claimPath, JSON.stringify({ pid: process.pid, claimedAt: new Date().toISOString() }), { encoding: 'utf8', flag: 'wx' });
+      } catch (error) {
+        if (error && error.code === 'EEXIST') {
+          return false;
+        }
+        logDebug('token-ledger-claim-failed', { claimPath, error: error.message });
+        return true;
+      }
+
+      for (const name of fs.readdirSync(ledgerRoot)) {
+        if (name.endsWith('.budget') && name < `${date}.budget`) {
+          fs.rmSync(path.join(ledgerRoot, name), { force: true });
+        }
+      }
+      return true;
+    }
+  };
+}
+
+/**
+ * 累计 token_count 事件的用量：session 用量取 Codex 给出的累计值，当天用量按增量叠加（本地日期）。
+ * 没有从 session_meta 开始读到的 session（从文件末尾接续、--since 过滤、没有 checkpoint）以首次看到的累计值为基线，
+ * 早于当前统计日期的事件不计入当天用量。传入 tokenLedger 时当天用量汇总所有 bridge。
+ * 用量首次超过 manifest.tokenBudgets 中的 perSession / perDay 时返回 budget_exceeded 事件，每个范围只触发一次。
+ */
+function trackTokenUsage(state, session, eventRecord, tokenBudgets, tokenLedger) {
+  if (eventRecord.rawType === 'session_meta' && !session.tokenUsage) {
+    // Reading from the session's first line: all of its usage is observed, starting from zero.
+    session.tokenUsage = { totalTokens: 0, budgetExceeded: false };
+    return [];
+  }
+
+  if (eventRecord.rawType !== 'token_count') {
+    return [];
+  }
+
+  const info = eventRecord.payload.info || {};
+  const totalUsage = info.total_token_usage || {};
+  const sessionTotal = Number.isFinite(totalUsage.total_tokens) ? totalUsage.total_tokens : 0;
+  const date = formatLocalDate(eventRecord.eventTimestampSec);
+
+  const sessionUsage = session.tokenUsage || { totalTokens: sessionTotal, budgetExceeded: false };
+  if (!state.dailyTokenUsage || state.dailyTokenUsage.date < date) {
+    state.dailyTokenUsage = { date, totalTokens: 0, sessions: {}, budgetExceeded: false };
+  }
+  const dailyUsage = state.dailyTokenUsage;
+
+  // Codex repeats the same cumulative total (e.g. after rate-limit updates); only growth counts.
+  const delta = Math.max(0, sessionTotal - sessionUsage.totalTokens);
+  if (delta > 0 && dailyUsage.date === date) {
+    dailyUsage.sessions[session.sessionId] = (dailyUsage.sessions[session.sessionId] || 0) + delta;
+    dailyUsage.totalTokens += delta;
+    if (tokenLedger) {
+      tokenLedger.publish(dailyUsage);
+    }
+  }
+  sessionUsage.totalTokens = Math.max(sessionUsage.totalTokens, sessionTotal);
+  session.tokenUsage = sessionUsage;
+
+  const dailyTotal = tokenLedger ? tokenLedger.totalTokens(dailyUsage) : dailyUsage.totalTokens;
+  eventRecord.tokenUsage = {
+    session_total_tokens: sessionUsage.totalTokens,
+    daily_total_tokens: dailyTotal,
+    date: dailyUsage.date
+  };
+
+  const budgets = tokenBudgets || {};
+  const budgetRecords = [];
+  if (budgets.perSession && !sessionUsage.budgetExceeded && sessionUsage.totalTokens >= budgets.perSession) {
+    sessionUsage.budgetExceeded = true;
+    budgetRecords.push(createBudgetExceededRecord(eventRecord, 'session', budgets.perSession, sessionUsage.totalTokens, date));
+  }
+
+  if (budgets.perDay && !dailyUsage.budgetExceeded && dailyTotal >= budgets.perDay) {
+    dailyUsage.budgetExceeded = true;
+    // Another bridge may already have fired today's BudgetExceeded.
+    if (!tokenLedger || tokenLedger.claimBudget(dailyUsage.date)) {
+      budgetRecords.push(createBudgetExceededRecord(eventRecord, 'day', budgets.perDay, dailyTotal, dailyUsage.date));
+    }
+  }
+
+  return budgetRecords;
+}
+
+function resolveTurnClaimPath(claimsRoot, sessionId, lastAgentMessage) {
+  const key = crypto.createHash('sha1').update(`${sessionId}\n${lastAgentMessage}`).digest('hex').slice(0, 32);
+  return path.join(claimsRoot, `${key}.claim`);
+}
+
+/**
+ * Codex notify 与日志 tail 会各自看到同一个 turn 结束：按 session + 最后一条 agent 消息认领，
+ * 先认领的一方派发 Stop / TaskComplete，另一方跳过。缺少消息无法标识 turn 时总是派发；
+ * 认领超过 TURN_CLAIM_TTL_MS 视为过期，之后同一 session 的相同回复仍会触发。
+ */
+function claimTurnCompletion(claimsRoot, sessionId, lastAgentMessage, claimant, logDebug) {
+  if (!claimsRoot || !sessionId || !lastAgentMessage) {
+    return true;
+  }
+
+  const claimPath = resolveTurnClaimPath(claimsRoot, sessionId, lastAgentMessage);
+  const content = JSON.stringify({ sessionId, claimant, pid: process.pid, claimedAt: new Date().toISOString() });
+  try {
+    fs.mkdirSync(claimsRoot, { recursive: true });
+    try {
+      fs.writeFileSync(claimPath, content, { encoding: 'utf8', flag: 'wx' });
+      return true;
+    } catch (error) {
+      if (!error || error.code !== 'EEXIST') {
+        throw error;
+      }
+    }
+
+    const stat = fs.statSync(claimPath, { throwIfNoEntry: false });
+    if (stat && (Date.now() - stat.mtimeMs) <= TURN_CLAIM_TTL_MS) {
+      return false;
+    }
+
+    fs.writeFileSync(claimPath, content, 'utf8');
+    return true;
+  } catch (error) {
+    // An unwritable claims directory must not stop the watcher; running the hooks twice beats skipping them.
+    logDebug('turn-claim-failed', { sessionId, claimant, claimPath, error: error.message });
+    return true;
+  }
+}
+
+function pruneTurnClaims(claimsRoot, logDebug) {
+  const nowMs = Date.now();
+  let removedCount = 0;
+  for (const name of fs.existsSync(claimsRoot) ? fs.readdirSync(claimsRoot) : []) {
+    const filePath = path.join(claimsRoot, name);
+    const stat = fs.statSync(filePath, { throwIfNoEntry: false });
+    if (stat && stat.isFile() && (nowMs - stat.mtimeMs) > TURN_CLAIM_TTL_MS) {
+      fs.rmSync(filePath, { force: true });
+      removedCount += 1;
+    }
+  }
+
+  if (removedCount > 0) {
+    logDebug('turn-claims-pruned', { claimsRoot, removedCount });
+  }
+}
+
+function truncateEnvValue(value) {
+  return value.length > TURN_ENV_VALUE_MAX_CHARS ? `${value.slice(0, TURN_ENV_VALUE_MAX_CHARS - 1)}…` : value;
+}
+
+function buildTurnEnv(turn) {
+  if (!turn) {
+    return {};
+  }
+
+  return {
+    CRS_LAST_AGENT_MESSAGE: truncateEnvValue(turn.last_agent_message),
+    CRS_TURN_COMMANDS: truncateEnvValue(turn.commands.join('\n')),
+    CRS_TURN_COMMAND_COUNT: String(turn.command_count),
+    CRS_TURN_FILES_CHANGED: truncateEnvValue(turn.files_changed.join('\n')),
+    CRS_TURN_DURATION_SEC: turn.duration_seconds === null ? '' : String(turn.duration_seconds)
+  };
+}
+
+/**
+ * session_meta 只在文件首次出现时作为 SessionStart 派发，之后的重复记录仅更新元数据。
+ */
+function trackSessionLifecycle(session, eventRecord) {
+  if (eventRecord.rawType !== 'session_meta') {
+    return true;
+  }
+
+  const isFirstMeta = !session.meta;
+  applySessionMeta(session, eventRecord.payload);
+  return isFirstMeta;
+}
+
+function emitSessionEnd(session, runtime, endReason) {
+  if (!session.active || session.ended) {
+    return;
+  }
+
+  session.ended = true;
+  runtime.logDebug('session-end', {
+    sessionId: session.sessionId,
+    sourceFile: session.transcriptPath,
+    endReason
+  });
+
+  dispatchEvent(runtime, {
+    rawType: 'session_end',
+    payload: {
+      reason: endReason === 'bridge-sigterm' ? 'prompt_input_exit' : 'other',
+      codex_end_reason: endReason
+    },
+    eventTimestampSec: Math.floor(Date.now() / 1000),
+    session
+  });
+}
+
+function endIdleSessions(state, runtime, options) {
+  const nowMs = Date.now();
+  for (const session of state.sessions.values()) {
+    if ((nowMs - session.lastActivityMs) >= options.sessionIdleMs && session.active && !session.ended) {
+      emitSessionEnd(session, runtime, 'idle');
+      state.checkpointDirty = true;
+    }
+  }
+}
+
+function createRuntime(options, manifest, logDebug) {
+  return {
+    manifest,
+    projectRoot: options.projectRoot,
+    execSessions: options.execSessions,
+    transcriptsRoot: options.transcripts ? resolveTranscriptDir(resolveCodexHome(options.codexHome), options.projectRoot) : null,
+    turnClaimsRoot: path.join(resolveCodexHome(options.codexHome), TURN_CLAIM_DIR_RELATIVE_PATH),
+    tokenLedger: createTokenLedger(resolveCodexHome(options.codexHome), options.projectRoot, logDebug),
+    quiet: options.quiet,
+    hookOutputBytes: options.hookOutputBytes,
+    logDebug,
+    scheduler: createHookScheduler({ concurrency: options.hookConcurrency }),
+    circuitBreaker: createHookCircuitBreaker({
+      threshold: options.hookFailureThreshold,
+      cooldownMs: options.hookCooldownMs,
+      logDebug
+    }),
+    statusDirty: false
+  };
+}
+
+/**
+ * watch 模式定期把状态写入 watcher 登记项（兼作心跳），供 `crs bridge status` 展示各 session 最近处理的事件。
+ */
+function buildWatchStatus(state, runtime, extra) {
+  const sessions = [...state.sessions.values()]
+    .filter(session => session.lastEvent)
+    .sort((a, b) => b.lastEvent.dispatchedAt.localeCompare(a.lastEvent.dispatchedAt))
+    .slice(0, WATCH_STATUS_MAX_SESSIONS)
+    .map(session => ({
+      sessionId: session.sessionId,
+      sourceFile: session.transcriptPath,
+      cwd: session.cwd,
+      active: session.active,
+      ended: session.ended,
+      offset: state.offsets.get(session.transcriptPath) || 0,
+      lastEvent: session.lastEvent
+    }));
+
+  return {
+    version: WATCH_STATUS_VERSION,
+    pid: process.pid,
+    updatedAt: new Date().toISOString(),
+    projectRoot: runtime.projectRoot || null,
+    manifestPath: runtime.manifest.manifestPath,
+    projectManifestPath: runtime.manifest.projectManifestPath,
+    manifestGeneratedAt: runtime.manifest.generatedAt,
+    pluginCount: runtime.manifest.plugins.length,
+    topHookCount: runtime.manifest.topHooks.length,
+    pendingHookEvents: runtime.scheduler.pendingCount(),
+    trackedFileCount: state.offsets.size,
+    ...extra,
+    sessions
+  };
+}
+
+async function runOnce(options) {
+  const codexHome = resolveCodexHome(options.codexHome);
+  const logDebug = createDebugLogger(resolveDebugLogPath(options, codexHome), resolveDebugLogRotation(options));
+  const manifest = readManifest(codexHome, options.projectRoot);
+  const sessionsRoot = path.join(codexHome, 'sessions');
+  const state = createBridgeState(options);
+  const checkpointPath = options.checkpoint ? resolveCheckpointPath(codexHome, options.projectRoot) : null;
+  const checkpointUpdatedMs = checkpointPath ? loadCheckpoint(checkpointPath, state, logDebug) : 0;
+  state.sinceEpochSec = resolveEffectiveSince(options, checkpointUpdatedMs);
+  const files = collectSessionFiles(sessionsRoot, state.sinceEpochSec);
+
+  logDebug('bridge-start', {
+    mode: 'once',
+    codexHome,
+    projectRoot: options.projectRoot || '',
+    since: state.sinceEpochSec,
+    watch: false,
+    manifestPath: manifest.manifestPath,
+    projectManifestPath: manifest.projectManifestPath || '',
+    pluginCount: manifest.plugins.length,
+    topHookCount: manifest.topHooks.length,
+    sessionFileCount: files.length
+  });
+
+  const runtime = createRuntime(options, manifest, logDebug);
+  if (runtime.transcriptsRoot) {
+    pruneTranscriptCache(path.dirname(runtime.transcriptsRoot), logDebug);
+  }
+  for (const filePath of files) {
+    processSessionFile(filePath, state, runtime);
+  }
+  await runtime.scheduler.drain(Infinity);
+  saveCheckpoint(checkpointPath, state, logDebug);
+
+  if (options.emitStop) {
+    await dispatchEvent(runtime, { rawType: 'Stop', payload: {} });
+  }
+
+  logDebug('bridge-stop', { mode: 'once' });
+}
+
+function chainNotifyProgram(command, notificationArg, logDebug) {
+  const args = notificationArg === null ? command.slice(1) : [...command.slice(1), notificationArg];
+  try {
+    const child = spawn(command[0], args, { detached: true, stdio: 'ignore' });
+    child.on('error', error => logDebug('notify-chain-failed', { command, error: error.message }));
+    child.unref();
+    logDebug('notify-chained', { command, pid: child.pid });
+  } catch (error) {
+    logDebug('notify-chain-failed', { command, error: error.message });
+  }
+}
 
-        const timeout = Number.isFinite(commandDef.timeout) ? Number(commandDef.timeout) : 10;
-        executedCommandCount += 1;
+/**
+ * 按 session id 查找 rollout 文件：先看今天与昨天的日期目录，找不到（如 resume 的旧 session）才遍历整个 sessions 目录。
+ */
+function findRecentSessionFile(sessionsRoot, sessionId) {
+  const isSessionFile = filePath => filePath.endsWith(`${sessionId}.jsonl`);
+  for (const dirPath of resolveActiveSessionDirs(sessionsRoot, Date.now())) {
+    const match = listSessionFilesInDir(dirPath).find(isSessionFile);
+    if (match) {
+      return match;
+    }
+  }
 
-        logDebug('hook-command-start', {
-          sourceId: source.id || '',
-          sourceName: source.name || '',
-          eventName: eventDef.eventName,
-          matcher: eventDef.matcher || '',
-          timeoutSec: timeout,
-          command: commandDef.command
-        });
+  // A resumed session keeps appending to the rollout in its original dated directory.
+  return collectSessionFiles(sessionsRoot, 0).find(isSessionFile) || null;
+}
 
-        const hookResult = runHookCommand({
-          command: commandDef.command,
-          timeoutSec: timeout,
-          quiet,
-          contextEnv: {
-            CLAUDE_PLUGIN_ROOT: source.rootPath || '',
-            CLAUDE_PROJECT_ROOT: projectRoot || '',
-            CRS_EVENT_TYPE: names[0],
-            CRS_EVENT_RAW_TYPE: eventRecord.rawType,
-            CRS_EVENT_MATCHER_TEXT: matcherText,
-            CRS_EVENT_REASON: safeStringValue(eventRecord.payload.reason),
-            CRS_CALL_ID: safeStringValue(eventRecord.payload.call_id)
-          }
-        });
+function isTaskStartedLine(line) {
+  return line.includes('"task_started"') && parseCodexEvent(line).some(eventRecord => eventRecord.rawType === 'task_started');
+}
 
-        logDebug('hook-command-finish', {
-          sourceId: source.id || '',
-          sourceName: source.name || '',
-          eventName: eventDef.eventName,
-          command: commandDef.command,
-          ok: hookResult.ok,
-          status: hookResult.status,
-          signal: hookResult.signal,
-          timedOut: hookResult.timedOut,
-          durationMs: hookResult.durationMs,
-          error: hookResult.error
-        });
-      }
+/**
+ * 读取 session 文件的首行（session_meta），返回该行及其后一行的起始偏移。
+ */
+function readSessionHeadLine(fd, fileSize) {
+  let data = Buffer.alloc(0);
+  while (data.length < fileSize) {
+    const chunk = Buffer.alloc(Math.min(NOTIFY_READ_CHUNK_BYTES, fileSize - data.length));
+    const bytesRead = fs.readSync(fd, chunk, 0, chunk.length, data.length);
+    if (bytesRead === 0) {
+      break;
+    }
+    data = Buffer.concat([data, chunk.subarray(0, bytesRead)]);
+    const newline = data.indexOf(0x0a);
+    if (newline >= 0) {
+      return { line: data.toString('utf8', 0, newline), endOffset: newline + 1 };
     }
   }
 
-  if ((hasSpecialMapping || eventRecord.rawType === 'Stop') && executedCommandCount === 0) {
-    logDebug('event-no-hook-executed', {
-      rawType: eventRecord.rawType,
-      mappedTypes: names,
-      matcherText
-    });
-  }
+  return { line: data.toString('utf8'), endOffset: data.length };
 }
 
-function primeSessionOffsets(files, state) {
-  for (const filePath of files) {
-    if (state.offsets.has(filePath)) {
+/**
+ * 从文件末尾按块向前读取到最后一个 task_started（当前 turn 的起点）为止，返回从该行起的各行；
+ * 没有 task_started 时读到 startOffset。
+ */
+function readCurrentTurnLines(fd, startOffset, endOffset) {
+  let lines = [];
+  // Bytes of the line cut by the chunk boundary; its end is known, its start is not yet.
+  let carry = Buffer.alloc(0);
+  let position = endOffset;
+  while (position > startOffset) {
+    const readBytes = Math.min(NOTIFY_READ_CHUNK_BYTES, position - startOffset);
+    position -= readBytes;
+    const chunk = Buffer.alloc(readBytes);
+    fs.readSync(fd, chunk, 0, readBytes, position);
+
+    const data = Buffer.concat([chunk, carry]);
+    const firstNewline = position > startOffset ? data.indexOf(0x0a) : -1;
+    if (position > startOffset && firstNewline < 0) {
+      carry = data;
       continue;
     }
+    carry = Buffer.from(data.subarray(0, Math.max(firstNewline, 0)));
 
-    // Start from file beginning and rely on timestamp-based since filtering.
-    // This avoids missing newly appended events in long-lived session files.
-    state.offsets.set(filePath, 0);
-    state.remainders.set(filePath, '');
+    const chunkLines = data.toString('utf8', firstNewline + 1).split('\n');
+    for (let index = chunkLines.length - 1; index >= 0; index -= 1) {
+      if (isTaskStartedLine(chunkLines[index])) {
+        return [...chunkLines.slice(index), ...lines];
+      }
+    }
+    lines = [...chunkLines, ...lines];
   }
+
+  return lines;
 }
 
-function recordAndCheckDuplicateEvent(state, signature) {
-  const nowMs = Date.now();
-  const recentEvents = state.recentEvents;
-  const lastSeenMs = recentEvents.get(signature);
-  recentEvents.set(signature, nowMs);
+/**
+ * 恢复 session 元信息（首行 session_meta）与当前 turn 的汇总：只回放最后一个 task_started 之后的部分，
+ * 而不是整个 rollout（notify 模式没有 tail 状态可用）。
+ */
+function loadSessionForNotify(sessionFile, session) {
+  const state = { toolCalls: new Map() };
+  let completedTurn = null;
+  const fd = fs.openSync(sessionFile, 'r');
+  let lines;
+  try {
+    const fileSize = fs.fstatSync(fd).size;
+    const head = readSessionHeadLine(fd, fileSize);
+    lines = [head.line, ...readCurrentTurnLines(fd, head.endOffset, fileSize)];
+  } finally {
+    fs.closeSync(fd);
+  }
 
-  if (recentEvents.size > RECENT_EVENT_MAX) {
-    for (const [key, seenAt] of recentEvents.entries()) {
-      if ((nowMs - seenAt) > RECENT_EVENT_TTL_MS || recentEvents.size > RECENT_EVENT_MAX) {
-        recentEvents.delete(key);
-      } else {
-        break;
+  for (const line of lines) {
+    if (!line.trim()) {
+      continue;
+    }
+
+    const eventRecords = parseCodexEvent(line)
+      .map(eventRecord => correlateToolCall(state, eventRecord))
+      .filter(eventRecord => eventRecord && trackSessionLifecycle(session, eventRecord));
+    for (const eventRecord of eventRecords) {
+      trackTurnState(session, eventRecord);
+      if (eventRecord.turn) {
+        completedTurn = eventRecord.turn;
       }
     }
   }
 
-  return typeof lastSeenMs === 'number' && (nowMs - lastSeenMs) <= RECENT_EVENT_TTL_MS;
+  return completedTurn;
 }
 
-function processSessionFile(filePath, state, manifest, projectRoot, quiet, logDebug) {
-  let currentOffset = state.offsets.get(filePath) || 0;
-  let remainder = state.remainders.get(filePath) || '';
+/**
+ * `--notify` 模式：由 Codex config.toml 的 notify 在 agent-turn-complete 时调用，JSON 通知作为最后一个参数。
+ * 先转发给用户原有的 notify 程序（--notify-chain），再派发 Stop / TaskComplete；与 tail 路径通过 turn 认领去重。
+ */
+async function runNotify(options) {
+  const codexHome = resolveCodexHome(options.codexHome);
+  const logDebug = createDebugLogger(resolveDebugLogPath(options, codexHome), resolveDebugLogRotation(options));
 
-  const stat = fs.statSync(filePath);
-  if (stat.size < currentOffset) {
-    currentOffset = 0;
-    remainder = '';
+  // Chain first so the user's own notifier never waits for (or depends on) bridge hooks.
+  if (options.notifyChain) {
+    chainNotifyProgram(options.notifyChain, options.notification, logDebug);
   }
 
-  if (stat.size === currentOffset) {
+  let notification;
+  try {
+    notification = JSON.parse(options.notification || '');
+  } catch (error) {
+    logDebug('notify-invalid', { error: error.message });
     return;
   }
 
-  const fd = fs.openSync(filePath, 'r');
-  const chunkSize = stat.size - currentOffset;
-  const buffer = Buffer.alloc(chunkSize);
-  fs.readSync(fd, buffer, 0, chunkSize, currentOffset);
-  fs.closeSync(fd);
+  if (!notification || notification.type !== 'agent-turn-complete') {
+    logDebug('notify-ignored', { type: notification && notification.type });
+    return;
+  }
 
-  const text = `${remainder}${buffer.toString('utf8')}`;
-  const lines = text.split('\n');
-  remainder = lines.pop() || '';
+  const sessionId = safeStringValue(notification['thread-id']);
+  const lastAgentMessage = safeStringValue(notification['last-assistant-message']);
+  if (!sessionId || !lastAgentMessage) {
+    // Without both the turn cannot be claimed, so leave it to log tailing rather than risk running Stop twice.
+    logDebug('notify-unidentified', { sessionId, hasLastMessage: Boolean(lastAgentMessage) });
+    return;
+  }
+  const notifyCwd = typeof notification.cwd === 'string' && notification.cwd ? notification.cwd : process.cwd();
+  const projectRoot = options.projectRoot || findProjectRoot(codexHome, notifyCwd);
+  const manifest = readManifest(codexHome, projectRoot);
+  const runtime = createRuntime({ ...options, projectRoot }, manifest, logDebug);
+
+  const sessionFile = findRecentSessionFile(path.join(codexHome, 'sessions'), sessionId);
+  const session = createSessionInfo(sessionFile || `${sessionId}.jsonl`);
+  const completedTurn = sessionFile ? loadSessionForNotify(sessionFile, session) : null;
+  session.sessionId = sessionId;
+  if (!session.cwd) {
+    session.cwd = notifyCwd;
+  }
 
-  for (const line of lines) {
-    if (!line.trim()) {
-      continue;
-    }
+  logDebug('notify-received', {
+    sessionId,
+    turnId: safeStringValue(notification['turn-id']),
+    sourceFile: sessionFile || '',
+    projectRoot
+  });
 
-    const eventRecord = parseCodexEvent(line);
-    if (!eventRecord) {
-      continue;
-    }
+  const skipReason = resolveSessionSkipReason(session, runtime);
+  if (skipReason) {
+    logDebug('session-skipped', { sessionId, sourceFile: sessionFile || '', cwd: session.cwd, reason: skipReason });
+    return;
+  }
 
-    if (
-      Number.isFinite(state.sinceEpochSec) &&
-      Number(state.sinceEpochSec) > 0 &&
-      Number.isFinite(eventRecord.eventTimestampSec) &&
-      Number(eventRecord.eventTimestampSec) < Number(state.sinceEpochSec)
-    ) {
-      continue;
-    }
+  pruneTurnClaims(runtime.turnClaimsRoot, logDebug);
+  if (!claimTurnCompletion(runtime.turnClaimsRoot, session.sessionId, lastAgentMessage, 'notify', logDebug)) {
+    logDebug('turn-complete-deduped', { sessionId, claimant: 'notify' });
+    return;
+  }
 
-    if (recordAndCheckDuplicateEvent(state, line)) {
-      logDebug('event-deduped', {
-        rawType: eventRecord.rawType,
-        sourceFile: filePath
-      });
-      continue;
-    }
+  const cachedTranscriptPath = runtime.transcriptsRoot ? findCachedTranscript(path.dirname(runtime.transcriptsRoot), session) : '';
+  if (cachedTranscriptPath) {
+    session.transcript = { path: cachedTranscriptPath };
+  }
 
-    executeEvent(manifest, eventRecord, projectRoot, quiet, logDebug);
+  const eventRecord = {
+    rawType: 'task_complete',
+    payload: {
+      type: 'task_complete',
+      last_agent_message: lastAgentMessage,
+      turn_id: safeStringValue(notification['turn-id']),
+      input_messages: Array.isArray(notification['input-messages']) ? notification['input-messages'] : [],
+      source: 'notify'
+    },
+    eventTimestampSec: Math.floor(Date.now() / 1000)
+  };
+  // The rollout may already contain this turn's task_complete; otherwise summarize the open turn.
+  if (completedTurn && completedTurn.last_agent_message === lastAgentMessage) {
+    eventRecord.turn = completedTurn;
+  } else {
+    trackTurnState(session, eventRecord);
   }
 
-  state.offsets.set(filePath, stat.size);
-  state.remainders.set(filePath, remainder);
+  await dispatchEvent(runtime, { ...eventRecord, session });
+  await runtime.scheduler.drain(Infinity);
 }
 
-function runOnce(options) {
-  const codexHome = resolveCodexHome(options.codexHome);
-  const logDebug = createDebugLogger(resolveDebugLogPath(options, codexHome));
-  const manifest = readManifest(codexHome);
-  const sessionsRoot = path.join(codexHome, 'sessions');
-  const files = collectSessionFiles(sessionsRoot, options.since);
+function createWakeSignal() {
+  let pending = false;
+  let wakeWaiter = null;
 
-  logDebug('bridge-start', {
-    mode: 'once',
-    codexHome,
-    projectRoot: options.projectRoot || '',
-    since: options.since,
-    watch: false,
-    manifestPath: manifest.manifestPath,
-    pluginCount: manifest.plugins.length,
-    topHookCount: manifest.topHooks.length,
-    sessionFileCount: files.length
-  });
+  return {
+    notify() {
+      pending = true;
+      if (wakeWaiter) {
+        wakeWaiter();
+      }
+    },
+    wait(ms) {
+      if (pending) {
+        pending = false;
+        return Promise.resolve();
+      }
 
-  const state = {
-    offsets: new Map(),
-    remainders: new Map(),
-    recentEvents: new Map(),
-    sinceEpochSec: options.since
+      return new Promise(resolve => {
+        const timer = setTimeout(() => {
+          wakeWaiter = null;
+          resolve();
+        }, ms);
+        wakeWaiter = () => {
+          clearTimeout(timer);
+          wakeWaiter = null;
+          pending = false;
+          resolve();
+        };
+      });
+    }
   };
+}
 
-  for (const filePath of files) {
-    processSessionFile(filePath, state, manifest, options.projectRoot, options.quiet, logDebug);
-  }
+function formatSessionDateParts(date, useUtc) {
+  const year = String(useUtc ? date.getUTCFullYear() : date.getFullYear());
+  const month = String((useUtc ? date.getUTCMonth() : date.getMonth()) + 1).padStart(2, '0');
+  const day = String(useUtc ? date.getUTCDate() : date.getDate()).padStart(2, '0');
+  return [year, month, day];
+}
 
-  if (options.emitStop) {
-    executeEvent(manifest, { rawType: 'Stop', payload: {} }, options.projectRoot, options.quiet, logDebug);
+/**
+ * Codex 按 sessions/YYYY/MM/DD 存放 session 文件；今天与昨天（本地与 UTC）的目录视为活跃目录。
+ */
+function resolveActiveSessionDirs(sessionsRoot, nowMs) {
+  const dirs = new Set();
+  for (const dayOffset of [0, -1]) {
+    const date = new Date(nowMs + dayOffset * DAY_MS);
+    for (const useUtc of [false, true]) {
+      dirs.add(path.join(sessionsRoot, ...formatSessionDateParts(date, useUtc)));
+    }
   }
 
-  logDebug('bridge-stop', { mode: 'once' });
+  return [...dirs].sort((a, b) => a.localeCompare(b));
+}
+
+function listSessionFilesInDir(dirPath) {
+  try {
+    return fs.readdirSync(dirPath, { withFileTypes: true })
+      .filter(entry => entry.isFile() && entry.name.endsWith('.jsonl'))
+      .map(entry => path.join(dirPath, entry.name));
+  } catch (_) {
+    return [];
+  }
 }
 
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+/**
+ * 基于 fs.watch（Linux 下为 inotify）的 session 监听：
+ * - 监听活跃日期目录及其上级目录，感知新文件与新日期目录；
+ * - 监听活跃目录之外、近期仍在写入的 session 文件（如 resume 的旧 session）。
+ */
+function createSessionWatcher({ sessionsRoot, logDebug, onFileChange, onDirectoryChange }) {
+  const dirWatchers = new Map();
+  const fileWatchers = new Map();
+  let activeDirs = [];
+
+  const closeWatcher = (watchers, targetPath) => {
+    const watcher = watchers.get(targetPath);
+    if (!watcher) {
+      return;
+    }
+
+    watchers.delete(targetPath);
+    try {
+      watcher.close();
+    } catch (_) {
+      // Ignore close errors.
+    }
+  };
+
+  const watchPath = (watchers, targetPath, listener) => {
+    if (watchers.has(targetPath)) {
+      return true;
+    }
+
+    try {
+      const watcher = fs.watch(targetPath, { persistent: true }, listener);
+      watcher.on('error', error => {
+        logDebug('watch-handle-error', { targetPath, error: error && error.message ? error.message : String(error || '') });
+        closeWatcher(watchers, targetPath);
+        onDirectoryChange();
+      });
+      watchers.set(targetPath, watcher);
+      return true;
+    } catch (error) {
+      logDebug('watch-handle-failed', { targetPath, error: error && error.message ? error.message : String(error || '') });
+      return false;
+    }
+  };
+
+  const watchDirectory = dirPath => watchPath(dirWatchers, dirPath, (eventType, fileName) => {
+    const name = fileName ? String(fileName) : '';
+    if (name.endsWith('.jsonl')) {
+      onFileChange(path.join(dirPath, name));
+      return;
+    }
+
+    onDirectoryChange();
+  });
+
+  return {
+    get activeDirs() {
+      return activeDirs;
+    },
+
+    // Returns false when the sessions root itself cannot be watched.
+    refreshDirectories(nowMs) {
+      if (!watchDirectory(sessionsRoot)) {
+        return false;
+      }
+
+      activeDirs = resolveActiveSessionDirs(sessionsRoot, nowMs);
+      const wanted = new Set([sessionsRoot]);
+      for (const dayDir of activeDirs) {
+        const monthDir = path.dirname(dayDir);
+        wanted.add(path.dirname(monthDir));
+        wanted.add(monthDir);
+        wanted.add(dayDir);
+      }
+
+      for (const dirPath of [...dirWatchers.keys()]) {
+        if (!wanted.has(dirPath)) {
+          closeWatcher(dirWatchers, dirPath);
+        }
+      }
+
+      for (const dirPath of [...wanted].sort((a, b) => a.localeCompare(b))) {
+        if (fs.existsSync(dirPath)) {
+          watchDirectory(dirPath);
+        }
+      }
+
+      return true;
+    },
+
+    watchFile(filePath, mtimeMs, nowMs) {
+      if (activeDirs.includes(path.dirname(filePath)) || fileWatchers.has(filePath)) {
+        return;
+      }
+
+      if ((nowMs - mtimeMs) > FS_WATCH_ACTIVE_FILE_WINDOW_MS || fileWatchers.size >= FS_WATCH_MAX_FILE_WATCHERS) {
+        return;
+      }
+
+      watchPath(fileWatchers, filePath, eventType => {
+        if (eventType === 'rename') {
+          // Rotated or removed: drop the stale handle and let the next rescan pick it up again.
+          closeWatcher(fileWatchers, filePath);
+          onDirectoryChange();
+        }
+        onFileChange(filePath);
+      });
+    },
+
+    counts() {
+      return {
+        directoryWatchCount: dirWatchers.size,
+        fileWatchCount: fileWatchers.size
+      };
+    },
+
+    close() {
+      for (const dirPath of [...dirWatchers.keys()]) {
+        closeWatcher(dirWatchers, dirPath);
+      }
+      for (const filePath of [...fileWatchers.keys()]) {
+        closeWatcher(fileWatchers, filePath);
+      }
+    }
+  };
 }
 
 async function watch(options) {
   const codexHome = resolveCodexHome(options.codexHome);
-  const debugLogPath = resolveDebugLogPath(options, codexHome);
-  const logDebug = createDebugLogger(debugLogPath);
-  const manifest = readManifest(codexHome);
+  const logDebug = createDebugLogger(resolveDebugLogPath(options, codexHome), resolveDebugLogRotation(options));
+  const manifest = readManifest(codexHome, options.projectRoot);
   const sessionsRoot = path.join(codexHome, 'sessions');
 
   logDebug('bridge-start', {
@@ -896,54 +4138,206 @@ async function watch(options) {
     since: options.since,
     watch: true,
     pollMs: options.pollMs,
+    sessionIdleMs: options.sessionIdleMs,
+    hookConcurrency: options.hookConcurrency,
     manifestPath: manifest.manifestPath,
+    projectManifestPath: manifest.projectManifestPath || '',
     pluginCount: manifest.plugins.length,
     topHookCount: manifest.topHooks.length
   });
 
-  const state = {
-    offsets: new Map(),
-    remainders: new Map(),
-    recentEvents: new Map(),
-    sinceEpochSec: options.since
-  };
-
-  cleanupCompetingWatchers(codexHome, options.projectRoot, logDebug, debugLogPath);
+  const state = createBridgeState(options);
+  const checkpointPath = options.checkpoint ? resolveCheckpointPath(codexHome, options.projectRoot) : null;
+  const runtime = createRuntime(options, manifest, logDebug);
+  if (runtime.transcriptsRoot) {
+    pruneTranscriptCache(path.dirname(runtime.transcriptsRoot), logDebug);
+  }
 
-  const releaseWatchLock = acquireWatchLock(codexHome, logDebug);
-  if (!releaseWatchLock) {
+  const registration = await registerWatcher(codexHome, options.projectRoot, options.drainTimeoutMs, logDebug);
+  if (!registration) {
     return;
   }
 
+  const startedAt = registration.identity.startedAt;
+  let lastStatusWriteMs = 0;
+
   let stopping = false;
-  const requestStop = () => {
+  let stopSignal = '';
+  let stoppedCleanly = false;
+  const wake = createWakeSignal();
+  const requestStop = signal => {
     stopping = true;
+    stopSignal = signal;
+    wake.notify();
   };
 
   process.on('SIGINT', requestStop);
   process.on('SIGTERM', requestStop);
 
-  const initialFiles = collectSessionFiles(sessionsRoot, options.since);
+  const checkpointUpdatedMs = checkpointPath ? loadCheckpoint(checkpointPath, state, logDebug) : 0;
+  state.sinceEpochSec = resolveEffectiveSince(options, checkpointUpdatedMs);
+
+  const initialFiles = collectSessionFiles(sessionsRoot, state.sinceEpochSec);
   primeSessionOffsets(initialFiles, state);
-  logDebug('watch-initialized', { trackedFileCount: initialFiles.length });
+  logDebug('watch-initialized', { trackedFileCount: initialFiles.length, since: state.sinceEpochSec });
+
+  const dirtyFiles = new Set(initialFiles);
+  let directoriesDirty = true;
+  let sessionWatcher = null;
+  let watchMode = 'poll';
+  let lastRescanMs = Date.now();
+
+  const startSessionWatcher = () => {
+    if (!options.fsWatch) {
+      return 'disabled-by-flag';
+    }
+
+    if (!fs.existsSync(sessionsRoot)) {
+      return 'sessions-root-missing';
+    }
+
+    const candidate = createSessionWatcher({
+      sessionsRoot,
+      logDebug,
+      onFileChange: filePath => {
+        dirtyFiles.add(filePath);
+        wake.notify();
+      },
+      onDirectoryChange: () => {
+        directoriesDirty = true;
+        wake.notify();
+      }
+    });
+
+    if (!candidate.refreshDirectories(Date.now())) {
+      candidate.close();
+      return 'fs-watch-unavailable';
+    }
+
+    sessionWatcher = candidate;
+    watchMode = 'fs-watch';
+    return '';
+  };
+
+  const pollReason = startSessionWatcher();
+  logDebug('watch-mode', {
+    mode: watchMode,
+    reason: pollReason,
+    pollMs: options.pollMs,
+    ...(sessionWatcher ? sessionWatcher.counts() : {})
+  });
+
+  const manifestReloader = createManifestReloader({
+    codexHome,
+    projectRoot: options.projectRoot,
+    runtime,
+    logDebug,
+    watchFiles: options.fsWatch,
+    onChange: () => wake.notify()
+  });
 
   try {
     // Always perform one final scan after stop is requested to avoid losing tail events.
     while (true) {
-      const files = collectSessionFiles(sessionsRoot, options.since);
+      const nowMs = Date.now();
+
+      // Events are dispatched synchronously below, so swapping here always lands between events.
+      manifestReloader.check();
+
+      if (!sessionWatcher && pollReason === 'sessions-root-missing' && !startSessionWatcher()) {
+        logDebug('watch-mode', { mode: watchMode, reason: 'sessions-root-created', ...sessionWatcher.counts() });
+      }
+
+      let files;
+      if (!sessionWatcher || stopping || (nowMs - lastRescanMs) >= FS_WATCH_RESCAN_INTERVAL_MS) {
+        files = collectSessionFiles(sessionsRoot, state.sinceEpochSec);
+        lastRescanMs = nowMs;
+      } else {
+        if (directoriesDirty || sessionWatcher.activeDirs.join('|') !== resolveActiveSessionDirs(sessionsRoot, nowMs).join('|')) {
+          directoriesDirty = false;
+          sessionWatcher.refreshDirectories(nowMs);
+          for (const dirPath of sessionWatcher.activeDirs) {
+            for (const filePath of listSessionFilesInDir(dirPath)) {
+              dirtyFiles.add(filePath);
+            }
+          }
+        }
+        files = [...dirtyFiles].sort((a, b) => a.localeCompare(b));
+      }
+      dirtyFiles.clear();
+
       primeSessionOffsets(files, state);
       for (const filePath of files) {
-        processSessionFile(filePath, state, manifest, options.projectRoot, options.quiet, logDebug);
+        processSessionFile(filePath, state, runtime);
+
+        if (sessionWatcher) {
+          const identity = state.fileIdentities.get(filePath);
+          if (identity) {
+            const stat = fs.statSync(filePath, { throwIfNoEntry: false });
+            if (stat) {
+              sessionWatcher.watchFile(filePath, stat.mtimeMs, nowMs);
+            }
+          }
+        }
       }
 
       if (stopping) {
+        // On a same-project takeover the sessions live on in the new watcher (through the checkpoint), so do not end them.
+        if (stopSignal === 'SIGTERM' && isTakeoverRequested(registration.entryPath)) {
+          logDebug('watch-handoff', { sessionCount: state.sessions.size });
+        } else {
+          const endReason = stopSignal === 'SIGTERM' ? 'bridge-sigterm' : 'bridge-stop';
+          for (const session of state.sessions.values()) {
+            emitSessionEnd(session, runtime, endReason);
+          }
+        }
+
+        // Give in-flight hooks (including the SessionEnd ones above) a bounded chance to finish.
+        const pendingHookEvents = runtime.scheduler.pendingCount();
+        const drainResult = await runtime.scheduler.drain(options.drainTimeoutMs);
+        logDebug('watch-drain', {
+          pendingEvents: pendingHookEvents,
+          drained: drainResult.drained,
+          abandonedEvents: drainResult.pending,
+          drainTimeoutMs: options.drainTimeoutMs
+        });
+        if (!drainResult.drained) {
+          runtime.scheduler.abort();
+        }
+
+        state.checkpointDirty = true;
+        saveCheckpoint(checkpointPath, state, logDebug);
+        writeWatcherEntry(registration, buildWatchStatus(state, runtime, {
+          state: 'stopped',
+          startedAt,
+          stoppedAt: new Date().toISOString(),
+          watchMode
+        }), logDebug);
+        stoppedCleanly = true;
         break;
       }
 
-      await sleep(options.pollMs);
+      endIdleSessions(state, runtime, options);
+      saveCheckpoint(checkpointPath, state, logDebug);
+
+      if (runtime.statusDirty || (Date.now() - lastStatusWriteMs) >= WATCH_STATUS_HEARTBEAT_MS) {
+        runtime.statusDirty = false;
+        lastStatusWriteMs = Date.now();
+        writeWatcherEntry(registration, buildWatchStatus(state, runtime, { state: 'running', startedAt, watchMode }), logDebug);
+      }
+
+      await wake.wait(sessionWatcher ? FS_WATCH_MAX_WAIT_MS : options.pollMs);
     }
   } finally {
-    releaseWatchLock();
+    if (sessionWatcher) {
+      sessionWatcher.close();
+    }
+    manifestReloader.close();
+    if (!stoppedCleanly) {
+      // The loop threw: drop the entry instead of leaving it reporting "running" until the heartbeat goes stale.
+      removeWatcherEntryOf(registration.entryPath, process.pid);
+    }
+    logDebug('watcher-deregistered', { entryPath: registration.entryPath, stoppedCleanly });
   }
 
   logDebug('bridge-stop', { mode: 'watch' });
@@ -951,15 +4345,70 @@ async function watch(options) {
 
 async function main() {
   const options = parseArgs(process.argv.slice(2));
+  if (options.projectRoot) {
+    options.projectRoot = findProjectRoot(resolveCodexHome(options.codexHome), options.projectRoot);
+  }
+
+  if (options.notify) {
+    await runNotify(options);
+    return;
+  }
+
   if (options.watch) {
     await watch(options);
     return;
   }
 
-  runOnce(options);
+  await runOnce(options);
 }
 
-main().catch(error => {
-  console.error(`codex-plugin-bridge 运行失败: ${error.message}`);
-  process.exit(1);
-});
+if (require.main === module) {
+  main().catch(error => {
+    console.error(`codex-plugin-bridge 运行失败: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  CODEX_EVENT_MAP,
+  DEFAULT_TOOL_NAME_MAP,
+  WATCHER_HEARTBEAT_STALE_MS,
+  WATCHER_REGISTRY_DIR_RELATIVE_PATH,
+  buildHookPayload,
+  buildMatcherText,
+  collectSecretValues,
+  correlateToolCall,
+  countManifestHooks,
+  createDebugLogger,
+  createHookCircuitBreaker,
+  createHookScheduler,
+  createSessionInfo,
+  executeEvent,
+  findProjectRoot,
+  inspectWatcherEntry,
+  isProcessAlive,
+  listRotatedDebugLogs,
+  mapEventNames,
+  matchesExpression,
+  matchesRule,
+  matchesToolRule,
+  parseCodexEvent,
+  planEventHooks,
+  readDebugLogTail,
+  readManifest,
+  readProcessStartTime,
+  readWatcherEntry,
+  resolveCheckpointPath,
+  resolveCodexHome,
+  resolveDebugLogPath,
+  resolveGitToplevel,
+  resolveProjectManifestPath,
+  resolveTranscriptDir,
+  resolveWatcherEntryPath,
+  trackSessionLifecycle,
+  trackTokenUsage,
+  trackTurnState,
+  translateToolName,
+  validateMatchExpression,
+  validateMatcher
+};
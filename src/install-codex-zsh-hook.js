@@ -115,9 +115,6 @@ const block = [
   '  local bridge_script',
   '  local bridge_pid=""',
   '  local bridge_since=""',
-  '  local bridge_candidates=""',
-  '  local bridge_old_pid',
-  '  local bridge_old_cmd',
   '',
   '  case "$first_arg" in',
   '    -h|--help|-V|--version|completion|login|logout|features)',
@@ -138,19 +135,10 @@ const block = [
   '',
   '  if [[ "${CODEX_PLUGIN_BRIDGE_DISABLE:-0}" != "1" ]]; then',
   '    if command -v node >/dev/null 2>&1 && [[ -f "$bridge_script" ]]; then',
-  '      if command -v pgrep >/dev/null 2>&1; then',
-  '        bridge_candidates="$(pgrep -f "codex-plugin-bridge.js --watch" 2>/dev/null || true)"',
-  '        for bridge_old_pid in ${(f)bridge_candidates}; do',
-  '          bridge_old_cmd="$(ps -o command= -p "$bridge_old_pid" 2>/dev/null || true)"',
-  '          [[ -z "$bridge_old_cmd" ]] && continue',
-  '          [[ "$bridge_old_cmd" != *"--codex-home=$codex_home"* ]] && continue',
-  '          [[ "$bridge_old_cmd" != *"--project-root=$PWD"* ]] && continue',
-  '          kill "$bridge_old_pid" >/dev/null 2>&1 || true',
-  '          wait "$bridge_old_pid" >/dev/null 2>&1 || true',
-  '        done',
-  '      fi',
+  '      # The bridge replaces an older watcher for the same project itself, via its watcher registry.',
+  '      # --initial-since only applies on the first run; afterwards the checkpoint decides where to resume.',
   '      bridge_since="$(date +%s)"',
-  '      node "$bridge_script" --watch --since="$bridge_since" --codex-home="$codex_home" --project-root="$PWD" >/dev/null 2>&1 &',
+  '      node "$bridge_script" --watch --initial-since="$bridge_since" --codex-home="$codex_home" --project-root="$PWD" >/dev/null 2>&1 &',
   '      bridge_pid="$!"',
   '    fi',
   '  fi',
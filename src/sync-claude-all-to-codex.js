@@ -874,6 +874,7 @@ function syncMergedMcp({
       updated: [],
       removed: [],
       managedCount: 0,
+      serverNames: [],
       warnings
     };
   }
@@ -910,6 +911,7 @@ function syncMergedMcp({
     updated,
     removed,
     managedCount: Object.keys(newEntryMap).length,
+    serverNames: [...newNames].sort((a, b) => a.localeCompare(b)),
     warnings
   };
 }
@@ -1096,6 +1098,7 @@ module.exports = {
   applyManagedBlock,
   buildManagedMcpBlock,
   extractManagedBlock,
+  normalizeMcpKey,
   parseMcpEntryMapFromBlock,
   stripDuplicateMcpEntries,
   syncSkills,
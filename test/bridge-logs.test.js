@@ -0,0 +1,143 @@
+const assert = require('node:assert/strict');
+const { spawn, spawnSync } = require('node:child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const test = require('node:test');
+
+const { matchesFilters, parseArgs, parseTimeArg } = require('../src/bridge-logs');
+
+const crsBin = path.join(__dirname, '..', 'bin', 'crs.js');
+const logsScript = path.join(__dirname, '..', 'src', 'bridge-logs.js');
+
+function writeLog(filePath, records) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, records.map(record => `${JSON.stringify(record)}\n`).join(''), 'utf8');
+}
+
+const records = [
+  { ts: '2026-02-28T10:00:00.000Z', pid: 1, kind: 'bridge-start', mode: 'watch' },
+  { ts: '2026-02-28T10:00:01.000Z', pid: 1, kind: 'hook-command-finish', sourceName: 'notifier', eventName: 'Stop', ok: true, status: 0, durationMs: 12, command: 'notify' },
+  { ts: '2026-02-28T10:05:00.000Z', pid: 1, kind: 'hook-command-finish', sourceName: 'linter', eventName: 'PostToolUse', ok: false, status: 2, durationMs: 340, command: 'lint' },
+  { ts: '2026-02-28T10:10:00.000Z', pid: 1, kind: 'hook-command-finish', sourceName: 'notifier', eventName: 'Stop', ok: false, status: null, timedOut: true, limitHit: 'timeout', durationMs: 10000, command: 'notify' }
+];
+
+test('parses relative, epoch and ISO times', () => {
+  const nowMs = Date.parse('2026-02-28T12:00:00.000Z');
+  assert.equal(parseTimeArg('2h', nowMs), Date.parse('2026-02-28T10:00:00.000Z'));
+  assert.equal(parseTimeArg('1772272800', nowMs), 1772272800 * 1000);
+  assert.equal(parseTimeArg('2026-02-28T10:00:00Z', nowMs), Date.parse('2026-02-28T10:00:00.000Z'));
+  assert.throws(() => parseTimeArg('yesterday-ish', nowMs), /无效时间/);
+});
+
+test('filters records by time, plugin, event and failure status', () => {
+  const select = argv => records.filter(record => matchesFilters(record, parseArgs(argv))).map(record => record.ts);
+
+  assert.deepEqual(select(['--failed']), [records[2].ts, records[3].ts]);
+  assert.deepEqual(select(['--timeout']), [records[3].ts]);
+  assert.deepEqual(select(['--plugin=notifier', '--event=Stop']), [records[1].ts, records[3].ts]);
+  assert.deepEqual(select(['--since=2026-02-28T10:01:00Z', '--until=2026-02-28T10:06:00Z']), [records[2].ts]);
+  assert.deepEqual(select(['--kind=bridge-start']), [records[0].ts]);
+});
+
+test('prints JSON or a table through crs bridge logs', t => {
+  const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'crs-logs-'));
+  t.after(() => fs.rmSync(tempRoot, { recursive: true, force: true }));
+
+  const codexHome = path.join(tempRoot, 'codex-home');
+  writeLog(path.join(codexHome, 'log', 'plugin-bridge.log.1'), records.slice(0, 2));
+  writeLog(path.join(codexHome, 'log', 'plugin-bridge.log'), records.slice(2));
+
+  const env = { ...process.env };
+  delete env.CODEX_PLUGIN_BRIDGE_DEBUG_LOG_PATH;
+
+  const json = spawnSync(process.execPath, [crsBin, 'bridge', 'logs', `--codex-home=${codexHome}`, '--plugin=notifier', '--json'], { encoding: 'utf8', env });
+  assert.equal(json.status, 0, json.stderr);
+  assert.deepEqual(json.stdout.trim().split('\n').map(line => JSON.parse(line).ts), [records[1].ts, records[3].ts]);
+
+  const table = spawnSync(process.execPath, [crsBin, 'bridge', 'logs', `--codex-home=${codexHome}`, '--failed'], { encoding: 'utf8', env });
+  assert.equal(table.status, 0, table.stderr);
+  const rows = table.stdout.trim().split('\n');
+  assert.equal(rows.length, 2);
+  assert.match(rows[0], /linter\s+PostToolUse\s+FAIL\(2\)\s+340ms\s+lint/);
+  assert.match(rows[1], /notifier\s+Stop\s+TIMEOUT/);
+});
+
+test('reads rotated logs when the active log is missing', t => {
+  const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'crs-logs-rotated-'));
+  t.after(() => fs.rmSync(tempRoot, { recursive: true, force: true }));
+
+  const logPath = path.join(tempRoot, 'bridge.log');
+  const runLogs = () => spawnSync(process.execPath, [logsScript, `--log=${logPath}`, '--json'], { encoding: 'utf8' });
+
+  const missing = runLogs();
+  assert.equal(missing.status, 1);
+  assert.match(missing.stderr, /未找到 bridge 调试日志/);
+
+  const older = records.slice(0, 2).map(record => `${JSON.stringify(record)}\n`).join('');
+  fs.writeFileSync(`${logPath}.2.gz`, zlib.gzipSync(Buffer.from(older, 'utf8')));
+  writeLog(`${logPath}.1`, records.slice(2));
+
+  const rotated = runLogs();
+  assert.equal(rotated.status, 0, rotated.stderr);
+  assert.deepEqual(rotated.stdout.trim().split('\n').map(line => JSON.parse(line).ts), records.map(record => record.ts));
+});
+
+test('streams every retained log and keeps only the last --limit matches', t => {
+  const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'crs-logs-limit-'));
+  t.after(() => fs.rmSync(tempRoot, { recursive: true, force: true }));
+
+  const logPath = path.join(tempRoot, 'bridge.log');
+  const finishes = Array.from({ length: 30 }, (_, seq) => ({
+    ts: new Date(Date.parse('2026-02-28T10:00:00.000Z') + seq * 1000).toISOString(),
+    kind: 'hook-command-finish',
+    sourceName: 'notifier',
+    seq
+  }));
+  const toLines = items => items.map(record => JSON.stringify(record)).join('\n');
+  // The oldest rotation lacks a trailing newline; its last record must still be read.
+  fs.writeFileSync(`${logPath}.2.gz`, zlib.gzipSync(Buffer.from(toLines(finishes.slice(0, 10)), 'utf8')));
+  fs.writeFileSync(`${logPath}.1`, `${toLines(finishes.slice(10, 20))}\n`, 'utf8');
+  fs.writeFileSync(logPath, `${toLines([records[0], ...finishes.slice(20)])}\n`, 'utf8');
+
+  const runLogs = extraArgs => {
+    const result = spawnSync(process.execPath, [logsScript, `--log=${logPath}`, '--json', '--kind=hook-command-finish', ...extraArgs], { encoding: 'utf8' });
+    assert.equal(result.status, 0, result.stderr);
+    return result.stdout.trim().split('\n').map(line => JSON.parse(line).seq);
+  };
+
+  assert.deepEqual(runLogs([]), finishes.map(record => record.seq));
+  assert.deepEqual(runLogs(['--limit=3']), [27, 28, 29]);
+  assert.deepEqual(runLogs(['--limit=12', '--until=2026-02-28T10:00:15.000Z']), [4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15]);
+});
+
+test('follows appended records like tail -f', async t => {
+  const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'crs-logs-follow-'));
+  t.after(() => fs.rmSync(tempRoot, { recursive: true, force: true }));
+
+  const logPath = path.join(tempRoot, 'bridge.log');
+  writeLog(logPath, records.slice(0, 1));
+
+  const child = spawn(process.execPath, [logsScript, `--log=${logPath}`, '--follow', '--json', '--kind=hook-command-finish']);
+  const exited = new Promise(resolve => child.on('exit', resolve));
+  t.after(() => child.kill('SIGKILL'));
+
+  let output = '';
+  child.stdout.on('data', chunk => {
+    output += chunk.toString('utf8');
+  });
+
+  // Give the follower a moment to record the current end of file.
+  await new Promise(resolve => setTimeout(resolve, 1000));
+  fs.appendFileSync(logPath, `${JSON.stringify(records[2])}\n${JSON.stringify(records[0])}\n`, 'utf8');
+
+  const deadline = Date.now() + 5000;
+  while (!output.includes('\n') && Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  child.kill('SIGTERM');
+  await exited;
+
+  assert.deepEqual(output.trim().split('\n').map(line => JSON.parse(line).sourceName), ['linter']);
+});
@@ -0,0 +1,110 @@
+const assert = require('node:assert/strict');
+const { spawnSync } = require('node:child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+
+const { writeJson } = require('./helpers');
+
+function setupFixture(tempRoot) {
+  const codexHome = path.join(tempRoot, 'codex-home');
+  const pluginRoot = path.join(codexHome, 'plugins', 'claude-home', 'guard');
+  fs.mkdirSync(pluginRoot, { recursive: true });
+
+  writeJson(path.join(codexHome, 'plugins', 'claude-bridge', 'manifest.json'), {
+    version: 1,
+    projectRoot: null,
+    plugins: [
+      {
+        id: 'home:guard',
+        sourceType: 'home',
+        name: 'guard',
+        rootPath: pluginRoot,
+        events: [
+          {
+            eventName: 'PreToolUse',
+            matcher: 'Bash',
+            commands: [{ command: 'echo "$CRS_TOOL_NAME" >> "$CLAUDE_PLUGIN_ROOT/ran.log"', timeout: 10 }]
+          },
+          {
+            eventName: 'Stop',
+            matcher: null,
+            commands: [{ command: 'echo stop >> "$CLAUDE_PLUGIN_ROOT/ran.log"', timeout: 10 }]
+          }
+        ]
+      }
+    ],
+    topHooks: []
+  });
+
+  const sessionPath = path.join(tempRoot, 'recorded.jsonl');
+  fs.writeFileSync(sessionPath, `${[
+    { type: 'session_meta', timestamp: '2026-02-28T10:00:00.000Z', payload: { id: 'session-1', cwd: '/work/repo' } },
+    { type: 'event_msg', timestamp: '2026-02-28T10:00:01.000Z', payload: { type: 'agent_message', message: 'working' } },
+    {
+      type: 'response_item',
+      timestamp: '2026-02-28T10:00:02.000Z',
+      payload: { type: 'function_call', name: 'shell', arguments: JSON.stringify({ command: ['ls'] }), call_id: 'call_1' }
+    },
+    { type: 'event_msg', timestamp: '2026-02-28T10:00:03.000Z', payload: { type: 'task_complete' } }
+  ].map(line => JSON.stringify(line)).join('\n')}\n`, 'utf8');
+
+  return { codexHome, pluginRoot, sessionPath };
+}
+
+test('replay prints the hooks each recorded event would run without executing them', t => {
+  const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'crs-replay-'));
+  t.after(() => fs.rmSync(tempRoot, { recursive: true, force: true }));
+  const { codexHome, pluginRoot, sessionPath } = setupFixture(tempRoot);
+
+  const crsBin = path.join(__dirname, '..', 'bin', 'crs.js');
+  const result = spawnSync(
+    process.execPath,
+    [crsBin, 'bridge', 'replay', sessionPath, `--codex-home=${codexHome}`, '--json'],
+    { encoding: 'utf8' }
+  );
+  assert.equal(result.status, 0, result.stderr);
+
+  const entries = JSON.parse(result.stdout);
+  assert.deepEqual(entries.map(entry => entry.rawType), ['session_meta', 'function_call', 'task_complete']);
+
+  const toolEntry = entries[1];
+  assert.equal(toolEntry.line, 3);
+  assert.equal(toolEntry.toolName, 'Bash');
+  assert.deepEqual(toolEntry.hooks.map(hook => hook.eventName), ['PreToolUse']);
+  assert.equal(toolEntry.hooks[0].env.CRS_TOOL_NAME, 'Bash');
+  assert.equal(toolEntry.hooks[0].stdinPayload.session_id, 'session-1');
+  assert.equal(toolEntry.hooks[0].result, undefined);
+
+  assert.deepEqual(entries[2].hooks.map(hook => hook.eventName), ['Stop']);
+  assert.equal(fs.existsSync(path.join(pluginRoot, 'ran.log')), false, 'dry run must not execute hooks');
+
+  const text = spawnSync(
+    process.execPath,
+    [crsBin, 'bridge', 'replay', sessionPath, `--codex-home=${codexHome}`],
+    { encoding: 'utf8' }
+  );
+  assert.equal(text.status, 0, text.stderr);
+  assert.match(text.stdout, /#3 function_call → PreToolUse, function_call {2}tool=Bash/);
+  assert.match(text.stdout, /CRS_EVENT_MATCHER_TEXT=/);
+  assert.match(text.stdout, /3 events, 2 hook invocations/);
+});
+
+test('replay --execute runs the matched hooks and reports their results', t => {
+  const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'crs-replay-exec-'));
+  t.after(() => fs.rmSync(tempRoot, { recursive: true, force: true }));
+  const { codexHome, pluginRoot, sessionPath } = setupFixture(tempRoot);
+
+  const replayScript = path.join(__dirname, '..', 'src', 'bridge-replay.js');
+  const result = spawnSync(
+    process.execPath,
+    [replayScript, sessionPath, `--codex-home=${codexHome}`, '--execute', '--json'],
+    { encoding: 'utf8', timeout: 30_000 }
+  );
+  assert.equal(result.status, 0, result.stderr);
+
+  const entries = JSON.parse(result.stdout);
+  assert.equal(entries[1].hooks[0].result.ok, true);
+  assert.deepEqual(fs.readFileSync(path.join(pluginRoot, 'ran.log'), 'utf8').trim().split('\n'), ['Bash', 'stop']);
+});
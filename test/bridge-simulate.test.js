@@ -0,0 +1,125 @@
+const assert = require('node:assert/strict');
+const { spawnSync } = require('node:child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+
+const { buildSimulatedEvent, parseArgs, resolveRawType } = require('../src/bridge-simulate');
+const { writeJson } = require('./helpers');
+
+test('resolves Claude event names to the Codex event that produces them', () => {
+  assert.equal(resolveRawType('Stop'), 'task_complete');
+  assert.equal(resolveRawType('PermissionRequest'), 'exec_approval_request');
+  assert.equal(resolveRawType('apply_patch_approval_request'), 'apply_patch_approval_request');
+
+  const eventRecord = buildSimulatedEvent(parseArgs(['--event=PreToolUse', '--tool=shell', '--payload={"command":["ls"]}']));
+  assert.equal(eventRecord.rawType, 'function_call');
+  assert.deepEqual(eventRecord.payload, { command: ['ls'], tool_name: 'shell', tool_input: { command: ['ls'] } });
+});
+
+test('runs matching hooks for a simulated event and reports each result', t => {
+  const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'crs-simulate-'));
+  t.after(() => fs.rmSync(tempRoot, { recursive: true, force: true }));
+
+  const codexHome = path.join(tempRoot, 'codex-home');
+  const pluginRoot = path.join(codexHome, 'plugins', 'claude-home', 'approver');
+  fs.mkdirSync(pluginRoot, { recursive: true });
+
+  writeJson(path.join(codexHome, 'plugins', 'claude-bridge', 'manifest.json'), {
+    version: 1,
+    projectRoot: null,
+    plugins: [
+      {
+        id: 'home:approver',
+        sourceType: 'home',
+        name: 'approver',
+        rootPath: pluginRoot,
+        events: [
+          {
+            eventName: 'PermissionRequest',
+            matcher: 'Bash',
+            commands: [
+              { command: 'cat', timeout: 10 },
+              { command: 'echo denied >&2; exit 2', timeout: 10 }
+            ]
+          }
+        ]
+      }
+    ],
+    topHooks: []
+  });
+
+  const eventFile = path.join(tempRoot, 'event.json');
+  writeJson(eventFile, {
+    type: 'response_item',
+    payload: {
+      type: 'function_call',
+      name: 'shell',
+      arguments: JSON.stringify({ command: ['git', 'push'], sandbox_permissions: 'require_escalated' }),
+      call_id: 'call_1'
+    }
+  });
+
+  const crsBin = path.join(__dirname, '..', 'bin', 'crs.js');
+  const result = spawnSync(
+    process.execPath,
+    [crsBin, 'bridge', 'simulate', `--codex-home=${codexHome}`, `--file=${eventFile}`, '--session-id=sim-1', '--json'],
+    { encoding: 'utf8', timeout: 30_000 }
+  );
+  assert.equal(result.status, 1, 'a failing hook makes simulate exit non-zero');
+
+  const report = JSON.parse(result.stdout);
+  assert.equal(report.event.rawType, 'exec_approval_request');
+
+  const [echoed, denied] = report.results;
+  assert.equal(echoed.ok, true);
+  assert.equal(echoed.status, 0);
+  assert.ok(Number.isFinite(echoed.durationMs));
+  const input = JSON.parse(echoed.stdout);
+  assert.equal(input.hook_event_name, 'PermissionRequest');
+  assert.equal(input.session_id, 'sim-1');
+  assert.equal(input.tool_name, 'Bash');
+  assert.deepEqual(input.tool_input.command, ['git', 'push']);
+
+  assert.equal(denied.ok, false);
+  assert.equal(denied.status, 2);
+  assert.match(denied.stderr, /denied/);
+});
+
+test('simulated tool events carry tool_input, so structured match rules apply', t => {
+  const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'crs-simulate-match-'));
+  t.after(() => fs.rmSync(tempRoot, { recursive: true, force: true }));
+
+  const codexHome = path.join(tempRoot, 'codex-home');
+  const source = (name, match) => ({
+    id: `home:${name}`,
+    sourceType: 'home',
+    name,
+    rootPath: path.join(codexHome, 'plugins', 'claude-home', name),
+    events: [{ eventName: 'PermissionRequest', matcher: null, match, commands: [{ command: 'cat', timeout: 10 }] }]
+  });
+  writeJson(path.join(codexHome, 'plugins', 'claude-bridge', 'manifest.json'), {
+    version: 1,
+    projectRoot: null,
+    plugins: [
+      source('guard-push', { field: 'command', regex: '^git push\\b' }),
+      source('guard-edits', { field: 'path', glob: 'src/**' })
+    ],
+    topHooks: []
+  });
+
+  const crsBin = path.join(__dirname, '..', 'bin', 'crs.js');
+  const result = spawnSync(
+    process.execPath,
+    [crsBin, 'bridge', 'simulate', `--codex-home=${codexHome}`, '--event=PermissionRequest', '--tool=shell', '--payload={"command":["git","push"]}', '--json'],
+    { encoding: 'utf8', timeout: 30_000 }
+  );
+  assert.equal(result.status, 0, result.stderr || result.stdout);
+
+  const report = JSON.parse(result.stdout);
+  assert.deepEqual(report.results.map(item => item.sourceName), ['guard-push']);
+  const input = JSON.parse(report.results[0].stdout);
+  assert.equal(input.tool_name, 'Bash');
+  assert.deepEqual(input.tool_input, { command: ['git', 'push'] });
+});
@@ -0,0 +1,86 @@
+const assert = require('node:assert/strict');
+const { spawn, spawnSync } = require('node:child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+
+const { formatBridgeStatus } = require('../src/bridge-status');
+const { resolveWatcherEntryPath } = require('../src/codex-plugin-bridge');
+const { waitFor, writeJson } = require('./helpers');
+
+test('reports the running watcher, its manifest and the last event per session', async t => {
+  const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'crs-status-'));
+  t.after(() => fs.rmSync(tempRoot, { recursive: true, force: true }));
+
+  const codexHome = path.join(tempRoot, 'codex-home');
+  const pluginRoot = path.join(codexHome, 'plugins', 'claude-home', 'prompt-plugin');
+  fs.mkdirSync(pluginRoot, { recursive: true });
+
+  writeJson(path.join(codexHome, 'plugins', 'claude-bridge', 'manifest.json'), {
+    version: 1,
+    projectRoot: null,
+    generatedAt: '2026-02-28T09:00:00.000Z',
+    plugins: [
+      {
+        id: 'home:prompt-plugin',
+        sourceType: 'home',
+        name: 'prompt-plugin',
+        rootPath: pluginRoot,
+        events: [{ eventName: 'UserPromptSubmit', matcher: null, commands: [{ command: 'true', timeout: 10 }] }]
+      }
+    ],
+    topHooks: []
+  });
+
+  const sessionId = '0199a1b2-c3d4-7e5f-8a9b-0c1d2e3f4a5b';
+  const sessionPath = path.join(codexHome, 'sessions', '2026', '02', '28', `rollout-2026-02-28T10-00-00-${sessionId}.jsonl`);
+  fs.mkdirSync(path.dirname(sessionPath), { recursive: true });
+  fs.writeFileSync(sessionPath, `${JSON.stringify({
+    type: 'response_item',
+    timestamp: '2026-02-28T10:00:01.000Z',
+    payload: { type: 'message', role: 'user', content: [{ type: 'input_text', text: 'hello' }] }
+  })}\n`, 'utf8');
+
+  const bridgeScript = path.join(__dirname, '..', 'src', 'codex-plugin-bridge.js');
+  const child = spawn(process.execPath, [bridgeScript, '--watch', `--codex-home=${codexHome}`, '--no-debug-log'], { stdio: 'ignore' });
+  const exited = new Promise(resolve => child.on('exit', resolve));
+  t.after(() => child.kill('SIGKILL'));
+
+  const crsBin = path.join(__dirname, '..', 'bin', 'crs.js');
+  const readStatus = () => {
+    const result = spawnSync(process.execPath, [crsBin, 'bridge', 'status', `--codex-home=${codexHome}`, '--json'], { encoding: 'utf8' });
+    assert.equal(result.status, 0, result.stderr);
+    return JSON.parse(result.stdout);
+  };
+
+  const entryPath = resolveWatcherEntryPath(codexHome, null);
+  assert.ok(await waitFor(() => {
+    const entry = fs.existsSync(entryPath) && JSON.parse(fs.readFileSync(entryPath, 'utf8'));
+    return Boolean(entry && entry.sessions && entry.sessions.length === 1 && entry.sessions[0].lastEvent.completedAt);
+  }, 15_000), 'watcher should publish the processed prompt');
+
+  const running = readStatus();
+  assert.equal(running.watchers.length, 1);
+  const [watcher] = running.watchers;
+  assert.equal(watcher.state, 'running');
+  assert.equal(watcher.heartbeatStale, false);
+  assert.equal(watcher.entry.pid, child.pid);
+  assert.ok(watcher.entry.processStartTime, 'registry entry should record the process start time');
+  assert.equal(running.manifest.pluginCount, 1);
+  assert.equal(running.manifest.hookCommandCount, 1);
+
+  const [session] = watcher.entry.sessions;
+  assert.equal(session.sessionId, sessionId);
+  assert.equal(session.lastEvent.eventName, 'UserPromptSubmit');
+  assert.equal(session.lastEvent.hookCount, 1);
+  assert.equal(session.lastEvent.failedHookCount, 0);
+  assert.match(formatBridgeStatus(running), /\(global\): running/);
+
+  child.kill('SIGTERM');
+  await exited;
+
+  const stopped = readStatus();
+  assert.equal(stopped.watchers[0].state, 'stopped');
+  assert.equal(stopped.watchers[0].entry.sessions[0].lastEvent.eventName, 'SessionEnd');
+});
@@ -0,0 +1,93 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * 写入 JSON 文件，必要时创建父目录。
+ */
+function writeJson(filePath, value) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, `${JSON.stringify(value, null, 2)}\n`, 'utf8');
+}
+
+/**
+ * 写入 Codex session 文件，lines 为已序列化的 JSONL 行。
+ */
+function writeSession(filePath, lines) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, `${lines.join('\n')}\n`, 'utf8');
+}
+
+/**
+ * 构造一行 response_item 记录。
+ */
+function responseItem(timestamp, payload) {
+  return JSON.stringify({ type: 'response_item', timestamp, payload });
+}
+
+/**
+ * 构造一行 event_msg 记录。
+ */
+function eventMsg(timestamp, payload) {
+  return JSON.stringify({ type: 'event_msg', timestamp, payload });
+}
+
+/**
+ * 构造一行用户消息（response_item / message / role=user）。
+ */
+function userMessage(text, timestamp = '2026-02-28T10:00:01.000Z') {
+  return responseItem(timestamp, { type: 'message', role: 'user', content: [{ type: 'input_text', text }] });
+}
+
+/**
+ * 读取文本文件中去掉首尾空白后的非空行；文件不存在时返回空数组。
+ */
+function readNonEmptyLines(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return [];
+  }
+  return fs.readFileSync(filePath, 'utf8').split('\n').map(line => line.trim()).filter(Boolean);
+}
+
+/**
+ * 读取 JSONL 文件的全部记录；文件不存在时返回空数组。
+ */
+function readJsonLines(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return [];
+  }
+  return fs.readFileSync(filePath, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+}
+
+/**
+ * 读取 bridge 调试日志；传入 kind 时只返回该类记录。
+ */
+function readLogRecords(logPath, kind) {
+  const records = readJsonLines(logPath);
+  return kind ? records.filter(record => record.kind === kind) : records;
+}
+
+/**
+ * 每 50ms 轮询一次 predicate，直到为真或超时；返回最后一次结果。
+ */
+async function waitFor(predicate, timeoutMs) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    if (predicate()) {
+      return true;
+    }
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  return predicate();
+}
+
+module.exports = {
+  eventMsg,
+  readJsonLines,
+  readLogRecords,
+  readNonEmptyLines,
+  responseItem,
+  userMessage,
+  waitFor,
+  writeJson,
+  writeSession
+};
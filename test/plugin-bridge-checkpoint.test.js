@@ -0,0 +1,134 @@
+const assert = require('node:assert/strict');
+const { spawnSync } = require('node:child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+
+const { resolveCheckpointPath } = require('../src/codex-plugin-bridge');
+const { eventMsg, readNonEmptyLines, writeJson } = require('./helpers');
+
+function taskComplete(timestamp) {
+  return `${eventMsg(timestamp, { type: 'task_complete' })}\n`;
+}
+
+test('resumes from the checkpoint without replaying or missing events', t => {
+  const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'crs-checkpoint-'));
+  t.after(() => fs.rmSync(tempRoot, { recursive: true, force: true }));
+
+  const codexHome = path.join(tempRoot, 'codex-home');
+  const pluginRoot = path.join(codexHome, 'plugins', 'claude-home', 'checkpoint-plugin');
+  fs.mkdirSync(pluginRoot, { recursive: true });
+
+  writeJson(path.join(codexHome, 'plugins', 'claude-bridge', 'manifest.json'), {
+    version: 1,
+    projectRoot: null,
+    plugins: [
+      {
+        id: 'home:checkpoint-plugin',
+        sourceType: 'home',
+        name: 'checkpoint-plugin',
+        rootPath: pluginRoot,
+        events: [
+          {
+            eventName: 'Stop',
+            matcher: null,
+            commands: [{ command: 'echo stop >> "$CLAUDE_PLUGIN_ROOT/stop.log"', timeout: 10 }]
+          }
+        ]
+      }
+    ],
+    topHooks: []
+  });
+
+  const sessionPath = path.join(codexHome, 'sessions', '2026', '02', '28', 'session.jsonl');
+  fs.mkdirSync(path.dirname(sessionPath), { recursive: true });
+  fs.writeFileSync(sessionPath, taskComplete('2026-02-28T10:00:00.000Z'), 'utf8');
+
+  const bridgeScript = path.join(__dirname, '..', 'src', 'codex-plugin-bridge.js');
+  const runBridge = (...extraArgs) => {
+    const result = spawnSync(
+      process.execPath,
+      [bridgeScript, `--codex-home=${codexHome}`, '--no-debug-log', ...extraArgs],
+      { encoding: 'utf8' }
+    );
+    assert.equal(result.status, 0, result.stderr || result.stdout);
+  };
+  const stopLog = path.join(pluginRoot, 'stop.log');
+
+  runBridge();
+  assert.equal(readNonEmptyLines(stopLog).length, 1);
+  assert.ok(fs.existsSync(resolveCheckpointPath(codexHome, null)));
+
+  runBridge();
+  assert.equal(readNonEmptyLines(stopLog).length, 1, 'second run must not replay events');
+
+  // Events written between launches are older than --since but still after the checkpoint.
+  fs.appendFileSync(sessionPath, taskComplete('2026-02-28T10:05:00.000Z'), 'utf8');
+  runBridge(`--since=${Math.floor(Date.now() / 1000)}`);
+  assert.equal(readNonEmptyLines(stopLog).length, 2, 'events after the checkpoint must not be missed');
+
+  // A replaced (rotated) file is read from the beginning.
+  fs.rmSync(sessionPath);
+  fs.writeFileSync(sessionPath, taskComplete('2026-02-28T11:00:00.000Z'), 'utf8');
+  runBridge();
+  assert.equal(readNonEmptyLines(stopLog).length, 3);
+});
+
+test('applies --initial-since only until a checkpoint exists', t => {
+  const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'crs-initial-since-'));
+  t.after(() => fs.rmSync(tempRoot, { recursive: true, force: true }));
+
+  const codexHome = path.join(tempRoot, 'codex-home');
+  const pluginRoot = path.join(codexHome, 'plugins', 'claude-home', 'checkpoint-plugin');
+  fs.mkdirSync(pluginRoot, { recursive: true });
+
+  writeJson(path.join(codexHome, 'plugins', 'claude-bridge', 'manifest.json'), {
+    version: 1,
+    projectRoot: null,
+    plugins: [
+      {
+        id: 'home:checkpoint-plugin',
+        sourceType: 'home',
+        name: 'checkpoint-plugin',
+        rootPath: pluginRoot,
+        events: [
+          {
+            eventName: 'Stop',
+            matcher: null,
+            commands: [{ command: 'echo stop >> "$CLAUDE_PLUGIN_ROOT/stop.log"', timeout: 10 }]
+          }
+        ]
+      }
+    ],
+    topHooks: []
+  });
+
+  const sessionsDir = path.join(codexHome, 'sessions', '2026', '02', '28');
+  fs.mkdirSync(sessionsDir, { recursive: true });
+  fs.writeFileSync(path.join(sessionsDir, 'old.jsonl'), taskComplete('2026-02-28T10:00:00.000Z'), 'utf8');
+
+  const bridgeScript = path.join(__dirname, '..', 'src', 'codex-plugin-bridge.js');
+  const runBridge = initialSinceSec => {
+    const result = spawnSync(
+      process.execPath,
+      [bridgeScript, `--codex-home=${codexHome}`, '--no-debug-log', `--initial-since=${initialSinceSec}`],
+      { encoding: 'utf8' }
+    );
+    assert.equal(result.status, 0, result.stderr || result.stdout);
+  };
+  const stopLog = path.join(pluginRoot, 'stop.log');
+  const nowSec = Math.floor(Date.now() / 1000);
+
+  // First run: no checkpoint, so history before --initial-since is skipped.
+  runBridge(nowSec);
+  assert.equal(readNonEmptyLines(stopLog).length, 0);
+  assert.ok(fs.existsSync(resolveCheckpointPath(codexHome, null)));
+
+  // A session written while no bridge ran is picked up even though the next launch passes a later time;
+  // history that predates the checkpoint stays skipped.
+  fs.writeFileSync(path.join(sessionsDir, 'between.jsonl'), taskComplete(new Date().toISOString()), 'utf8');
+  fs.writeFileSync(path.join(sessionsDir, 'stale.jsonl'), taskComplete('2026-02-28T11:00:00.000Z'), 'utf8');
+  runBridge(nowSec + 3600);
+  assert.equal(readNonEmptyLines(stopLog).length, 1);
+});
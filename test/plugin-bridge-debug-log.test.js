@@ -0,0 +1,73 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+
+const { createDebugLogger, listRotatedDebugLogs, readDebugLogTail } = require('../src/codex-plugin-bridge');
+
+function readSeqs(text) {
+  return text
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => JSON.parse(line).seq);
+}
+
+test('rotates the debug log by size, keeps a bounded number of gzipped files', async t => {
+  const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'crs-debug-log-'));
+  t.after(() => fs.rmSync(tempRoot, { recursive: true, force: true }));
+
+  const logPath = path.join(tempRoot, 'log', 'plugin-bridge.log');
+  const logDebug = createDebugLogger(logPath, { maxBytes: 400, maxAgeMs: 0, keep: 2, gzip: true });
+  for (let seq = 1; seq <= 20; seq += 1) {
+    logDebug('test-record', { seq });
+  }
+  await logDebug.flush();
+
+  const rotated = listRotatedDebugLogs(logPath);
+  assert.deepEqual(rotated.map(item => path.basename(item.filePath)), ['plugin-bridge.log.1.gz', 'plugin-bridge.log.2.gz']);
+
+  // The cleanup scan reads across rotated files in chronological order.
+  const seqs = readSeqs(await readDebugLogTail(logPath, 1024 * 1024));
+  assert.equal(seqs[seqs.length - 1], 20);
+  assert.deepEqual(seqs, [...seqs].sort((a, b) => a - b));
+  assert.ok(seqs[0] > 1, 'records beyond the retained files are dropped');
+});
+
+test('rotates the debug log once its first record is older than the max age', async t => {
+  const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'crs-debug-log-age-'));
+  t.after(() => fs.rmSync(tempRoot, { recursive: true, force: true }));
+
+  const logPath = path.join(tempRoot, 'plugin-bridge.log');
+  const oldTs = new Date(Date.now() - 2 * 24 * 60 * 60 * 1000).toISOString();
+  fs.writeFileSync(logPath, `${JSON.stringify({ ts: oldTs, pid: 1, kind: 'old-record', seq: 0 })}\n`, 'utf8');
+
+  const logDebug = createDebugLogger(logPath, { maxBytes: 0, maxAgeMs: 24 * 60 * 60 * 1000, keep: 3, gzip: false });
+  logDebug('test-record', { seq: 1 });
+
+  assert.deepEqual(readSeqs(fs.readFileSync(logPath, 'utf8')), [1]);
+  assert.deepEqual(readSeqs(fs.readFileSync(`${logPath}.1`, 'utf8')), [0]);
+  assert.deepEqual(readSeqs(await readDebugLogTail(logPath, 1024)), [0, 1]);
+});
+
+test('reads only the requested tail of gzipped rotated logs', async t => {
+  const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'crs-debug-log-tail-'));
+  t.after(() => fs.rmSync(tempRoot, { recursive: true, force: true }));
+
+  const logPath = path.join(tempRoot, 'plugin-bridge.log');
+  const logDebug = createDebugLogger(logPath, { maxBytes: 4000, maxAgeMs: 0, keep: 1, gzip: true });
+  for (let seq = 1; seq <= 80; seq += 1) {
+    logDebug('test-record', { seq });
+  }
+  await logDebug.flush();
+  assert.deepEqual(listRotatedDebugLogs(logPath).map(item => path.basename(item.filePath)), ['plugin-bridge.log.1.gz']);
+
+  // Whole records from the end of the archive, followed by the active file.
+  const activeBytes = fs.statSync(logPath).size;
+  const tail = await readDebugLogTail(logPath, activeBytes + 200);
+  const lines = tail.split('\n').filter(line => line.trim());
+  const seqs = lines.slice(1).map(line => JSON.parse(line).seq);
+  assert.equal(seqs[seqs.length - 1], 80);
+  assert.deepEqual(seqs, seqs.map((_, index) => seqs[0] + index));
+  assert.ok(Buffer.byteLength(tail) <= activeBytes + 201);
+});
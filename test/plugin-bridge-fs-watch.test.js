@@ -0,0 +1,75 @@
+const assert = require('node:assert/strict');
+const { spawn } = require('node:child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+
+const { readLogRecords, waitFor, writeJson } = require('./helpers');
+
+test('picks up new session files in a freshly created date directory via fs.watch', async t => {
+  const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'crs-fs-watch-'));
+  t.after(() => fs.rmSync(tempRoot, { recursive: true, force: true }));
+
+  const codexHome = path.join(tempRoot, 'codex-home');
+  const pluginRoot = path.join(codexHome, 'plugins', 'claude-home', 'watch-plugin');
+  const logPath = path.join(tempRoot, 'bridge.log');
+  fs.mkdirSync(path.join(codexHome, 'sessions'), { recursive: true });
+  fs.mkdirSync(pluginRoot, { recursive: true });
+
+  writeJson(path.join(codexHome, 'plugins', 'claude-bridge', 'manifest.json'), {
+    version: 1,
+    projectRoot: null,
+    plugins: [
+      {
+        id: 'home:watch-plugin',
+        sourceType: 'home',
+        name: 'watch-plugin',
+        rootPath: pluginRoot,
+        events: [
+          {
+            eventName: 'TaskComplete',
+            matcher: null,
+            commands: [{ command: 'echo done >> "$CLAUDE_PLUGIN_ROOT/done.log"', timeout: 10 }]
+          }
+        ]
+      }
+    ],
+    topHooks: []
+  });
+
+  const bridgeScript = path.join(__dirname, '..', 'src', 'codex-plugin-bridge.js');
+  const child = spawn(
+    process.execPath,
+    [bridgeScript, '--watch', `--codex-home=${codexHome}`, `--debug-log=${logPath}`],
+    { stdio: 'ignore' }
+  );
+  const exited = new Promise(resolve => child.on('exit', resolve));
+  t.after(() => child.kill('SIGKILL'));
+
+  assert.ok(await waitFor(() => readLogRecords(logPath, 'watch-mode').length > 0, 10_000));
+  const [modeRecord] = readLogRecords(logPath, 'watch-mode');
+  assert.equal(modeRecord.mode, 'fs-watch');
+
+  const now = new Date();
+  const dayDir = path.join(
+    codexHome,
+    'sessions',
+    String(now.getFullYear()),
+    String(now.getMonth() + 1).padStart(2, '0'),
+    String(now.getDate()).padStart(2, '0')
+  );
+  fs.mkdirSync(dayDir, { recursive: true });
+  fs.writeFileSync(
+    path.join(dayDir, 'rollout-new.jsonl'),
+    `${JSON.stringify({ type: 'event_msg', timestamp: now.toISOString(), payload: { type: 'task_complete' } })}\n`,
+    'utf8'
+  );
+
+  const doneLog = path.join(pluginRoot, 'done.log');
+  assert.ok(await waitFor(() => fs.existsSync(doneLog), 4000), 'hook should run without waiting for a full rescan');
+
+  child.kill('SIGTERM');
+  await exited;
+  assert.equal(fs.readFileSync(doneLog, 'utf8').trim().split('\n').length, 1);
+});
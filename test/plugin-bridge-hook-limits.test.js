@@ -0,0 +1,254 @@
+const assert = require('node:assert/strict');
+const { spawnSync } = require('node:child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+
+const { collectSecretValues } = require('../src/codex-plugin-bridge');
+const { readLogRecords, waitFor, writeJson } = require('./helpers');
+
+function isAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (_) {
+    return false;
+  }
+}
+
+test('kills the hook process group on timeout and enforces output limits', t => {
+  const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'crs-hook-limits-'));
+  const pidFile = path.join(tempRoot, 'sleeper.pid');
+  t.after(() => {
+    if (fs.existsSync(pidFile)) {
+      try {
+        process.kill(Number(fs.readFileSync(pidFile, 'utf8')), 'SIGKILL');
+      } catch (_) {
+        // Already gone.
+      }
+    }
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+  });
+
+  const codexHome = path.join(tempRoot, 'codex-home');
+  const pluginRoot = path.join(codexHome, 'plugins', 'claude-home', 'limits-plugin');
+  fs.mkdirSync(pluginRoot, { recursive: true });
+
+  writeJson(path.join(codexHome, 'plugins', 'claude-bridge', 'manifest.json'), {
+    version: 1,
+    projectRoot: null,
+    plugins: [
+      {
+        id: 'home:limits-plugin',
+        sourceType: 'home',
+        name: 'limits-plugin',
+        rootPath: pluginRoot,
+        events: [
+          {
+            eventName: 'Stop',
+            matcher: null,
+            commands: [
+              { command: `sleep 30 & echo $! > "${pidFile}"; wait`, timeout: 4 },
+              { command: 'head -c 100000 /dev/zero', timeout: 10, maxOutputBytes: 1000 }
+            ]
+          }
+        ]
+      }
+    ],
+    topHooks: []
+  });
+
+  const debugLogPath = path.join(tempRoot, 'bridge.log');
+  const bridgeScript = path.join(__dirname, '..', 'src', 'codex-plugin-bridge.js');
+  const result = spawnSync(
+    process.execPath,
+    [bridgeScript, `--codex-home=${codexHome}`, `--debug-log=${debugLogPath}`, '--emit-stop'],
+    { encoding: 'utf8', timeout: 30_000 }
+  );
+  assert.equal(result.status, 0, result.stderr || result.stdout);
+
+  const [timedOut, noisy] = readLogRecords(debugLogPath, 'hook-command-finish');
+  assert.equal(timedOut.timedOut, true);
+  assert.equal(timedOut.limitHit, 'timeout');
+  assert.equal(isAlive(Number(fs.readFileSync(pidFile, 'utf8'))), false, 'grandchild sleep should be killed');
+
+  assert.equal(noisy.ok, false);
+  assert.equal(noisy.limitHit, 'output');
+  assert.ok(noisy.outputBytes > 1000);
+});
+
+test('captures truncated hook output with secret env values redacted', t => {
+  const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'crs-hook-output-'));
+  t.after(() => fs.rmSync(tempRoot, { recursive: true, force: true }));
+
+  const codexHome = path.join(tempRoot, 'codex-home');
+  const pluginRoot = path.join(codexHome, 'plugins', 'claude-home', 'noisy-plugin');
+  fs.mkdirSync(pluginRoot, { recursive: true });
+
+  writeJson(path.join(codexHome, 'plugins', 'claude-bridge', 'manifest.json'), {
+    version: 1,
+    projectRoot: null,
+    plugins: [
+      {
+        id: 'home:noisy-plugin',
+        sourceType: 'home',
+        name: 'noisy-plugin',
+        rootPath: pluginRoot,
+        events: [
+          {
+            eventName: 'Stop',
+            matcher: null,
+            commands: [{ command: 'echo "using $DEMO_API_TOKEN"; head -c 200 /dev/zero | tr "\\0" x >&2; exit 3', timeout: 10 }]
+          }
+        ]
+      }
+    ],
+    topHooks: []
+  });
+
+  const debugLogPath = path.join(tempRoot, 'bridge.log');
+  const bridgeScript = path.join(__dirname, '..', 'src', 'codex-plugin-bridge.js');
+  const result = spawnSync(
+    process.execPath,
+    [bridgeScript, `--codex-home=${codexHome}`, `--debug-log=${debugLogPath}`, '--emit-stop', '--hook-output-bytes=50'],
+    { encoding: 'utf8', timeout: 30_000, env: { ...process.env, DEMO_API_TOKEN: 'sk-demo-1234' } }
+  );
+  assert.equal(result.status, 0, result.stderr || result.stdout);
+
+  const [finish] = readLogRecords(debugLogPath, 'hook-command-finish');
+
+  assert.equal(finish.status, 3);
+  assert.equal(finish.stdout, 'using ***\n');
+  assert.equal(finish.stdoutTruncated, false);
+  assert.equal(finish.stderr, 'x'.repeat(50));
+  assert.equal(finish.stderrTruncated, true);
+});
+
+test('treats only whole secret-like env name segments as secrets', () => {
+  const secrets = collectSecretValues({
+    GITHUB_TOKEN: 'ghp_0123456789',
+    AWS_SECRET_ACCESS_KEY: 'aws-secret-value',
+    OPENAI_API_KEY: 'sk-openai-key',
+    GOOGLE_APPLICATION_CREDENTIALS: '/home/me/creds.json',
+    PROXY_AUTH: 'user:password',
+    DB_PASSWORD: 'short',
+    SSH_AUTH_SOCK: '/tmp/ssh-agent.sock',
+    XAUTHORITY: '/home/me/.Xauthority',
+    GIT_AUTHOR_NAME: 'Jane Developer',
+    TOKENIZERS_PARALLELISM: 'false-but-long'
+  });
+
+  assert.deepEqual(secrets.sort(), [
+    '/home/me/creds.json',
+    'aws-secret-value',
+    'ghp_0123456789',
+    'sk-openai-key',
+    'user:password'
+  ]);
+});
+
+test('reports memory limits only for allocation errors, not crash signals', t => {
+  const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'crs-hook-memory-'));
+  t.after(() => fs.rmSync(tempRoot, { recursive: true, force: true }));
+
+  const codexHome = path.join(tempRoot, 'codex-home');
+  const pluginRoot = path.join(codexHome, 'plugins', 'claude-home', 'memory-plugin');
+  fs.mkdirSync(pluginRoot, { recursive: true });
+
+  writeJson(path.join(codexHome, 'plugins', 'claude-bridge', 'manifest.json'), {
+    version: 1,
+    projectRoot: null,
+    plugins: [
+      {
+        id: 'home:memory-plugin',
+        sourceType: 'home',
+        name: 'memory-plugin',
+        rootPath: pluginRoot,
+        events: [
+          {
+            eventName: 'Stop',
+            matcher: null,
+            commands: [
+              { command: 'kill -SEGV $$', timeout: 10, memoryLimitMb: 512 },
+              { command: 'echo "fatal: Cannot allocate memory" >&2; exit 1', timeout: 10, memoryLimitMb: 512 }
+            ]
+          }
+        ]
+      }
+    ],
+    topHooks: []
+  });
+
+  const debugLogPath = path.join(tempRoot, 'bridge.log');
+  const bridgeScript = path.join(__dirname, '..', 'src', 'codex-plugin-bridge.js');
+  const result = spawnSync(
+    process.execPath,
+    [bridgeScript, `--codex-home=${codexHome}`, `--debug-log=${debugLogPath}`, '--emit-stop'],
+    { encoding: 'utf8', timeout: 30_000 }
+  );
+  assert.equal(result.status, 0, result.stderr || result.stdout);
+
+  const [crashed, outOfMemory] = readLogRecords(debugLogPath, 'hook-command-finish');
+
+  assert.equal(crashed.ok, false);
+  assert.equal(crashed.signal, 'SIGSEGV');
+  assert.equal(crashed.limitHit, '');
+  assert.equal(outOfMemory.ok, false);
+  assert.equal(outOfMemory.limitHit, 'memory');
+});
+
+test('escalates to SIGKILL for grandchildren that ignore SIGTERM after a timeout', async t => {
+  const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'crs-hook-kill-'));
+  const pidFile = path.join(tempRoot, 'stubborn.pid');
+  t.after(() => {
+    if (fs.existsSync(pidFile)) {
+      try {
+        process.kill(Number(fs.readFileSync(pidFile, 'utf8')), 'SIGKILL');
+      } catch (_) {
+        // Already gone.
+      }
+    }
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+  });
+
+  const codexHome = path.join(tempRoot, 'codex-home');
+  const pluginRoot = path.join(codexHome, 'plugins', 'claude-home', 'stubborn-plugin');
+  fs.mkdirSync(pluginRoot, { recursive: true });
+
+  writeJson(path.join(codexHome, 'plugins', 'claude-bridge', 'manifest.json'), {
+    version: 1,
+    projectRoot: null,
+    plugins: [
+      {
+        id: 'home:stubborn-plugin',
+        sourceType: 'home',
+        name: 'stubborn-plugin',
+        rootPath: pluginRoot,
+        events: [
+          {
+            eventName: 'Stop',
+            matcher: null,
+            commands: [{ command: `bash -c "trap '' TERM; sleep 30" & echo $! > "${pidFile}"; wait`, timeout: 4 }]
+          }
+        ]
+      }
+    ],
+    topHooks: []
+  });
+
+  const debugLogPath = path.join(tempRoot, 'bridge.log');
+  const bridgeScript = path.join(__dirname, '..', 'src', 'codex-plugin-bridge.js');
+  const result = spawnSync(
+    process.execPath,
+    [bridgeScript, `--codex-home=${codexHome}`, `--debug-log=${debugLogPath}`, '--emit-stop'],
+    { encoding: 'utf8', timeout: 30_000 }
+  );
+  assert.equal(result.status, 0, result.stderr || result.stdout);
+
+  const [finish] = readLogRecords(debugLogPath, 'hook-command-finish');
+  assert.equal(finish.limitHit, 'timeout');
+  // The killed grandchild is reparented, so give init a moment to reap it.
+  const stubbornPid = Number(fs.readFileSync(pidFile, 'utf8'));
+  assert.ok(await waitFor(() => !isAlive(stubbornPid), 2000), 'SIGTERM-ignoring grandchild should be killed');
+});
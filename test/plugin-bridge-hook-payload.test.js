@@ -0,0 +1,92 @@
+const assert = require('node:assert/strict');
+const { spawnSync } = require('node:child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+
+const { buildHookPayload, resolveTranscriptDir } = require('../src/codex-plugin-bridge');
+const { writeJson, writeSession } = require('./helpers');
+
+test('passes Claude-format hook input on stdin with session metadata', t => {
+  const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'crs-payload-'));
+  t.after(() => fs.rmSync(tempRoot, { recursive: true, force: true }));
+
+  const codexHome = path.join(tempRoot, 'codex-home');
+  const pluginRoot = path.join(codexHome, 'plugins', 'claude-home', 'demo-payload-plugin');
+  fs.mkdirSync(pluginRoot, { recursive: true });
+
+  writeJson(path.join(codexHome, 'plugins', 'claude-bridge', 'manifest.json'), {
+    version: 1,
+    projectRoot: null,
+    plugins: [
+      {
+        id: 'home:demo-payload-plugin',
+        sourceType: 'home',
+        name: 'demo-payload-plugin',
+        rootPath: pluginRoot,
+        events: [
+          {
+            eventName: 'Stop',
+            matcher: null,
+            commands: [{ command: 'cat > "$CLAUDE_PLUGIN_ROOT/stop-input.json"', timeout: 10 }]
+          }
+        ]
+      }
+    ],
+    topHooks: []
+  });
+
+  const sessionId = '0199a1b2-c3d4-7e5f-8a9b-0c1d2e3f4a5b';
+  const sessionPath = path.join(codexHome, 'sessions', '2026', '02', '28', `rollout-2026-02-28T10-00-00-${sessionId}.jsonl`);
+  writeSession(sessionPath, [
+    JSON.stringify({
+      type: 'session_meta',
+      timestamp: '2026-02-28T10:00:00.000Z',
+      payload: { id: sessionId, cwd: '/work/demo-repo', originator: 'codex_cli_rs' }
+    }),
+    JSON.stringify({
+      type: 'event_msg',
+      timestamp: '2026-02-28T10:00:03.000Z',
+      payload: { type: 'task_complete' }
+    })
+  ]);
+
+  const bridgeScript = path.join(__dirname, '..', 'src', 'codex-plugin-bridge.js');
+  const result = spawnSync(
+    process.execPath,
+    [bridgeScript, `--codex-home=${codexHome}`, '--no-debug-log'],
+    { encoding: 'utf8' }
+  );
+  assert.equal(result.status, 0, result.stderr || result.stdout);
+
+  const input = JSON.parse(fs.readFileSync(path.join(pluginRoot, 'stop-input.json'), 'utf8'));
+  assert.equal(input.session_id, sessionId);
+  assert.equal(input.transcript_path, path.join(resolveTranscriptDir(codexHome, null), `${sessionId}.jsonl`));
+  assert.equal(input.codex_transcript_path, sessionPath);
+  assert.equal(input.cwd, '/work/demo-repo');
+  assert.equal(input.hook_event_name, 'Stop');
+  assert.equal(input.stop_hook_active, false);
+});
+
+test('builds PermissionRequest payload with tool_name and tool_input', () => {
+  const payload = buildHookPayload(
+    {
+      rawType: 'exec_approval_request',
+      payload: {
+        command: ['git', 'push'],
+        sandbox_permissions: 'require_escalated',
+        tool_name: 'shell',
+        call_id: 'call_1'
+      },
+      session: null
+    },
+    'PermissionRequest',
+    '/work/project'
+  );
+
+  assert.equal(payload.hook_event_name, 'PermissionRequest');
+  assert.equal(payload.cwd, '/work/project');
+  assert.equal(payload.tool_name, 'shell');
+  assert.deepEqual(payload.tool_input, { command: ['git', 'push'], sandbox_permissions: 'require_escalated' });
+});
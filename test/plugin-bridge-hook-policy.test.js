@@ -0,0 +1,142 @@
+const assert = require('node:assert/strict');
+const { spawnSync } = require('node:child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+
+const { createHookCircuitBreaker } = require('../src/codex-plugin-bridge');
+const { writeJson } = require('./helpers');
+
+test('disables a hook after consecutive failures and re-enables it after the cooldown', () => {
+  const logged = [];
+  const breaker = createHookCircuitBreaker({
+    threshold: 2,
+    cooldownMs: 1000,
+    logDebug: (kind, data) => logged.push({ kind, ...data })
+  });
+  const hookInfo = { sourceName: 'broken', command: 'missing-binary' };
+
+  breaker.record('broken', hookInfo, false, 0);
+  assert.equal(breaker.allows('broken', 1), true);
+
+  breaker.record('broken', hookInfo, false, 10);
+  assert.equal(breaker.allows('broken', 500), false);
+  assert.deepEqual(logged.map(item => item.kind), ['hook-circuit-open']);
+  assert.equal(logged[0].level, 'warn');
+
+  // After the cooldown one trial run is allowed; another failure opens the circuit again.
+  assert.equal(breaker.allows('broken', 1010), true);
+  breaker.record('broken', hookInfo, false, 1010);
+  assert.equal(breaker.allows('broken', 1500), false);
+
+  breaker.record('broken', hookInfo, true, 2100);
+  assert.equal(breaker.allows('broken', 2101), true);
+  assert.equal(logged[logged.length - 1].kind, 'hook-circuit-closed');
+  assert.equal(breaker.allows('other', 0), true);
+});
+
+test('retries hooks that opt in, with backoff, until they succeed', t => {
+  const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'crs-hook-retry-'));
+  t.after(() => fs.rmSync(tempRoot, { recursive: true, force: true }));
+
+  const codexHome = path.join(tempRoot, 'codex-home');
+  const pluginRoot = path.join(codexHome, 'plugins', 'claude-home', 'flaky');
+  fs.mkdirSync(pluginRoot, { recursive: true });
+  const counterFile = path.join(tempRoot, 'attempts');
+
+  writeJson(path.join(codexHome, 'plugins', 'claude-bridge', 'manifest.json'), {
+    version: 1,
+    projectRoot: null,
+    plugins: [
+      {
+        id: 'home:flaky',
+        sourceType: 'home',
+        name: 'flaky',
+        rootPath: pluginRoot,
+        events: [
+          {
+            eventName: 'Stop',
+            matcher: null,
+            commands: [{
+              command: `n=$(( $(cat "${counterFile}" 2>/dev/null || echo 0) + 1 )); echo $n > "${counterFile}"; [ $n -ge 2 ]`,
+              timeout: 10,
+              retries: 3,
+              retryBackoffMs: 10
+            }]
+          }
+        ]
+      }
+    ],
+    topHooks: []
+  });
+
+  const debugLogPath = path.join(tempRoot, 'bridge.log');
+  const bridgeScript = path.join(__dirname, '..', 'src', 'codex-plugin-bridge.js');
+  const result = spawnSync(
+    process.execPath,
+    [bridgeScript, `--codex-home=${codexHome}`, `--debug-log=${debugLogPath}`, '--emit-stop'],
+    { encoding: 'utf8', timeout: 60_000 }
+  );
+  assert.equal(result.status, 0, result.stderr || result.stdout);
+
+  const records = fs.readFileSync(debugLogPath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+  const retries = records.filter(record => record.kind === 'hook-command-retry');
+  assert.deepEqual(retries.map(record => [record.attempt, record.delayMs]), [[1, 10]]);
+
+  const finish = records.find(record => record.kind === 'hook-command-finish');
+  assert.equal(finish.ok, true);
+  assert.equal(finish.attempts, 2);
+  assert.equal(fs.readFileSync(counterFile, 'utf8').trim(), '2');
+});
+
+test('releases the hook slot while a retry is backing off', t => {
+  const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'crs-hook-retry-slot-'));
+  t.after(() => fs.rmSync(tempRoot, { recursive: true, force: true }));
+
+  const codexHome = path.join(tempRoot, 'codex-home');
+  const pluginsRoot = path.join(codexHome, 'plugins', 'claude-home');
+  fs.mkdirSync(path.join(pluginsRoot, 'flaky'), { recursive: true });
+  fs.mkdirSync(path.join(pluginsRoot, 'steady'), { recursive: true });
+  const counterFile = path.join(tempRoot, 'attempts');
+  const stopPlugin = (name, commandDef) => ({
+    id: `home:${name}`,
+    sourceType: 'home',
+    name,
+    rootPath: path.join(pluginsRoot, name),
+    events: [{ eventName: 'Stop', matcher: null, commands: [{ timeout: 10, ...commandDef }] }]
+  });
+
+  writeJson(path.join(codexHome, 'plugins', 'claude-bridge', 'manifest.json'), {
+    version: 1,
+    projectRoot: null,
+    plugins: [
+      stopPlugin('flaky', {
+        command: `n=$(( $(cat "${counterFile}" 2>/dev/null || echo 0) + 1 )); echo $n > "${counterFile}"; [ $n -ge 2 ]`,
+        retries: 1,
+        retryBackoffMs: 500
+      }),
+      stopPlugin('steady', { command: 'true' })
+    ],
+    topHooks: []
+  });
+
+  const debugLogPath = path.join(tempRoot, 'bridge.log');
+  const bridgeScript = path.join(__dirname, '..', 'src', 'codex-plugin-bridge.js');
+  const result = spawnSync(
+    process.execPath,
+    [bridgeScript, `--codex-home=${codexHome}`, `--debug-log=${debugLogPath}`, '--hook-concurrency=1', '--emit-stop'],
+    { encoding: 'utf8', timeout: 60_000 }
+  );
+  assert.equal(result.status, 0, result.stderr || result.stdout);
+
+  const records = fs.readFileSync(debugLogPath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+  const starts = records
+    .filter(record => record.kind === 'hook-command-start')
+    .map(record => [record.sourceName, record.attempt]);
+  // With a single slot, the steady hook runs during the flaky hook's backoff.
+  assert.deepEqual(starts, [['flaky', 1], ['steady', 1], ['flaky', 2]]);
+
+  const finishes = records.filter(record => record.kind === 'hook-command-finish');
+  assert.deepEqual(finishes.map(record => [record.sourceName, record.ok]), [['steady', true], ['flaky', true]]);
+});
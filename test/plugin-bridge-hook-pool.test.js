@@ -0,0 +1,73 @@
+const assert = require('node:assert/strict');
+const { spawnSync } = require('node:child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+
+const { userMessage, writeJson, writeSession } = require('./helpers');
+
+test('slow hooks do not block other sessions while events stay ordered within a session', t => {
+  const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'crs-hook-pool-'));
+  t.after(() => fs.rmSync(tempRoot, { recursive: true, force: true }));
+
+  const codexHome = path.join(tempRoot, 'codex-home');
+  const orderLog = path.join(tempRoot, 'order.log');
+  const pluginRoot = name => {
+    const rootPath = path.join(codexHome, 'plugins', 'claude-home', name);
+    fs.mkdirSync(rootPath, { recursive: true });
+    return rootPath;
+  };
+
+  writeJson(path.join(codexHome, 'plugins', 'claude-bridge', 'manifest.json'), {
+    version: 1,
+    projectRoot: null,
+    plugins: [
+      {
+        id: 'home:slow-start',
+        sourceType: 'home',
+        name: 'slow-start',
+        rootPath: pluginRoot('slow-start'),
+        events: [
+          {
+            eventName: 'SessionStart',
+            matcher: null,
+            commands: [{ command: `sleep 1; echo "$(grep -o 'session-[ab]' | head -n 1) start" >> "${orderLog}"`, timeout: 10 }]
+          }
+        ]
+      },
+      {
+        id: 'home:prompt-recorder',
+        sourceType: 'home',
+        name: 'prompt-recorder',
+        rootPath: pluginRoot('prompt-recorder'),
+        events: [
+          {
+            eventName: 'UserPromptSubmit',
+            matcher: null,
+            commands: [{ command: `echo "$(grep -o 'session-[ab]' | head -n 1) prompt" >> "${orderLog}"`, timeout: 10 }]
+          }
+        ]
+      }
+    ],
+    topHooks: []
+  });
+
+  const sessionsDir = path.join(codexHome, 'sessions', '2026', '02', '28');
+  writeSession(path.join(sessionsDir, 'a.jsonl'), [
+    JSON.stringify({ type: 'session_meta', timestamp: '2026-02-28T10:00:00.000Z', payload: { id: 'session-a', cwd: '/work/a' } }),
+    userMessage('first prompt')
+  ]);
+  writeSession(path.join(sessionsDir, 'b.jsonl'), [userMessage('session-b prompt')]);
+
+  const bridgeScript = path.join(__dirname, '..', 'src', 'codex-plugin-bridge.js');
+  const result = spawnSync(
+    process.execPath,
+    [bridgeScript, `--codex-home=${codexHome}`, '--no-debug-log', '--hook-concurrency=2'],
+    { encoding: 'utf8', timeout: 30_000 }
+  );
+  assert.equal(result.status, 0, result.stderr || result.stdout);
+
+  const lines = fs.readFileSync(orderLog, 'utf8').trim().split('\n');
+  assert.deepEqual(lines, ['session-b prompt', 'session-a start', 'session-a prompt']);
+});
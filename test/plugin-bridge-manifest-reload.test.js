@@ -0,0 +1,68 @@
+const assert = require('node:assert/strict');
+const { spawn } = require('node:child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+
+const { readLogRecords, userMessage, waitFor, writeJson, writeSession } = require('./helpers');
+
+test('reloads a changed manifest between events and keeps the old one when the new file is invalid', async t => {
+  const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'crs-manifest-reload-'));
+  t.after(() => fs.rmSync(tempRoot, { recursive: true, force: true }));
+
+  const codexHome = path.join(tempRoot, 'codex-home');
+  const manifestPath = path.join(codexHome, 'plugins', 'claude-bridge', 'manifest.json');
+  const pluginRoot = path.join(codexHome, 'plugins', 'claude-home', 'prompt-plugin');
+  const debugLogPath = path.join(tempRoot, 'bridge.log');
+  const promptsPath = path.join(pluginRoot, 'prompts.log');
+  fs.mkdirSync(pluginRoot, { recursive: true });
+
+  writeJson(manifestPath, { version: 1, projectRoot: null, plugins: [], topHooks: [] });
+
+  const sessionPath = path.join(codexHome, 'sessions', '2026', '02', '28', 'session.jsonl');
+  writeSession(sessionPath, [userMessage('before reload', new Date().toISOString())]);
+
+  const bridgeScript = path.join(__dirname, '..', 'src', 'codex-plugin-bridge.js');
+  const child = spawn(process.execPath, [bridgeScript, '--watch', `--codex-home=${codexHome}`, `--debug-log=${debugLogPath}`], { stdio: 'ignore' });
+  const exited = new Promise(resolve => child.on('exit', resolve));
+  t.after(() => child.kill('SIGKILL'));
+
+  assert.ok(await waitFor(() => readLogRecords(debugLogPath, 'watch-mode').length > 0, 10_000));
+
+  writeJson(manifestPath, {
+    version: 1,
+    projectRoot: null,
+    plugins: [
+      {
+        id: 'home:prompt-plugin',
+        sourceType: 'home',
+        name: 'prompt-plugin',
+        rootPath: pluginRoot,
+        events: [{
+          eventName: 'UserPromptSubmit',
+          matcher: null,
+          commands: [{ command: 'cat >> "$CLAUDE_PLUGIN_ROOT/prompts.log"; echo >> "$CLAUDE_PLUGIN_ROOT/prompts.log"', timeout: 10 }]
+        }]
+      }
+    ],
+    topHooks: []
+  });
+
+  assert.ok(await waitFor(() => readLogRecords(debugLogPath, 'manifest-reloaded').length === 1, 10_000), 'manifest change should be picked up');
+  const [reloaded] = readLogRecords(debugLogPath, 'manifest-reloaded');
+  assert.deepEqual(reloaded.before, { pluginCount: 0, topHookCount: 0, hookCount: 0 });
+  assert.deepEqual(reloaded.after, { pluginCount: 1, topHookCount: 0, hookCount: 1 });
+
+  fs.writeFileSync(manifestPath, '{"plugins": [', 'utf8');
+  assert.ok(await waitFor(() => readLogRecords(debugLogPath, 'manifest-reload-failed').length === 1, 10_000), 'invalid manifest should be rejected');
+
+  fs.appendFileSync(sessionPath, `${userMessage('after reload', new Date().toISOString())}\n`, 'utf8');
+  assert.ok(await waitFor(() => fs.existsSync(promptsPath) && fs.readFileSync(promptsPath, 'utf8').trim(), 15_000));
+
+  child.kill('SIGTERM');
+  await exited;
+
+  const prompts = fs.readFileSync(promptsPath, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line).prompt);
+  assert.deepEqual(prompts, ['after reload']);
+});
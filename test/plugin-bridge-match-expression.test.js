@@ -0,0 +1,104 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+
+const { parseHookDefinitions } = require('../src/claude-runtime-sync');
+const { DEFAULT_TOOL_NAME_MAP, parseCodexEvent, planEventHooks, validateMatchExpression } = require('../src/codex-plugin-bridge');
+
+function functionCall(name, args) {
+  return parseCodexEvent(JSON.stringify({
+    type: 'response_item',
+    timestamp: '2026-02-28T10:00:00.000Z',
+    payload: { type: 'function_call', name, arguments: JSON.stringify(args), call_id: 'call_1' }
+  })).map(eventRecord => ({ ...eventRecord, session: { sessionId: 's1', transcriptPath: '', cwd: '/work/repo' } }));
+}
+
+function plannedSources(manifest, eventRecord) {
+  return planEventHooks(manifest, eventRecord, null).hooks.map(hook => hook.source.name);
+}
+
+test('matches structured expressions against individual event fields', () => {
+  const source = (name, eventName, match) => ({
+    id: `home:${name}`,
+    name,
+    rootPath: '/plugins',
+    events: [{ eventName, matcher: null, match, commands: [{ command: 'true', timeout: 10 }] }]
+  });
+  const manifest = {
+    plugins: [
+      source('guard-push', 'PermissionRequest', { field: 'command', regex: '^git push\\b' }),
+      source('js-edits', 'PreToolUse', {
+        all: [
+          { field: 'tool_name', glob: 'Edit' },
+          { field: 'path', glob: 'src/**/*.{js,mjs}' },
+          { not: { field: 'path', glob: '**/*.test.js' } }
+        ]
+      }),
+      source('outside-tmp', 'PreToolUse', {
+        any: [{ field: 'cwd', glob: '/tmp/**' }, { field: 'command', regex: 'rm -rf' }]
+      })
+    ],
+    topHooks: [],
+    toolNameMap: DEFAULT_TOOL_NAME_MAP,
+    mcpServers: []
+  };
+
+  const [pushApproval, pushCall] = functionCall('shell', {
+    command: ['bash', '-lc', 'git push origin main'],
+    sandbox_permissions: 'require_escalated',
+    justification: 'push the release'
+  });
+  assert.deepEqual(plannedSources(manifest, pushApproval), ['guard-push']);
+  assert.deepEqual(plannedSources(manifest, pushCall), []);
+
+  // Only mentioning the command in the justification no longer matches.
+  const [mentionApproval] = functionCall('shell', {
+    command: ['bash', '-lc', 'git status'],
+    sandbox_permissions: 'require_escalated',
+    justification: 'check before git push'
+  });
+  assert.deepEqual(plannedSources(manifest, mentionApproval), []);
+
+  const patch = '*** Begin Patch\n*** Update File: /work/repo/src/lib/a.js\n*** End Patch\n';
+  assert.deepEqual(plannedSources(manifest, functionCall('apply_patch', { input: patch })[0]), ['js-edits']);
+  const testPatch = '*** Begin Patch\n*** Update File: src/a.js\n*** Update File: src/a.test.js\n*** End Patch\n';
+  assert.deepEqual(plannedSources(manifest, functionCall('apply_patch', { input: testPatch })[0]), []);
+
+  assert.deepEqual(plannedSources(manifest, functionCall('shell', { command: ['ls'], workdir: '/tmp/scratch' })[0]), ['outside-tmp']);
+  assert.deepEqual(plannedSources(manifest, functionCall('exec_command', { cmd: 'rm -rf build' })[0]), ['outside-tmp']);
+});
+
+test('reports invalid matchers at sync time and drops the rule, keeping match-all "*"', t => {
+  assert.equal(validateMatchExpression({ any: [{ field: 'command', regex: '(' }] }).length, 1);
+  assert.match(validateMatchExpression({ field: 'title', glob: '*' })[0], /field/);
+  assert.match(validateMatchExpression({ field: 'path', regex: 'a', glob: 'b' })[0], /regex 或 glob/);
+  assert.deepEqual(validateMatchExpression({ not: { field: 'path', glob: '*.md' } }), []);
+
+  const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'crs-match-expression-'));
+  t.after(() => fs.rmSync(tempRoot, { recursive: true, force: true }));
+
+  const hookConfigPath = path.join(tempRoot, 'hooks.json');
+  const hook = { type: 'command', command: 'true' };
+  fs.writeFileSync(hookConfigPath, JSON.stringify({
+    hooks: {
+      PreToolUse: [
+        { matcher: 'Bash(', hooks: [hook] },
+        { matcher: '*', hooks: [hook] },
+        { matcher: 'Bash', match: { field: 'command', regex: '[' }, hooks: [hook] },
+        { matcher: 'Bash', match: { field: 'command', regex: '^npm ' }, hooks: [hook] }
+      ]
+    }
+  }), 'utf8');
+
+  const warnings = [];
+  const events = parseHookDefinitions(hookConfigPath, warnings);
+  assert.deepEqual(events, [
+    { eventName: 'PreToolUse', matcher: '*', commands: [{ command: 'true', timeout: 10 }] },
+    { eventName: 'PreToolUse', matcher: 'Bash', match: { field: 'command', regex: '^npm ' }, commands: [{ command: 'true', timeout: 10 }] }
+  ]);
+  assert.equal(warnings.length, 2);
+  assert.match(warnings[0], /matcher 不是合法正则/);
+  assert.match(warnings[1], /match\.regex 不是合法正则/);
+});
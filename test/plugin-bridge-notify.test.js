@@ -0,0 +1,286 @@
+const assert = require('node:assert/strict');
+const { spawnSync } = require('node:child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+
+const { syncNotifyConfig } = require('../src/claude-runtime-sync');
+const { resolveProjectManifestPath } = require('../src/codex-plugin-bridge');
+const { eventMsg, readJsonLines, responseItem, writeJson, writeSession } = require('./helpers');
+
+test('writes a managed notify entry into config.toml and chains the existing notify program', t => {
+  const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'crs-notify-config-'));
+  t.after(() => fs.rmSync(tempRoot, { recursive: true, force: true }));
+
+  const codexHome = path.join(tempRoot, 'codex-home');
+  const configPath = path.join(codexHome, 'config.toml');
+  const original = [
+    'model = "gpt-5"',
+    "notify = ['notify-send', \"Codex \\\"done\\\"\"]  # desktop popup",
+    '',
+    '[mcp_servers.docs]',
+    'command = "docs-server"',
+    ''
+  ].join('\n');
+  fs.mkdirSync(codexHome, { recursive: true });
+  fs.writeFileSync(configPath, original, 'utf8');
+
+  const first = syncNotifyConfig({ codexHome, check: false, enabled: true });
+  assert.equal(first.changed, true);
+  assert.deepEqual(first.chain, ['notify-send', 'Codex "done"']);
+
+  const configText = fs.readFileSync(configPath, 'utf8');
+  const notifyLines = configText.split('\n').filter(line => line.startsWith('notify ='));
+  assert.equal(notifyLines.length, 1, 'only the managed notify remains');
+  assert.ok(configText.indexOf('notify =') < configText.indexOf('[mcp_servers.docs]'), 'notify stays a top-level key');
+  const command = JSON.parse(notifyLines[0].slice('notify = '.length));
+  assert.equal(command[0], process.execPath);
+  assert.ok(command.includes('--notify'));
+  assert.ok(command.includes(`--codex-home=${codexHome}`));
+  assert.ok(command.includes(`--notify-chain=${JSON.stringify(['notify-send', 'Codex "done"'])}`));
+
+  assert.equal(syncNotifyConfig({ codexHome, check: false, enabled: true }).changed, false, 'sync is idempotent');
+
+  const disabled = syncNotifyConfig({ codexHome, check: false, enabled: false });
+  assert.equal(disabled.changed, true);
+  assert.equal(fs.readFileSync(configPath, 'utf8'), original.replace(/^notify = .*$/m, 'notify = ["notify-send", "Codex \\"done\\""]'));
+});
+
+test('runs Stop hooks from the notify entrypoint once, deduplicated against log tailing', t => {
+  const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'crs-notify-'));
+  t.after(() => fs.rmSync(tempRoot, { recursive: true, force: true }));
+
+  const codexHome = path.join(tempRoot, 'codex-home');
+  const pluginRoot = path.join(codexHome, 'plugins', 'claude-home', 'stop-plugin');
+  const stopLogPath = path.join(pluginRoot, 'stop.log');
+  const chainLogPath = path.join(tempRoot, 'chain.log');
+  fs.mkdirSync(pluginRoot, { recursive: true });
+
+  writeJson(path.join(codexHome, 'plugins', 'claude-bridge', 'manifest.json'), {
+    version: 1,
+    projectRoot: null,
+    notify: true,
+    plugins: [
+      {
+        id: 'home:stop-plugin',
+        sourceType: 'home',
+        name: 'stop-plugin',
+        rootPath: pluginRoot,
+        events: [{
+          eventName: 'Stop',
+          matcher: null,
+          commands: [{ command: 'cat >> "$CLAUDE_PLUGIN_ROOT/stop.log"; echo >> "$CLAUDE_PLUGIN_ROOT/stop.log"', timeout: 10 }]
+        }]
+      }
+    ],
+    topHooks: []
+  });
+
+  const sessionId = '0199a1b2-c3d4-7e5f-8a9b-0c1d2e3f4a5b';
+  const sessionPath = path.join(codexHome, 'sessions', '2026', '02', '28', `rollout-2026-02-28T10-00-00-${sessionId}.jsonl`);
+  writeSession(sessionPath, [
+    JSON.stringify({ type: 'session_meta', timestamp: '2026-02-28T10:00:00.000Z', payload: { id: sessionId, cwd: tempRoot } }),
+    eventMsg('2026-02-28T10:00:01.000Z', { type: 'task_started' }),
+    eventMsg('2026-02-28T10:00:02.000Z', { type: 'agent_message', message: 'First answer.' })
+  ]);
+
+  const bridgeScript = path.join(__dirname, '..', 'src', 'codex-plugin-bridge.js');
+  const runBridge = args => {
+    const result = spawnSync(process.execPath, [bridgeScript, `--codex-home=${codexHome}`, '--no-debug-log', '--no-checkpoint', ...args], { encoding: 'utf8' });
+    assert.equal(result.status, 0, result.stderr || result.stdout);
+  };
+  const notification = lastMessage => JSON.stringify({
+    type: 'agent-turn-complete',
+    'thread-id': sessionId,
+    'turn-id': 'turn-1',
+    cwd: tempRoot,
+    'input-messages': ['hi'],
+    'last-assistant-message': lastMessage
+  });
+  const chain = JSON.stringify([process.execPath, '-e', `require('fs').appendFileSync(${JSON.stringify(chainLogPath)}, process.argv[1] + '\\n')`]);
+
+  // Notify arrives before the task_complete line is tailed.
+  runBridge(['--notify', `--notify-chain=${chain}`, notification('First answer.')]);
+  let stops = readJsonLines(stopLogPath);
+  assert.equal(stops.length, 1);
+  assert.equal(stops[0].session_id, sessionId);
+  assert.equal(stops[0].cwd, tempRoot);
+  assert.equal(stops[0].turn.last_agent_message, 'First answer.');
+
+  fs.appendFileSync(sessionPath, `${eventMsg('2026-02-28T10:00:03.000Z', { type: 'task_complete', last_agent_message: 'First answer.' })}\n`, 'utf8');
+  runBridge([]);
+  assert.equal(readJsonLines(stopLogPath).length, 1, 'tailing skips the turn already handled by notify');
+
+  // The next turn is tailed first; the late notification is dropped.
+  fs.appendFileSync(sessionPath, `${[
+    eventMsg('2026-02-28T10:01:00.000Z', { type: 'task_started' }),
+    eventMsg('2026-02-28T10:01:01.000Z', { type: 'task_complete', last_agent_message: 'Second answer.' })
+  ].join('\n')}\n`, 'utf8');
+  runBridge([]);
+  runBridge(['--notify', notification('Second answer.')]);
+  stops = readJsonLines(stopLogPath);
+  assert.deepEqual(stops.map(stop => stop.turn.last_agent_message), ['First answer.', 'Second answer.']);
+
+  // The chained program is detached; give it a moment to write.
+  const deadline = Date.now() + 10_000;
+  while (!fs.existsSync(chainLogPath) && Date.now() < deadline) {
+    spawnSync(process.execPath, ['-e', 'setTimeout(() => {}, 100)']);
+  }
+  assert.deepEqual(readJsonLines(chainLogPath).map(item => item['last-assistant-message']), ['First answer.']);
+});
+
+test('tailing still runs Stop hooks when the turn claim cannot be written', t => {
+  const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'crs-notify-claim-'));
+  t.after(() => fs.rmSync(tempRoot, { recursive: true, force: true }));
+
+  const codexHome = path.join(tempRoot, 'codex-home');
+  const pluginRoot = path.join(codexHome, 'plugins', 'claude-home', 'stop-plugin');
+  fs.mkdirSync(pluginRoot, { recursive: true });
+
+  writeJson(path.join(codexHome, 'plugins', 'claude-bridge', 'manifest.json'), {
+    version: 1,
+    projectRoot: null,
+    notify: true,
+    plugins: [
+      {
+        id: 'home:stop-plugin',
+        sourceType: 'home',
+        name: 'stop-plugin',
+        rootPath: pluginRoot,
+        events: [{
+          eventName: 'Stop',
+          matcher: null,
+          commands: [{ command: 'cat >> "$CLAUDE_PLUGIN_ROOT/stop.log"; echo >> "$CLAUDE_PLUGIN_ROOT/stop.log"', timeout: 10 }]
+        }]
+      }
+    ],
+    topHooks: []
+  });
+  // A regular file where the claims directory should be makes every claim fail.
+  fs.writeFileSync(path.join(codexHome, 'plugins', 'claude-bridge', 'turn-claims'), '', 'utf8');
+
+  const sessionPath = path.join(codexHome, 'sessions', '2026', '02', '28', 'session.jsonl');
+  fs.mkdirSync(path.dirname(sessionPath), { recursive: true });
+  fs.writeFileSync(sessionPath, `${eventMsg('2026-02-28T10:00:01.000Z', { type: 'task_complete', last_agent_message: 'Done.' })}\n`, 'utf8');
+
+  const debugLogPath = path.join(tempRoot, 'bridge.log');
+  const bridgeScript = path.join(__dirname, '..', 'src', 'codex-plugin-bridge.js');
+  const result = spawnSync(process.execPath, [bridgeScript, `--codex-home=${codexHome}`, `--debug-log=${debugLogPath}`, '--no-checkpoint'], { encoding: 'utf8' });
+  assert.equal(result.status, 0, result.stderr || result.stdout);
+
+  assert.deepEqual(readJsonLines(path.join(pluginRoot, 'stop.log')).map(stop => stop.turn.last_agent_message), ['Done.']);
+  const failures = readJsonLines(debugLogPath).filter(record => record.kind === 'turn-claim-failed');
+  assert.equal(failures.length, 1);
+  assert.equal(failures[0].claimant, 'tail');
+});
+
+test('runs project Stop hooks when notify comes from a subdirectory of the project', t => {
+  const tempRoot = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'crs-notify-subdir-')));
+  t.after(() => fs.rmSync(tempRoot, { recursive: true, force: true }));
+
+  const codexHome = path.join(tempRoot, 'codex-home');
+  const repoRoot = path.join(tempRoot, 'repo');
+  const subDir = path.join(repoRoot, 'packages', 'app');
+  const stopLogPath = path.join(tempRoot, 'stop.log');
+  fs.mkdirSync(subDir, { recursive: true });
+  assert.equal(spawnSync('git', ['init', '-q', repoRoot]).status, 0);
+
+  writeJson(path.join(codexHome, 'plugins', 'claude-bridge', 'manifest.json'), { version: 1, projectRoot: null, notify: true, plugins: [], topHooks: [] });
+  writeJson(resolveProjectManifestPath(codexHome, repoRoot), {
+    version: 1,
+    projectRoot: repoRoot,
+    plugins: [
+      {
+        id: 'project:stop-plugin',
+        sourceType: 'project',
+        name: 'stop-plugin',
+        rootPath: path.join(tempRoot, 'stop-plugin'),
+        events: [{ eventName: 'Stop', matcher: null, commands: [{ command: `cat >> "${stopLogPath}"; echo >> "${stopLogPath}"`, timeout: 10 }] }]
+      }
+    ],
+    topHooks: []
+  });
+
+  const sessionId = '0199a1b2-c3d4-7e5f-8a9b-0c1d2e3f4a5c';
+  writeSession(path.join(codexHome, 'sessions', '2026', '02', '28', `rollout-2026-02-28T10-00-00-${sessionId}.jsonl`), [
+    JSON.stringify({ type: 'session_meta', timestamp: '2026-02-28T10:00:00.000Z', payload: { id: sessionId, cwd: subDir } }),
+    eventMsg('2026-02-28T10:00:01.000Z', { type: 'task_started' })
+  ]);
+
+  const notification = JSON.stringify({
+    type: 'agent-turn-complete',
+    'thread-id': sessionId,
+    'turn-id': 'turn-1',
+    cwd: subDir,
+    'input-messages': ['hi'],
+    'last-assistant-message': 'Done.'
+  });
+  const bridgeScript = path.join(__dirname, '..', 'src', 'codex-plugin-bridge.js');
+  const result = spawnSync(process.execPath, [bridgeScript, `--codex-home=${codexHome}`, '--no-debug-log', '--notify', notification], { encoding: 'utf8' });
+  assert.equal(result.status, 0, result.stderr || result.stdout);
+
+  assert.deepEqual(readJsonLines(stopLogPath).map(stop => stop.turn.last_agent_message), ['Done.']);
+});
+
+test('notify finds a resumed session in an older dated directory and summarizes only the current turn', t => {
+  const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'crs-notify-tail-'));
+  t.after(() => fs.rmSync(tempRoot, { recursive: true, force: true }));
+
+  const codexHome = path.join(tempRoot, 'codex-home');
+  const stopLogPath = path.join(tempRoot, 'stop.log');
+  writeJson(path.join(codexHome, 'plugins', 'claude-bridge', 'manifest.json'), {
+    version: 1,
+    projectRoot: null,
+    notify: true,
+    plugins: [
+      {
+        id: 'home:stop-plugin',
+        sourceType: 'home',
+        name: 'stop-plugin',
+        rootPath: path.join(tempRoot, 'stop-plugin'),
+        events: [{ eventName: 'Stop', matcher: null, commands: [{ command: `cat >> "${stopLogPath}"; echo >> "${stopLogPath}"`, timeout: 10 }] }]
+      }
+    ],
+    topHooks: []
+  });
+
+  const shellCall = (timestamp, command, callId) => responseItem(timestamp, {
+    type: 'function_call',
+    name: 'shell',
+    arguments: JSON.stringify({ command: ['bash', '-lc', command] }),
+    call_id: callId
+  });
+  // The current turn spans several read chunks, with multi-byte text straddling the chunk boundaries.
+  const progress = Array.from({ length: 300 }, (_, index) => eventMsg('2026-02-28T10:00:02.500Z', { type: 'agent_message', message: `${index} ${'进度更新'.repeat(200)}` }));
+  const sessionId = '0199a1b2-c3d4-7e5f-8a9b-0c1d2e3f4a5d';
+  writeSession(path.join(codexHome, 'sessions', '2026', '01', '05', `rollout-2026-01-05T09-00-00-${sessionId}.jsonl`), [
+    JSON.stringify({ type: 'session_meta', timestamp: '2026-01-05T09:00:00.000Z', payload: { id: sessionId, cwd: tempRoot } }),
+    eventMsg('2026-01-05T09:00:01.000Z', { type: 'task_started' }),
+    shellCall('2026-01-05T09:00:02.000Z', 'npm run old', 'call_old'),
+    eventMsg('2026-01-05T09:00:03.000Z', { type: 'task_complete', last_agent_message: 'Old answer.' }),
+    eventMsg('2026-02-28T10:00:01.000Z', { type: 'task_started' }),
+    shellCall('2026-02-28T10:00:02.000Z', 'npm test', 'call_new'),
+    ...progress,
+    eventMsg('2026-02-28T10:00:03.000Z', { type: 'agent_message', message: 'Current answer.' })
+  ]);
+
+  const notification = JSON.stringify({
+    type: 'agent-turn-complete',
+    'thread-id': sessionId,
+    'turn-id': 'turn-2',
+    cwd: tempRoot,
+    'input-messages': ['again'],
+    'last-assistant-message': 'Current answer.'
+  });
+  const bridgeScript = path.join(__dirname, '..', 'src', 'codex-plugin-bridge.js');
+  const result = spawnSync(process.execPath, [bridgeScript, `--codex-home=${codexHome}`, '--no-debug-log', '--notify', notification], { encoding: 'utf8' });
+  assert.equal(result.status, 0, result.stderr || result.stdout);
+
+  const stops = readJsonLines(stopLogPath);
+  assert.equal(stops.length, 1);
+  assert.equal(stops[0].cwd, tempRoot);
+  assert.equal(stops[0].turn.last_agent_message, 'Current answer.');
+  assert.deepEqual(stops[0].turn.commands, ['npm test']);
+  assert.equal(stops[0].turn.started_at, '2026-02-28T10:00:01.000Z');
+});
@@ -0,0 +1,131 @@
+const assert = require('node:assert/strict');
+const { spawnSync } = require('node:child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+
+const { findProjectRoot, readManifest, resolveProjectManifestPath } = require('../src/codex-plugin-bridge');
+const { readLogRecords, writeJson } = require('./helpers');
+
+function pluginSource(sourceType, name, command) {
+  return {
+    id: `${sourceType}:${name}`,
+    sourceType,
+    name,
+    rootPath: `/plugins/${sourceType}/${name}`,
+    events: [{ eventName: 'Stop', matcher: null, commands: [{ command, timeout: 10 }] }]
+  };
+}
+
+test('merges the home manifest with the manifest of the bridge project only', t => {
+  const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'crs-project-manifest-'));
+  t.after(() => fs.rmSync(tempRoot, { recursive: true, force: true }));
+
+  const codexHome = path.join(tempRoot, 'codex-home');
+  const projectA = path.join(tempRoot, 'a', 'app');
+  const projectB = path.join(tempRoot, 'b', 'app');
+
+  writeJson(path.join(codexHome, 'plugins', 'claude-bridge', 'manifest.json'), {
+    version: 1,
+    projectRoot: null,
+    generatedAt: '2026-03-01T00:00:00.000Z',
+    plugins: [pluginSource('home', 'shared', 'echo home'), pluginSource('home', 'notes', 'echo notes')],
+    topHooks: [pluginSource('home', 'home-hooks', 'echo home-top')],
+    toolNameMap: { my_shell: 'Shell' },
+    mcpServers: ['home-server']
+  });
+  writeJson(resolveProjectManifestPath(codexHome, projectA), {
+    version: 1,
+    projectRoot: projectA,
+    generatedAt: '2026-03-02T00:00:00.000Z',
+    plugins: [pluginSource('project', 'shared', 'echo project-a')],
+    topHooks: [pluginSource('project', 'project-hooks', 'echo a-top')],
+    toolNameMap: { my_shell: 'Bash' },
+    mcpServers: ['home-server', 'a-server']
+  });
+  writeJson(resolveProjectManifestPath(codexHome, projectB), {
+    version: 1,
+    projectRoot: projectB,
+    plugins: [pluginSource('project', 'b-only', 'echo project-b')],
+    topHooks: [],
+    toolNameMap: {},
+    mcpServers: []
+  });
+
+  // Same basename, different paths: each project gets its own manifest.
+  assert.notEqual(resolveProjectManifestPath(codexHome, projectA), resolveProjectManifestPath(codexHome, projectB));
+
+  const manifest = readManifest(codexHome, projectA);
+  assert.equal(manifest.projectManifestPath, resolveProjectManifestPath(codexHome, projectA));
+  assert.equal(manifest.generatedAt, '2026-03-02T00:00:00.000Z');
+  assert.deepEqual(manifest.plugins.map(plugin => plugin.id), ['project:shared', 'home:notes']);
+  assert.deepEqual(manifest.topHooks.map(source => source.id), ['home:home-hooks', 'project:project-hooks']);
+  assert.equal(manifest.toolNameMap.my_shell, 'Bash');
+  assert.equal(manifest.toolNameMap.shell, 'Bash');
+  assert.deepEqual(manifest.mcpServers, ['home-server', 'a-server']);
+
+  const homeOnly = readManifest(codexHome);
+  assert.equal(homeOnly.projectManifestPath, null);
+  assert.deepEqual(homeOnly.plugins.map(plugin => plugin.id), ['home:shared', 'home:notes']);
+  assert.equal(homeOnly.toolNameMap.my_shell, 'Shell');
+});
+
+test('keeps project sources from a legacy shared manifest only for the project that wrote it', t => {
+  const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'crs-project-manifest-legacy-'));
+  t.after(() => fs.rmSync(tempRoot, { recursive: true, force: true }));
+
+  const codexHome = path.join(tempRoot, 'codex-home');
+  const projectA = path.join(tempRoot, 'project-a');
+
+  writeJson(path.join(codexHome, 'plugins', 'claude-bridge', 'manifest.json'), {
+    version: 1,
+    projectRoot: projectA,
+    plugins: [pluginSource('home', 'notes', 'echo notes'), pluginSource('project', 'a-only', 'echo a')],
+    topHooks: []
+  });
+
+  assert.deepEqual(readManifest(codexHome, projectA).plugins.map(plugin => plugin.id), ['home:notes', 'project:a-only']);
+  assert.deepEqual(readManifest(codexHome, path.join(tempRoot, 'project-b')).plugins.map(plugin => plugin.id), ['home:notes']);
+  assert.deepEqual(readManifest(codexHome).plugins.map(plugin => plugin.id), ['home:notes']);
+});
+
+test('resolves a bridge started from a subdirectory to the project crs sync wrote', t => {
+  const tempRoot = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'crs-project-subdir-')));
+  t.after(() => fs.rmSync(tempRoot, { recursive: true, force: true }));
+
+  const codexHome = path.join(tempRoot, 'codex-home');
+  const repoRoot = path.join(tempRoot, 'repo');
+  const subDir = path.join(repoRoot, 'packages', 'app');
+  fs.mkdirSync(subDir, { recursive: true });
+  assert.equal(spawnSync('git', ['init', '-q', repoRoot]).status, 0);
+
+  // No manifest yet: fall back to the git toplevel, as crs sync does.
+  assert.equal(findProjectRoot(codexHome, subDir), repoRoot);
+  assert.equal(findProjectRoot(codexHome, path.join(tempRoot, 'codex-home')), path.join(tempRoot, 'codex-home'));
+
+  const stopLog = path.join(tempRoot, 'stop.log');
+  writeJson(resolveProjectManifestPath(codexHome, repoRoot), {
+    version: 1,
+    projectRoot: repoRoot,
+    plugins: [pluginSource('project', 'repo-hooks', `echo stop >> "${stopLog}"`)],
+    topHooks: []
+  });
+
+  const debugLogPath = path.join(tempRoot, 'bridge.log');
+  const bridgeScript = path.join(__dirname, '..', 'src', 'codex-plugin-bridge.js');
+  const result = spawnSync(
+    process.execPath,
+    [bridgeScript, `--codex-home=${codexHome}`, `--project-root=${subDir}`, `--debug-log=${debugLogPath}`, '--no-checkpoint', '--emit-stop'],
+    { encoding: 'utf8', timeout: 30_000 }
+  );
+  assert.equal(result.status, 0, result.stderr || result.stdout);
+
+  const [start] = readLogRecords(debugLogPath, 'bridge-start');
+  assert.equal(start.projectRoot, repoRoot);
+  assert.equal(fs.readFileSync(stopLog, 'utf8'), 'stop\n', 'project hooks fire for a bridge started in a subdirectory');
+
+  // A project synced with an explicit subdirectory root keeps its own manifest.
+  writeJson(resolveProjectManifestPath(codexHome, path.join(repoRoot, 'packages')), { version: 1, plugins: [], topHooks: [] });
+  assert.equal(findProjectRoot(codexHome, subDir), path.join(repoRoot, 'packages'));
+});
@@ -0,0 +1,91 @@
+const assert = require('node:assert/strict');
+const { spawn } = require('node:child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+
+const { parseCodexEvent } = require('../src/codex-plugin-bridge');
+const { userMessage, waitFor, writeJson, writeSession } = require('./helpers');
+
+test('parses user prompts and skips injected context messages', () => {
+  const [prompt] = parseCodexEvent(userMessage('fix the flaky test'));
+  assert.equal(prompt.rawType, 'user_prompt');
+  assert.equal(prompt.payload.prompt, 'fix the flaky test');
+
+  assert.deepEqual(parseCodexEvent(userMessage('<environment_context>\n  <cwd>/repo</cwd>\n</environment_context>')), []);
+});
+
+test('fires SessionStart, UserPromptSubmit and SessionEnd on SIGTERM in watch mode', async t => {
+  const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'crs-session-'));
+  t.after(() => fs.rmSync(tempRoot, { recursive: true, force: true }));
+
+  const codexHome = path.join(tempRoot, 'codex-home');
+  const pluginRoot = path.join(codexHome, 'plugins', 'claude-home', 'session-plugin');
+  fs.mkdirSync(pluginRoot, { recursive: true });
+
+  const appendInput = eventName => ({
+    eventName,
+    matcher: null,
+    commands: [{ command: `cat >> "$CLAUDE_PLUGIN_ROOT/${eventName}.jsonl"`, timeout: 10 }]
+  });
+
+  writeJson(path.join(codexHome, 'plugins', 'claude-bridge', 'manifest.json'), {
+    version: 1,
+    projectRoot: null,
+    plugins: [
+      {
+        id: 'home:session-plugin',
+        sourceType: 'home',
+        name: 'session-plugin',
+        rootPath: pluginRoot,
+        events: ['SessionStart', 'UserPromptSubmit', 'SessionEnd'].map(appendInput)
+      }
+    ],
+    topHooks: []
+  });
+
+  const sessionPath = path.join(codexHome, 'sessions', '2026', '02', '28', 'session.jsonl');
+  writeSession(sessionPath, [
+    JSON.stringify({
+      type: 'session_meta',
+      timestamp: '2026-02-28T10:00:00.000Z',
+      payload: { id: 'session-1', cwd: '/work/repo', cli_version: '0.50.0', instructions: 'long AGENTS.md' }
+    }),
+    userMessage('<environment_context>cwd</environment_context>'),
+    userMessage('add a changelog entry')
+  ]);
+
+  const bridgeScript = path.join(__dirname, '..', 'src', 'codex-plugin-bridge.js');
+  const child = spawn(
+    process.execPath,
+    [bridgeScript, '--watch', `--codex-home=${codexHome}`, '--no-debug-log'],
+    { stdio: 'ignore' }
+  );
+  const exited = new Promise(resolve => child.on('exit', resolve));
+  t.after(() => child.kill('SIGKILL'));
+
+  const promptLog = path.join(pluginRoot, 'UserPromptSubmit.jsonl');
+  assert.ok(await waitFor(() => fs.existsSync(promptLog), 10_000), 'UserPromptSubmit hook should run');
+
+  child.kill('SIGTERM');
+  await exited;
+
+  const readInputs = eventName => fs.readFileSync(path.join(pluginRoot, `${eventName}.jsonl`), 'utf8')
+    .trim()
+    .split('\n')
+    .map(line => JSON.parse(line));
+
+  const [start] = readInputs('SessionStart');
+  assert.equal(start.source, 'startup');
+  assert.equal(start.session_id, 'session-1');
+  assert.equal(start.session_meta.cli_version, '0.50.0');
+  assert.equal(start.session_meta.instructions, undefined);
+
+  const prompts = readInputs('UserPromptSubmit');
+  assert.deepEqual(prompts.map(item => item.prompt), ['add a changelog entry']);
+
+  const [end] = readInputs('SessionEnd');
+  assert.equal(end.reason, 'prompt_input_exit');
+  assert.equal(end.codex_end_reason, 'bridge-sigterm');
+});
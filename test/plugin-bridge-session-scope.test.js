@@ -0,0 +1,69 @@
+const assert = require('node:assert/strict');
+const { spawnSync } = require('node:child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+
+const { userMessage, writeJson, writeSession } = require('./helpers');
+
+function writeScopedSession(codexHome, name, meta) {
+  writeSession(path.join(codexHome, 'sessions', '2026', '02', '28', `${name}.jsonl`), [
+    JSON.stringify({ type: 'session_meta', timestamp: '2026-02-28T10:00:00.000Z', payload: { id: name, cli_version: '0.50.0', ...meta } }),
+    userMessage(`prompt from ${name}`)
+  ]);
+}
+
+test('dispatches only sessions whose cwd is inside the project root, optionally skipping codex exec', t => {
+  const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'crs-session-scope-'));
+  t.after(() => fs.rmSync(tempRoot, { recursive: true, force: true }));
+
+  const codexHome = path.join(tempRoot, 'codex-home');
+  const projectRoot = path.join(tempRoot, 'repo');
+  const pluginRoot = path.join(codexHome, 'plugins', 'claude-home', 'prompt-plugin');
+  fs.mkdirSync(pluginRoot, { recursive: true });
+
+  writeJson(path.join(codexHome, 'plugins', 'claude-bridge', 'manifest.json'), {
+    version: 1,
+    projectRoot: null,
+    plugins: [
+      {
+        id: 'home:prompt-plugin',
+        sourceType: 'home',
+        name: 'prompt-plugin',
+        rootPath: pluginRoot,
+        events: [
+          {
+            eventName: 'UserPromptSubmit',
+            matcher: null,
+            commands: [{ command: 'cat >> "$CLAUDE_PLUGIN_ROOT/prompts.log"; echo >> "$CLAUDE_PLUGIN_ROOT/prompts.log"', timeout: 10 }]
+          }
+        ]
+      }
+    ],
+    topHooks: []
+  });
+
+  writeScopedSession(codexHome, 'inside', { cwd: path.join(projectRoot, 'packages', 'app'), originator: 'codex_cli_rs' });
+  writeScopedSession(codexHome, 'sibling', { cwd: `${projectRoot}-other`, originator: 'codex_cli_rs' });
+  writeScopedSession(codexHome, 'elsewhere', { cwd: path.join(tempRoot, 'other-repo'), originator: 'codex_cli_rs' });
+  writeScopedSession(codexHome, 'exec', { cwd: projectRoot, originator: 'codex_exec' });
+
+  const bridgeScript = path.join(__dirname, '..', 'src', 'codex-plugin-bridge.js');
+  const logPath = path.join(pluginRoot, 'prompts.log');
+  const runBridge = extraArgs => {
+    fs.rmSync(logPath, { force: true });
+    const result = spawnSync(
+      process.execPath,
+      [bridgeScript, `--codex-home=${codexHome}`, `--project-root=${projectRoot}`, '--no-checkpoint', '--no-debug-log', ...extraArgs],
+      { encoding: 'utf8' }
+    );
+    assert.equal(result.status, 0, result.stderr);
+    return fs.existsSync(logPath)
+      ? fs.readFileSync(logPath, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line).session_id).sort()
+      : [];
+  };
+
+  assert.deepEqual(runBridge([]), ['exec', 'inside']);
+  assert.deepEqual(runBridge(['--no-exec-sessions']), ['inside']);
+});
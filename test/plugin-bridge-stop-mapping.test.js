@@ -5,26 +5,7 @@ const os = require('os');
 const path = require('path');
 const test = require('node:test');
 
-function writeJson(filePath, value) {
-  fs.mkdirSync(path.dirname(filePath), { recursive: true });
-  fs.writeFileSync(filePath, `${JSON.stringify(value, null, 2)}\n`, 'utf8');
-}
-
-function readNonEmptyLines(filePath) {
-  if (!fs.existsSync(filePath)) {
-    return [];
-  }
-  return fs.readFileSync(filePath, 'utf8')
-    .split('\n')
-    .map(item => item.trim())
-    .filter(Boolean);
-}
-
-function writeSessionEvents(codexHome, lines) {
-  const sessionPath = path.join(codexHome, 'sessions', '2026', '02', '28', 'session.jsonl');
-  fs.mkdirSync(path.dirname(sessionPath), { recursive: true });
-  fs.writeFileSync(sessionPath, `${lines.join('\n')}\n`, 'utf8');
-}
+const { eventMsg, readNonEmptyLines, writeJson, writeSession } = require('./helpers');
 
 test('maps Stop hooks to task_complete instead of repeated agent_message events', t => {
   const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'crs-bridge-'));
@@ -71,27 +52,11 @@ test('maps Stop hooks to task_complete instead of repeated agent_message events'
     topHooks: []
   });
 
-  writeSessionEvents(codexHome, [
-    JSON.stringify({
-      type: 'event_msg',
-      timestamp: '2026-02-28T10:00:00.000Z',
-      payload: { type: 'task_started' }
-    }),
-    JSON.stringify({
-      type: 'event_msg',
-      timestamp: '2026-02-28T10:00:01.000Z',
-      payload: { type: 'agent_message' }
-    }),
-    JSON.stringify({
-      type: 'event_msg',
-      timestamp: '2026-02-28T10:00:02.000Z',
-      payload: { type: 'agent_message' }
-    }),
-    JSON.stringify({
-      type: 'event_msg',
-      timestamp: '2026-02-28T10:00:03.000Z',
-      payload: { type: 'task_complete' }
-    })
+  writeSession(path.join(codexHome, 'sessions', '2026', '02', '28', 'session.jsonl'), [
+    eventMsg('2026-02-28T10:00:00.000Z', { type: 'task_started' }),
+    eventMsg('2026-02-28T10:00:01.000Z', { type: 'agent_message' }),
+    eventMsg('2026-02-28T10:00:02.000Z', { type: 'agent_message' }),
+    eventMsg('2026-02-28T10:00:03.000Z', { type: 'task_complete' })
   ]);
 
   const bridgeScript = path.join(__dirname, '..', 'src', 'codex-plugin-bridge.js');
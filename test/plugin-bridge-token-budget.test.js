@@ -0,0 +1,145 @@
+const assert = require('node:assert/strict');
+const { spawnSync } = require('node:child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+
+const { eventMsg, writeJson, writeSession } = require('./helpers');
+
+function tokenCount(timestamp, totalTokens) {
+  return eventMsg(timestamp, {
+    type: 'token_count',
+    info: {
+      total_token_usage: { input_tokens: totalTokens - 100, output_tokens: 100, total_tokens: totalTokens },
+      last_token_usage: { input_tokens: 900, output_tokens: 100, total_tokens: 1000 },
+      model_context_window: 272000
+    }
+  });
+}
+
+function sessionMeta(timestamp, sessionId) {
+  return JSON.stringify({ type: 'session_meta', timestamp, payload: { id: sessionId, cwd: '/work/repo' } });
+}
+
+test('reports token usage and fires BudgetExceeded once per session and per day', t => {
+  const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'crs-token-budget-'));
+  t.after(() => fs.rmSync(tempRoot, { recursive: true, force: true }));
+
+  const codexHome = path.join(tempRoot, 'codex-home');
+  const pluginRoot = path.join(codexHome, 'plugins', 'claude-home', 'budget-plugin');
+  fs.mkdirSync(pluginRoot, { recursive: true });
+
+  const appendStdin = 'cat >> "$CLAUDE_PLUGIN_ROOT/events.log"; echo >> "$CLAUDE_PLUGIN_ROOT/events.log"';
+  writeJson(path.join(codexHome, 'plugins', 'claude-bridge', 'manifest.json'), {
+    version: 1,
+    projectRoot: null,
+    plugins: [
+      {
+        id: 'home:budget-plugin',
+        sourceType: 'home',
+        name: 'budget-plugin',
+        rootPath: pluginRoot,
+        events: [
+          { eventName: 'TokenUsage', matcher: null, commands: [{ command: appendStdin, timeout: 10 }] },
+          { eventName: 'BudgetExceeded', matcher: null, commands: [{ command: appendStdin, timeout: 10 }] }
+        ]
+      }
+    ],
+    topHooks: [],
+    tokenBudgets: { perSession: 2500, perDay: 4500 }
+  });
+
+  writeSession(path.join(codexHome, 'sessions', '2026', '02', '28', 'first.jsonl'), [
+    sessionMeta('2026-02-28T09:59:59.000Z', 'first'),
+    eventMsg('2026-02-28T10:00:00.000Z', { type: 'token_count', info: null, rate_limits: {} }),
+    tokenCount('2026-02-28T10:00:01.000Z', 1000),
+    tokenCount('2026-02-28T10:00:02.000Z', 1000),
+    tokenCount('2026-02-28T10:00:03.000Z', 3000),
+    tokenCount('2026-02-28T10:00:04.000Z', 3200)
+  ]);
+  writeSession(path.join(codexHome, 'sessions', '2026', '02', '28', 'second.jsonl'), [sessionMeta('2026-02-28T10:59:59.000Z', 'second'), tokenCount('2026-02-28T11:00:00.000Z', 2000)]);
+
+  const bridgeScript = path.join(__dirname, '..', 'src', 'codex-plugin-bridge.js');
+  const result = spawnSync(process.execPath, [bridgeScript, `--codex-home=${codexHome}`, '--no-debug-log', '--no-transcripts'], { encoding: 'utf8' });
+  assert.equal(result.status, 0, result.stderr || result.stdout);
+
+  // Sessions are dispatched on separate queues, so only the order within a session is fixed.
+  const events = fs.readFileSync(path.join(pluginRoot, 'events.log'), 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line))
+    .sort((a, b) => a.session_id.localeCompare(b.session_id));
+  const usage = events.filter(event => event.hook_event_name === 'TokenUsage');
+  assert.deepEqual(
+    usage.map(event => [event.session_id, event.token_usage.session_total_tokens, event.token_usage.daily_total_tokens]),
+    [['first', 1000, 1000], ['first', 1000, 1000], ['first', 3000, 3000], ['first', 3200, 3200], ['second', 2000, 5200]]
+  );
+  assert.equal(usage[0].token_usage.total.total_tokens, 1000);
+  assert.equal(usage[0].token_usage.model_context_window, 272000);
+
+  const budgets = events.filter(event => event.hook_event_name === 'BudgetExceeded');
+  assert.deepEqual(
+    budgets.map(event => [event.session_id, event.budget_scope, event.budget_tokens, event.used_tokens]),
+    [['first', 'session', 2500, 3000], ['second', 'day', 4500, 5200]]
+  );
+});
+
+test('counts only observed growth toward the day and sums the day across bridges', t => {
+  const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'crs-token-ledger-'));
+  t.after(() => fs.rmSync(tempRoot, { recursive: true, force: true }));
+
+  const codexHome = path.join(tempRoot, 'codex-home');
+  const pluginRoot = path.join(codexHome, 'plugins', 'claude-home', 'budget-plugin');
+  fs.mkdirSync(pluginRoot, { recursive: true });
+
+  const appendStdin = 'cat >> "$CLAUDE_PLUGIN_ROOT/events.log"; echo >> "$CLAUDE_PLUGIN_ROOT/events.log"';
+  writeJson(path.join(codexHome, 'plugins', 'claude-bridge', 'manifest.json'), {
+    version: 1,
+    projectRoot: null,
+    plugins: [
+      {
+        id: 'home:budget-plugin',
+        sourceType: 'home',
+        name: 'budget-plugin',
+        rootPath: pluginRoot,
+        events: [
+          { eventName: 'TokenUsage', matcher: null, commands: [{ command: appendStdin, timeout: 10 }] },
+          { eventName: 'BudgetExceeded', matcher: null, commands: [{ command: appendStdin, timeout: 10 }] }
+        ]
+      }
+    ],
+    topHooks: [],
+    tokenBudgets: { perDay: 10000 }
+  });
+
+  // Another bridge already counted 8000 tokens today, 500 of them for the session read below.
+  const ledgerRoot = path.join(codexHome, 'plugins', 'claude-bridge', 'token-usage');
+  writeJson(path.join(ledgerRoot, 'other-bridge.json'), { date: '2026-02-28', sessions: { other: 7500, resumed: 500 } });
+
+  // No session_meta: the session was already running, so its first total is only a baseline.
+  writeSession(path.join(codexHome, 'sessions', '2026', '02', '28', 'resumed.jsonl'), [
+    tokenCount('2026-02-28T10:00:00.000Z', 50000),
+    tokenCount('2026-02-28T10:00:01.000Z', 51500),
+    tokenCount('2026-02-28T10:00:02.000Z', 52500)
+  ]);
+
+  const bridgeScript = path.join(__dirname, '..', 'src', 'codex-plugin-bridge.js');
+  const result = spawnSync(process.execPath, [bridgeScript, `--codex-home=${codexHome}`, '--no-debug-log', '--no-transcripts'], { encoding: 'utf8' });
+  assert.equal(result.status, 0, result.stderr || result.stdout);
+
+  const events = fs.readFileSync(path.join(pluginRoot, 'events.log'), 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+  assert.deepEqual(
+    events.filter(event => event.hook_event_name === 'TokenUsage')
+      .map(event => [event.token_usage.session_total_tokens, event.token_usage.daily_total_tokens]),
+    [[50000, 8000], [51500, 9000], [52500, 10000]]
+  );
+  assert.deepEqual(
+    events.filter(event => event.hook_event_name === 'BudgetExceeded').map(event => [event.budget_scope, event.used_tokens]),
+    [['day', 10000]]
+  );
+
+  const ledgerNames = fs.readdirSync(ledgerRoot).sort();
+  assert.ok(ledgerNames.includes('2026-02-28.budget'));
+  const ownLedger = ledgerNames.find(name => name.endsWith('.json') && name !== 'other-bridge.json');
+  const published = JSON.parse(fs.readFileSync(path.join(ledgerRoot, ownLedger), 'utf8'));
+  assert.equal(published.date, '2026-02-28');
+  assert.deepEqual(published.sessions, { resumed: 2500 });
+});
@@ -0,0 +1,183 @@
+const assert = require('node:assert/strict');
+const { spawnSync } = require('node:child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+
+const { responseItem, writeJson, writeSession } = require('./helpers');
+
+const {
+  DEFAULT_TOOL_NAME_MAP,
+  correlateToolCall,
+  mapEventNames,
+  matchesToolRule,
+  parseCodexEvent,
+  translateToolName
+} = require('../src/codex-plugin-bridge');
+
+test('emits PreToolUse for every function_call and PermissionRequest only for escalations', () => {
+  const plain = parseCodexEvent(responseItem('2026-02-28T10:00:00.000Z', {
+    type: 'function_call',
+    name: 'shell',
+    arguments: JSON.stringify({ command: ['bash', '-lc', 'ls'] }),
+    call_id: 'call_plain'
+  }));
+  assert.deepEqual(plain.map(item => item.rawType), ['function_call']);
+  assert.deepEqual(mapEventNames('function_call'), ['PreToolUse', 'function_call']);
+
+  const escalated = parseCodexEvent(responseItem('2026-02-28T10:00:00.000Z', {
+    type: 'function_call',
+    name: 'shell',
+    arguments: JSON.stringify({ command: ['git', 'push'], sandbox_permissions: 'require_escalated' }),
+    call_id: 'call_escalated'
+  }));
+  assert.deepEqual(escalated.map(item => item.rawType), ['exec_approval_request', 'function_call']);
+});
+
+test('correlates function_call_output with its call by call_id', () => {
+  const state = { toolCalls: new Map() };
+
+  const [call] = parseCodexEvent(responseItem('2026-02-28T10:00:00.000Z', {
+    type: 'function_call',
+    name: 'shell',
+    arguments: JSON.stringify({ command: ['npm', 'test'] }),
+    call_id: 'call_1'
+  }));
+  correlateToolCall(state, call);
+
+  const [output] = parseCodexEvent(responseItem('2026-02-28T10:00:00.000Z', {
+    type: 'function_call_output',
+    call_id: 'call_1',
+    output: JSON.stringify({ output: 'ok\n', metadata: { exit_code: 1, duration_seconds: 0.5 } })
+  }));
+  const correlated = correlateToolCall(state, output);
+
+  assert.deepEqual(mapEventNames(correlated.rawType), ['PostToolUse', 'function_call_output']);
+  assert.equal(correlated.payload.tool_name, 'shell');
+  assert.deepEqual(correlated.payload.tool_input, { command: ['npm', 'test'] });
+  assert.deepEqual(correlated.payload.command, ['npm', 'test']);
+  assert.equal(correlated.payload.exit_code, 1);
+  assert.equal(correlated.payload.tool_response.output, 'ok\n');
+  assert.equal(correlateToolCall(state, output), null, 'duplicate output for the same call_id is dropped');
+});
+
+test('parses exit code from plain-text function_call_output', () => {
+  const [output] = parseCodexEvent(responseItem('2026-02-28T10:00:00.000Z', {
+    type: 'function_call_output',
+    call_id: 'call_2',
+    output: 'Exit code: 2\nWall time: 1.5 seconds\nOutput:\nboom\n'
+  }));
+
+  assert.equal(output.payload.exit_code, 2);
+  assert.equal(output.payload.tool_response.duration_seconds, 1.5);
+});
+
+test('maps MCP tool calls to mcp__server__tool and dedupes against function_call records', () => {
+  const state = { toolCalls: new Map() };
+  const invocation = { server: 'github', tool: 'create_issue', arguments: { title: 'Bug' } };
+
+  const [call] = parseCodexEvent(responseItem('2026-02-28T10:00:00.000Z', {
+    type: 'function_call',
+    name: 'github__create_issue',
+    arguments: JSON.stringify({ title: 'Bug' }),
+    call_id: 'call_mcp'
+  }));
+  assert.ok(correlateToolCall(state, call));
+
+  const [begin] = parseCodexEvent(JSON.stringify({
+    type: 'event_msg',
+    payload: { type: 'mcp_tool_call_begin', call_id: 'call_mcp', invocation }
+  }));
+  assert.deepEqual(mapEventNames(begin.rawType), ['PreToolUse', 'mcp_tool_call_begin']);
+  assert.equal(correlateToolCall(state, begin), null);
+
+  const [end] = parseCodexEvent(JSON.stringify({
+    type: 'event_msg',
+    payload: {
+      type: 'mcp_tool_call_end',
+      call_id: 'call_mcp',
+      invocation,
+      result: { Ok: { content: [{ type: 'text', text: 'created #1' }], isError: false } }
+    }
+  }));
+  const correlated = correlateToolCall(state, end);
+  assert.deepEqual(mapEventNames(correlated.rawType), ['PostToolUse', 'mcp_tool_call_end']);
+  assert.equal(correlated.payload.tool_response.output, 'created #1');
+  assert.equal(correlated.payload.exit_code, 0);
+
+  assert.equal(translateToolName(call.payload.tool_name, DEFAULT_TOOL_NAME_MAP, ['github']), 'mcp__github__create_issue');
+  assert.equal(translateToolName(correlated.payload.tool_name, DEFAULT_TOOL_NAME_MAP, ['github']), 'mcp__github__create_issue');
+  assert.equal(translateToolName('my-server__do__thing', DEFAULT_TOOL_NAME_MAP, ['my-server']), 'mcp__my-server__do__thing');
+  assert.equal(translateToolName('Chrome DevTools__click', DEFAULT_TOOL_NAME_MAP, []), 'mcp__chrome-devtools__click');
+});
+
+test('translates Codex tool names and matches with Claude matcher semantics', () => {
+  assert.equal(translateToolName('shell', DEFAULT_TOOL_NAME_MAP), 'Bash');
+  assert.equal(translateToolName('apply_patch', DEFAULT_TOOL_NAME_MAP), 'Edit');
+  assert.equal(translateToolName('my_tool', { ...DEFAULT_TOOL_NAME_MAP, my_tool: 'Write' }), 'Write');
+  assert.equal(translateToolName('unknown_tool', DEFAULT_TOOL_NAME_MAP), 'unknown_tool');
+
+  assert.equal(matchesToolRule('Edit|Write', 'Edit'), true);
+  assert.equal(matchesToolRule('Edit|Write', 'Bash'), false);
+  assert.equal(matchesToolRule('Bash', 'BashOutput'), false);
+  assert.equal(matchesToolRule('*', 'Read'), true);
+  assert.equal(matchesToolRule(null, 'Read'), true);
+});
+
+test('runs Edit|Write PreToolUse hooks for apply_patch calls only', t => {
+  const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'crs-tool-names-'));
+  t.after(() => fs.rmSync(tempRoot, { recursive: true, force: true }));
+
+  const codexHome = path.join(tempRoot, 'codex-home');
+  const pluginRoot = path.join(codexHome, 'plugins', 'claude-home', 'formatter');
+  fs.mkdirSync(pluginRoot, { recursive: true });
+
+  writeJson(path.join(codexHome, 'plugins', 'claude-bridge', 'manifest.json'), {
+    version: 1,
+    projectRoot: null,
+    plugins: [
+      {
+        id: 'home:formatter',
+        sourceType: 'home',
+        name: 'formatter',
+        rootPath: pluginRoot,
+        events: [
+          {
+            eventName: 'PreToolUse',
+            matcher: 'Edit|Write',
+            commands: [{ command: 'echo "$CRS_TOOL_NAME" >> "$CLAUDE_PLUGIN_ROOT/pre.log"', timeout: 10 }]
+          }
+        ]
+      }
+    ],
+    topHooks: []
+  });
+
+  const sessionPath = path.join(codexHome, 'sessions', '2026', '02', '28', 'session.jsonl');
+  writeSession(sessionPath, [
+    responseItem('2026-02-28T10:00:00.000Z', {
+      type: 'function_call',
+      name: 'shell',
+      arguments: JSON.stringify({ command: ['ls'] }),
+      call_id: 'call_shell'
+    }),
+    responseItem('2026-02-28T10:00:00.000Z', {
+      type: 'custom_tool_call',
+      name: 'apply_patch',
+      input: '*** Begin Patch\n*** Add File: a.txt\n+hi\n*** End Patch\n',
+      call_id: 'call_patch'
+    })
+  ]);
+
+  const bridgeScript = path.join(__dirname, '..', 'src', 'codex-plugin-bridge.js');
+  const result = spawnSync(
+    process.execPath,
+    [bridgeScript, `--codex-home=${codexHome}`, '--no-debug-log'],
+    { encoding: 'utf8' }
+  );
+  assert.equal(result.status, 0, result.stderr || result.stdout);
+
+  const lines = fs.readFileSync(path.join(pluginRoot, 'pre.log'), 'utf8').trim().split('\n');
+  assert.deepEqual(lines, ['Edit']);
+});
@@ -0,0 +1,117 @@
+const assert = require('node:assert/strict');
+const { spawnSync } = require('node:child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+
+const { resolveTranscriptDir } = require('../src/codex-plugin-bridge');
+const { readJsonLines, responseItem, writeJson, writeSession } = require('./helpers');
+
+test('converts the Codex session into a Claude transcript passed as transcript_path', t => {
+  const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'crs-transcript-'));
+  t.after(() => fs.rmSync(tempRoot, { recursive: true, force: true }));
+
+  const codexHome = path.join(tempRoot, 'codex-home');
+  const pluginRoot = path.join(codexHome, 'plugins', 'claude-home', 'stop-plugin');
+  fs.mkdirSync(pluginRoot, { recursive: true });
+
+  // Snapshot the transcript the hook sees, not the one left on disk afterwards.
+  const copyTranscript = 'cp "$(sed -n \'s/.*"transcript_path":"\\([^"]*\\)".*/\\1/p\')" "$CLAUDE_PLUGIN_ROOT/seen.jsonl"';
+  writeJson(path.join(codexHome, 'plugins', 'claude-bridge', 'manifest.json'), {
+    version: 1,
+    projectRoot: null,
+    plugins: [
+      {
+        id: 'home:stop-plugin',
+        sourceType: 'home',
+        name: 'stop-plugin',
+        rootPath: pluginRoot,
+        events: [{ eventName: 'Stop', matcher: null, commands: [{ command: copyTranscript, timeout: 10 }] }]
+      }
+    ],
+    topHooks: []
+  });
+
+  const sessionId = '0199a1b2-c3d4-7e5f-8a9b-0c1d2e3f4a5b';
+  const sessionPath = path.join(codexHome, 'sessions', '2026', '02', '28', `rollout-2026-02-28T10-00-00-${sessionId}.jsonl`);
+  writeSession(sessionPath, [
+    JSON.stringify({
+      type: 'session_meta',
+      timestamp: '2026-02-28T10:00:00.000Z',
+      payload: { id: sessionId, cwd: '/work/demo-repo', originator: 'codex_cli_rs', cli_version: '0.50.0' }
+    }),
+    responseItem('2026-02-28T10:00:01.000Z', {
+      type: 'message',
+      role: 'user',
+      content: [{ type: 'input_text', text: '<environment_context>\n  <cwd>/work/demo-repo</cwd>\n</environment_context>' }]
+    }),
+    responseItem('2026-02-28T10:00:01.500Z', { type: 'message', role: 'user', content: [{ type: 'input_text', text: 'list the files' }] }),
+    responseItem('2026-02-28T10:00:02.000Z', { type: 'reasoning', summary: [], encrypted_content: 'opaque' }),
+    responseItem('2026-02-28T10:00:02.500Z', {
+      type: 'function_call',
+      name: 'shell',
+      arguments: JSON.stringify({ command: ['bash', '-lc', 'ls'] }),
+      call_id: 'call_1'
+    }),
+    responseItem('2026-02-28T10:00:03.000Z', {
+      type: 'function_call_output',
+      call_id: 'call_1',
+      output: JSON.stringify({ output: 'README.md\n', metadata: { exit_code: 0 } })
+    }),
+    responseItem('2026-02-28T10:00:04.000Z', { type: 'message', role: 'assistant', content: [{ type: 'output_text', text: 'There is one file.' }] }),
+    JSON.stringify({ type: 'event_msg', timestamp: '2026-02-28T10:00:05.000Z', payload: { type: 'task_complete' } })
+  ]);
+
+  const bridgeScript = path.join(__dirname, '..', 'src', 'codex-plugin-bridge.js');
+  const runBridge = () => {
+    const result = spawnSync(process.execPath, [bridgeScript, `--codex-home=${codexHome}`, '--no-debug-log'], { encoding: 'utf8' });
+    assert.equal(result.status, 0, result.stderr || result.stdout);
+  };
+  runBridge();
+
+  const entries = readJsonLines(path.join(pluginRoot, 'seen.jsonl'));
+  assert.deepEqual(entries.map(entry => entry.type), ['user', 'assistant', 'user', 'assistant']);
+  assert.equal(entries[0].message.content, 'list the files');
+  assert.deepEqual(entries[1].message.content, [
+    { type: 'tool_use', id: 'call_1', name: 'Bash', input: { command: ['bash', '-lc', 'ls'] } }
+  ]);
+  assert.deepEqual(entries[2].message.content, [
+    { type: 'tool_result', tool_use_id: 'call_1', content: 'README.md\n', is_error: false }
+  ]);
+  assert.deepEqual(entries[3].message.content, [{ type: 'text', text: 'There is one file.' }]);
+  assert.equal(entries[0].parentUuid, null);
+  entries.slice(1).forEach((entry, index) => assert.equal(entry.parentUuid, entries[index].uuid));
+  assert.ok(entries.every(entry => entry.sessionId === sessionId && entry.cwd === '/work/demo-repo'));
+
+  // A lost cache file is rebuilt from the start when the bridge resumes from its checkpoint.
+  const transcriptPath = path.join(resolveTranscriptDir(codexHome, null), `${sessionId}.jsonl`);
+  fs.rmSync(transcriptPath);
+  fs.appendFileSync(sessionPath, `${responseItem('2026-02-28T10:01:00.000Z', {
+    type: 'message',
+    role: 'user',
+    content: [{ type: 'input_text', text: 'thanks' }]
+  })}\n`, 'utf8');
+  runBridge();
+
+  const rebuilt = readJsonLines(transcriptPath);
+  assert.deepEqual(rebuilt.map(entry => entry.message.content[0].type || entry.message.content), [
+    'list the files',
+    'tool_use',
+    'tool_result',
+    'text',
+    'thanks'
+  ]);
+
+  // A project bridge for the same session keeps its own cache and leaves the home bridge's file alone.
+  const projectResult = spawnSync(
+    process.execPath,
+    [bridgeScript, `--codex-home=${codexHome}`, '--no-debug-log', '--no-checkpoint', '--project-root=/work/demo-repo'],
+    { encoding: 'utf8' }
+  );
+  assert.equal(projectResult.status, 0, projectResult.stderr || projectResult.stdout);
+  const projectTranscriptPath = path.join(resolveTranscriptDir(codexHome, '/work/demo-repo'), `${sessionId}.jsonl`);
+  assert.notEqual(projectTranscriptPath, transcriptPath);
+  assert.equal(readJsonLines(projectTranscriptPath).length, 5);
+  assert.deepEqual(readJsonLines(transcriptPath), rebuilt);
+});
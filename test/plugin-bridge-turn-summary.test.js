@@ -0,0 +1,88 @@
+const assert = require('node:assert/strict');
+const { spawnSync } = require('node:child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+
+const { eventMsg, responseItem, writeJson, writeSession } = require('./helpers');
+
+test('summarizes the finished turn in the task_complete payload and env', t => {
+  const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'crs-turn-summary-'));
+  t.after(() => fs.rmSync(tempRoot, { recursive: true, force: true }));
+
+  const codexHome = path.join(tempRoot, 'codex-home');
+  const pluginRoot = path.join(codexHome, 'plugins', 'claude-home', 'stop-plugin');
+  fs.mkdirSync(pluginRoot, { recursive: true });
+
+  writeJson(path.join(codexHome, 'plugins', 'claude-bridge', 'manifest.json'), {
+    version: 1,
+    projectRoot: null,
+    plugins: [
+      {
+        id: 'home:stop-plugin',
+        sourceType: 'home',
+        name: 'stop-plugin',
+        rootPath: pluginRoot,
+        events: [{
+          eventName: 'Stop',
+          matcher: null,
+          commands: [{
+            command: 'cat >> "$CLAUDE_PLUGIN_ROOT/stop.log"; echo >> "$CLAUDE_PLUGIN_ROOT/stop.log"; printf "%s|%s" "$CRS_TURN_DURATION_SEC" "$CRS_TURN_FILES_CHANGED" >> "$CLAUDE_PLUGIN_ROOT/env.log"',
+            timeout: 10
+          }]
+        }]
+      }
+    ],
+    topHooks: []
+  });
+
+  const patch = '*** Begin Patch\n*** Update File: src/a.js\n@@\n-a\n+b\n*** Add File: src/b.js\n+b\n*** End Patch\n';
+  const sessionPath = path.join(codexHome, 'sessions', '2026', '02', '28', 'session.jsonl');
+  writeSession(sessionPath, [
+    eventMsg('2026-02-28T10:00:00.000Z', { type: 'task_started' }),
+    responseItem('2026-02-28T10:00:01.000Z', {
+      type: 'function_call',
+      name: 'shell',
+      arguments: JSON.stringify({ command: ['bash', '-lc', 'npm test'] }),
+      call_id: 'call_1'
+    }),
+    responseItem('2026-02-28T10:00:02.000Z', { type: 'custom_tool_call', name: 'apply_patch', input: patch, call_id: 'call_2' }),
+    responseItem('2026-02-28T10:00:03.000Z', {
+      type: 'function_call',
+      name: 'shell',
+      arguments: JSON.stringify({ command: ['apply_patch', '*** Begin Patch\n*** Update File: src/a.js\n*** End Patch\n'] }),
+      call_id: 'call_3'
+    }),
+    eventMsg('2026-02-28T10:00:04.000Z', { type: 'agent_message', message: 'Working on it.' }),
+    eventMsg('2026-02-28T10:00:05.000Z', { type: 'agent_message', message: 'Done: tests pass.' }),
+    eventMsg('2026-02-28T10:00:12.000Z', { type: 'task_complete' }),
+    eventMsg('2026-02-28T10:01:00.000Z', { type: 'task_started' }),
+    eventMsg('2026-02-28T10:01:03.000Z', { type: 'task_complete', last_agent_message: 'Nothing to do.' })
+  ]);
+
+  const bridgeScript = path.join(__dirname, '..', 'src', 'codex-plugin-bridge.js');
+  const result = spawnSync(process.execPath, [bridgeScript, `--codex-home=${codexHome}`, '--no-debug-log', '--no-transcripts'], { encoding: 'utf8' });
+  assert.equal(result.status, 0, result.stderr || result.stdout);
+
+  const turns = fs.readFileSync(path.join(pluginRoot, 'stop.log'), 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line).turn);
+  assert.deepEqual(turns, [
+    {
+      last_agent_message: 'Done: tests pass.',
+      commands: ['npm test'],
+      command_count: 1,
+      files_changed: ['src/a.js', 'src/b.js'],
+      started_at: '2026-02-28T10:00:00.000Z',
+      duration_seconds: 12
+    },
+    {
+      last_agent_message: 'Nothing to do.',
+      commands: [],
+      command_count: 0,
+      files_changed: [],
+      started_at: '2026-02-28T10:01:00.000Z',
+      duration_seconds: 3
+    }
+  ]);
+  assert.equal(fs.readFileSync(path.join(pluginRoot, 'env.log'), 'utf8'), '12|src/a.js\nsrc/b.js3|');
+});
@@ -0,0 +1,132 @@
+const assert = require('node:assert/strict');
+const { spawn } = require('node:child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+
+const { inspectWatcherEntry, isProcessAlive, readProcessStartTime, readWatcherEntry, resolveWatcherEntryPath } = require('../src/codex-plugin-bridge');
+const { readJsonLines, waitFor, writeJson, writeSession } = require('./helpers');
+
+const bridgeScript = path.join(__dirname, '..', 'src', 'codex-plugin-bridge.js');
+
+function startWatcher(t, codexHome, projectRoot) {
+  const child = spawn(
+    process.execPath,
+    [bridgeScript, '--watch', `--codex-home=${codexHome}`, `--project-root=${projectRoot}`, '--no-debug-log', '--poll-ms=200'],
+    { stdio: 'ignore' }
+  );
+  const exited = new Promise(resolve => child.on('exit', resolve));
+  t.after(() => child.kill('SIGKILL'));
+  return { child, exited };
+}
+
+function isRegisteredAs(codexHome, projectRoot, pid) {
+  const entry = readWatcherEntry(resolveWatcherEntryPath(codexHome, projectRoot));
+  return Boolean(entry && entry.pid === pid && entry.state === 'running');
+}
+
+test('runs watchers for different projects side by side and lets a new watcher take over its own project', async t => {
+  const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'crs-watchers-'));
+  t.after(() => fs.rmSync(tempRoot, { recursive: true, force: true }));
+
+  const codexHome = path.join(tempRoot, 'codex-home');
+  const projectA = path.join(tempRoot, 'project-a');
+  const projectB = path.join(tempRoot, 'project-b');
+
+  const watcherA = startWatcher(t, codexHome, projectA);
+  const watcherB = startWatcher(t, codexHome, projectB);
+  assert.ok(await waitFor(() => isRegisteredAs(codexHome, projectA, watcherA.child.pid), 10_000));
+  assert.ok(await waitFor(() => isRegisteredAs(codexHome, projectB, watcherB.child.pid), 10_000));
+
+  const entryA = readWatcherEntry(resolveWatcherEntryPath(codexHome, projectA));
+  assert.equal(entryA.processStartTime, readProcessStartTime(watcherA.child.pid));
+  assert.equal(inspectWatcherEntry(entryA).state, 'running');
+
+  const replacementA = startWatcher(t, codexHome, projectA);
+  await watcherA.exited;
+  assert.ok(await waitFor(() => isRegisteredAs(codexHome, projectA, replacementA.child.pid), 10_000));
+  assert.ok(isProcessAlive(watcherB.child.pid), 'the other project keeps its watcher');
+
+  replacementA.child.kill('SIGTERM');
+  watcherB.child.kill('SIGTERM');
+  await Promise.all([replacementA.exited, watcherB.exited]);
+  assert.equal(readWatcherEntry(resolveWatcherEntryPath(codexHome, projectB)).state, 'stopped');
+});
+
+test('treats an entry whose pid now belongs to another process as stale without signalling it', async t => {
+  const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'crs-watchers-stale-'));
+  t.after(() => fs.rmSync(tempRoot, { recursive: true, force: true }));
+
+  const codexHome = path.join(tempRoot, 'codex-home');
+  const projectRoot = path.join(tempRoot, 'project');
+
+  // A live process that is not a bridge: the entry's start time does not match it.
+  const bystander = spawn(process.execPath, ['-e', 'setTimeout(() => {}, 60000)'], { stdio: 'ignore' });
+  const bystanderExited = new Promise(resolve => bystander.on('exit', resolve));
+  t.after(() => bystander.kill('SIGKILL'));
+
+  const entryPath = resolveWatcherEntryPath(codexHome, projectRoot);
+  const staleEntry = {
+    version: 1,
+    pid: bystander.pid,
+    processStartTime: 'proc:1',
+    projectRoot,
+    state: 'running',
+    heartbeatAt: new Date().toISOString()
+  };
+  fs.mkdirSync(path.dirname(entryPath), { recursive: true });
+  fs.writeFileSync(entryPath, JSON.stringify(staleEntry), 'utf8');
+  assert.equal(inspectWatcherEntry(staleEntry).state, 'pid-reused');
+
+  const watcher = startWatcher(t, codexHome, projectRoot);
+  assert.ok(await waitFor(() => isRegisteredAs(codexHome, projectRoot, watcher.child.pid), 10_000));
+  assert.ok(isProcessAlive(bystander.pid), 'a reused pid must never be signalled');
+
+  watcher.child.kill('SIGTERM');
+  bystander.kill('SIGTERM');
+  await Promise.all([watcher.exited, bystanderExited]);
+});
+
+test('a same-project takeover hands active sessions over instead of ending them', async t => {
+  const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'crs-watchers-handoff-'));
+  t.after(() => fs.rmSync(tempRoot, { recursive: true, force: true }));
+
+  const codexHome = path.join(tempRoot, 'codex-home');
+  const projectRoot = path.join(tempRoot, 'project');
+  const startLogPath = path.join(tempRoot, 'SessionStart.jsonl');
+  const endLogPath = path.join(tempRoot, 'SessionEnd.jsonl');
+  const appendInput = (eventName, logPath) => ({ eventName, matcher: null, commands: [{ command: `cat >> "${logPath}"; echo >> "${logPath}"`, timeout: 10 }] });
+  writeJson(path.join(codexHome, 'plugins', 'claude-bridge', 'manifest.json'), {
+    version: 1,
+    projectRoot: null,
+    plugins: [
+      {
+        id: 'home:session-plugin',
+        sourceType: 'home',
+        name: 'session-plugin',
+        rootPath: path.join(tempRoot, 'session-plugin'),
+        events: [appendInput('SessionStart', startLogPath), appendInput('SessionEnd', endLogPath)]
+      }
+    ],
+    topHooks: []
+  });
+  writeSession(path.join(codexHome, 'sessions', '2026', '02', '28', 'session.jsonl'), [
+    JSON.stringify({ type: 'session_meta', timestamp: '2026-02-28T10:00:00.000Z', payload: { id: 'session-1', cwd: projectRoot } })
+  ]);
+
+  const watcher = startWatcher(t, codexHome, projectRoot);
+  assert.ok(await waitFor(() => readJsonLines(startLogPath).length === 1, 10_000), 'SessionStart hook should run');
+  assert.ok(await waitFor(() => isRegisteredAs(codexHome, projectRoot, watcher.child.pid), 10_000));
+
+  const replacement = startWatcher(t, codexHome, projectRoot);
+  await watcher.exited;
+  assert.ok(await waitFor(() => isRegisteredAs(codexHome, projectRoot, replacement.child.pid), 10_000));
+  assert.deepEqual(readJsonLines(endLogPath), [], 'the replaced watcher must not end the session');
+  assert.equal(readJsonLines(startLogPath).length, 1, 'the replacement resumes the session from the checkpoint');
+
+  replacement.child.kill('SIGTERM');
+  await replacement.exited;
+  const ends = readJsonLines(endLogPath);
+  assert.deepEqual(ends.map(end => [end.session_id, end.codex_end_reason]), [['session-1', 'bridge-sigterm']]);
+});
@@ -5,11 +5,8 @@ const path = require('path');
 const test = require('node:test');
 
 const { syncRuntimeSources } = require('../src/claude-runtime-sync');
-
-function writeJson(filePath, value) {
-  fs.mkdirSync(path.dirname(filePath), { recursive: true });
-  fs.writeFileSync(filePath, `${JSON.stringify(value, null, 2)}\n`, 'utf8');
-}
+const { resolveProjectManifestPath } = require('../src/codex-plugin-bridge');
+const { writeJson } = require('./helpers');
 
 function writeText(filePath, value) {
   fs.mkdirSync(path.dirname(filePath), { recursive: true });
@@ -40,6 +37,44 @@ function createPlugin(rootPath, pluginName, options = {}) {
   }
 }
 
+function syncProjectFixture(tempRoot, syncConfig) {
+  const claudeHome = path.join(tempRoot, 'claude-home');
+  const codexHome = path.join(tempRoot, 'codex-home');
+  const projectRoot = path.join(tempRoot, 'project');
+  fs.mkdirSync(projectRoot, { recursive: true });
+
+  const pluginRoot = path.join(claudeHome, 'plugins', 'cache', 'example-market', 'project-plugin', '1.0.0');
+  createPlugin(pluginRoot, 'project-plugin', {
+    hooks: {
+      hooks: {
+        Stop: [{ hooks: [{ type: 'command', command: 'echo stop' }] }]
+      }
+    }
+  });
+  writeJson(path.join(claudeHome, 'plugins', 'enabled_plugins_shared.json'), {
+    'project-plugin@example-market': true
+  });
+  writeJson(path.join(claudeHome, 'plugins', 'installed_plugins.json'), {
+    version: 2,
+    plugins: {
+      'project-plugin@example-market': [{ scope: 'local', projectPath: projectRoot, installPath: pluginRoot }]
+    }
+  });
+  if (syncConfig) {
+    writeJson(path.join(projectRoot, '.claude-codex-sync.json'), syncConfig);
+  }
+
+  const report = syncRuntimeSources({
+    projectRoot,
+    claudeHome,
+    codexHome,
+    check: false,
+    includeHome: true,
+    includeProject: true
+  });
+  return { codexHome, projectRoot, report };
+}
+
 test('syncs enabled plugin capabilities from registry with expected precedence', t => {
   const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'crs-registry-'));
   t.after(() => fs.rmSync(tempRoot, { recursive: true, force: true }));
@@ -81,7 +116,11 @@ test('syncs enabled plugin capabilities from registry with expected precedence',
             hooks: [
               {
                 type: 'command',
-                command: 'echo done'
+                command: 'echo done',
+                maxOutputBytes: 4096,
+                memoryLimitMb: 256,
+                retries: 2,
+                retryBackoffMs: 500
               }
             ]
           }
@@ -187,6 +226,59 @@ test('syncs enabled plugin capabilities from registry with expected precedence',
 
   const manifest = JSON.parse(fs.readFileSync(path.join(codexHome, 'plugins', 'claude-bridge', 'manifest.json'), 'utf8'));
   assert.ok(manifest.plugins.some(plugin => plugin.name === 'home-plugin'));
+  const homePlugin = manifest.plugins.find(plugin => plugin.name === 'home-plugin');
+  assert.deepEqual(homePlugin.events[0].commands, [
+    { command: 'echo done', timeout: 10, maxOutputBytes: 4096, memoryLimitMb: 256, retries: 2, retryBackoffMs: 500 }
+  ]);
+  assert.ok(manifest.plugins.every(plugin => plugin.sourceType === 'home'));
+  assert.equal(manifest.projectRoot, null);
+  assert.deepEqual(manifest.mcpServers, ['plugin-only-server', 'project-plugin-server', 'shared-server']);
+});
+
+test('writes project sources into a manifest keyed by the project path', t => {
+  const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'crs-sync-project-'));
+  t.after(() => fs.rmSync(tempRoot, { recursive: true, force: true }));
+
+  const { codexHome, projectRoot, report } = syncProjectFixture(tempRoot, { toolNameMap: { my_shell: 'Bash' } });
+
+  const projectManifestPath = resolveProjectManifestPath(codexHome, projectRoot);
+  assert.equal(report.bridgeManifest.projectManifestPath, projectManifestPath);
+  assert.notEqual(resolveProjectManifestPath(codexHome, path.join(tempRoot, 'other', path.basename(projectRoot))), projectManifestPath);
+
+  const projectManifest = JSON.parse(fs.readFileSync(projectManifestPath, 'utf8'));
+  assert.equal(projectManifest.projectRoot, path.resolve(projectRoot));
+  assert.deepEqual(projectManifest.plugins.map(plugin => [plugin.name, plugin.sourceType]), [['project-plugin', 'project']]);
+  assert.deepEqual(projectManifest.toolNameMap, { my_shell: 'Bash' });
+
+  const manifest = JSON.parse(fs.readFileSync(path.join(codexHome, 'plugins', 'claude-bridge', 'manifest.json'), 'utf8'));
+  assert.deepEqual(manifest.plugins, []);
+  assert.equal(manifest.projectRoot, null);
+  assert.deepEqual(manifest.toolNameMap, {});
+});
+
+test('writes token budgets from the project config into the project manifest only', t => {
+  const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'crs-sync-budgets-'));
+  t.after(() => fs.rmSync(tempRoot, { recursive: true, force: true }));
+
+  const { codexHome, projectRoot } = syncProjectFixture(tempRoot, { tokenBudgets: { perSession: 500000 } });
+
+  const projectManifest = JSON.parse(fs.readFileSync(resolveProjectManifestPath(codexHome, projectRoot), 'utf8'));
+  assert.deepEqual(projectManifest.tokenBudgets, { perSession: 500000 });
+  const manifest = JSON.parse(fs.readFileSync(path.join(codexHome, 'plugins', 'claude-bridge', 'manifest.json'), 'utf8'));
+  assert.deepEqual(manifest.tokenBudgets, {});
+});
+
+test('points the managed notify entry at the node binary that ran the sync', t => {
+  const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'crs-sync-notify-'));
+  t.after(() => fs.rmSync(tempRoot, { recursive: true, force: true }));
+
+  const { codexHome } = syncProjectFixture(tempRoot);
+
+  const manifest = JSON.parse(fs.readFileSync(path.join(codexHome, 'plugins', 'claude-bridge', 'manifest.json'), 'utf8'));
+  assert.equal(manifest.notify, true);
+  const config = fs.readFileSync(path.join(codexHome, 'config.toml'), 'utf8');
+  assert.ok(config.includes(`notify = [${JSON.stringify(process.execPath)}, `), 'notify runs the bridge with the syncing node binary');
+  assert.match(config, /^notify = \[.*"--notify"/m);
 });
 
 test('falls back to legacy plugin directory scan when registry files are absent', t => {